@@ -1,40 +1,39 @@
-/* Generate docs/svg/crimson-flow.svg from live GitHub stats (animated, with real axis ticks) */
+/* Generate docs/svg/crimson-flow.svg from live GitHub stats (animated, with real axis ticks)
+   Window: flow.window 7|30|90|365|all (or --window), bucketed per flow.bucket (lib/flow.mjs)
+   Overlays: flow.overlays.average / previous / types, drawn on the same axes with a legend
+   Themed (default "crimson"): --theme <name>, --color-scheme fixed|auto|pair
+   History: 30/365-day contribution totals snapshotted daily (lib/history.mjs)
+   Accessible: title/desc summarize the window; reduced motion or --motion static drops the flow and particles */
 import fs from "node:fs/promises";
-import path from "node:path";
+import { createClient, stopCleanlyOnRateLimit } from "../../lib/github.mjs";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { esc } from "../../lib/svg.mjs";
+import { accessible, withStill, MOTION_CSS } from "../../lib/a11y.mjs";
+import { fitText, measure } from "../../lib/metrics.mjs";
+import { fetchDays, fetchCalendar, fetchTypeDays, CONTRIBUTION_TYPES } from "../../lib/calendar.mjs";
+import { WINDOWS, resolveBucket, windowDays, bucketize, bucketLabel, alignDays, alignPrevious,
+  movingAverage, windowCaption, fetchSpan } from "../../lib/flow.mjs";
+import { historyDir, openHistory } from "../../lib/history.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest } from "../../lib/manifest.mjs";
 
-// force-diff tag so commits happen even when data is unchanged
-const BUILD_TAG = process.env.BUILD_TAG || new Date().toISOString();
+const args = builderArgs({ window: { type: "string" } });
+const tape = await openTape(args);
+const cfg = await loadConfig(args);
 
-const USER  = process.env.USER_LOGIN || "statikfintechllc";
-const TOKEN = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-if (!TOKEN) {
-  console.error("Missing GH_TOKEN/GITHUB_TOKEN");
-  process.exit(1);
-}
+// build stamp for humans; the manifest's content hash ignores it (use --force to rewrite anyway)
+const BUILD_TAG = process.env.BUILD_TAG || tape.now.toISOString();
+
+const USER  = args.user || process.env.USER_LOGIN || cfg.user;
+stopCleanlyOnRateLimit();
+const { gql } = createClient({ userAgent: "crimson-flow", tape });
+const OUT = outPath(args, import.meta.url, "../assets/crimson-flow.svg");
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
 
 // ---------- helpers ----------
 const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
-const isoStartUTC = (d) =>
-  new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0)).toISOString();
-const isoNowUTC = () => new Date().toISOString();
-
-async function gql(query, variables = {}) {
-  const r = await fetch("https://api.github.com/graphql", {
-    method: "POST",
-    headers: {
-      Authorization: `bearer ${TOKEN}`,
-      "Content-Type": "application/json",
-      "User-Agent": "crimson-flow",
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-  const j = await r.json();
-  if (!r.ok || j.errors) {
-    console.error("GraphQL error:", j.errors || r.statusText);
-    process.exit(1);
-  }
-  return j.data;
-}
 
 // Catmull–Rom → Bezier
 function bezierPath(points) {
@@ -64,67 +63,70 @@ function niceStep(max, targetTicks = 5) {
 }
 
 // ---------- fetch ----------
-const now = new Date();
-const start30  = new Date(now);  start30.setUTCDate(now.getUTCDate() - 30);
-const start365 = new Date(now);  start365.setUTCDate(now.getUTCDate() - 365);
-
-const query = `
-query($login:String!, $from30:DateTime!, $to:DateTime!, $from365:DateTime!){
-  user(login:$login){
-    contributions30: contributionsCollection(from:$from30, to:$to){
-      contributionCalendar{ weeks{ contributionDays{ date contributionCount } } }
-    }
-    contributions365: contributionsCollection(from:$from365, to:$to){
-      contributionCalendar{ weeks{ contributionDays{ date contributionCount } } }
-    }
-  }
-}`;
-
-const data = await gql(query, {
-  login: USER,
-  from30:  isoStartUTC(start30),
-  from365: isoStartUTC(start365),
-  to:      isoNowUTC(),
-});
+const now = tape.now;
+const WINDOW = args.window == null ? cfg.flow.window : args.window === "all" ? "all" : Number(args.window);
+if (!WINDOWS.includes(WINDOW)) throw new Error(`--window must be one of ${WINDOWS.join(", ")}, got ${args.window}`);
+const BUCKET = resolveBucket(cfg.flow.bucket, WINDOW);
+const { overlays } = cfg.flow;
+const withPrevious = overlays.previous && WINDOW !== "all";
 
-function flattenDays(cc) {
-  const days = [];
-  for (const w of cc.contributionCalendar.weeks) {
-    for (const d of w.contributionDays) days.push({ date: d.date, count: d.contributionCount });
-  }
-  days.sort((a, b) => a.date.localeCompare(b.date));
-  return days;
+// at least a year, for the 30/365-day history totals
+let days;
+if (WINDOW === "all") {
+  ({ days } = await fetchCalendar(gql, USER, now));
+} else {
+  const from = new Date(now);
+  from.setUTCDate(now.getUTCDate() - Math.max(365, fetchSpan(WINDOW, withPrevious)));
+  days = await fetchDays(gql, USER, from, now);
 }
+const { current, previous } = windowDays(days, WINDOW);
+const typeDays = overlays.types.length
+  ? await fetchTypeDays(gql, USER, new Date(`${current[0].date}T00:00:00Z`), now, overlays.types)
+  : {};
 
-const days30  = flattenDays(data.user.contributions30).slice(-30);
-const days365 = flattenDays(data.user.contributions365).slice(-365);
+const sum = days => days.reduce((n, d) => n + d.count, 0);
+const history = await openHistory("flow", { dir: historyDir(args, cfg, tape), now: tape.now, key: USER });
+const touched = await history.record({ contributions30: sum(days.slice(-30)), contributions365: sum(days.slice(-365)) });
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args }, { touched });
+
+// ---------- series ----------
+const buckets = bucketize(current, BUCKET);
+const values = buckets.map(b => b.count);
+
+// overlays: { cls, label, values (null = no data) }, drawn under the main curve
+const series = [];
+if (overlays.average > 1) {
+  series.push({ cls: "avg", label: `${overlays.average}-${BUCKET} average`, values: movingAverage(values, overlays.average) });
+}
+if (withPrevious) {
+  series.push({ cls: "prev", label: `Previous ${WINDOW} days`, values: alignPrevious(buckets, bucketize(previous, BUCKET)) });
+}
+overlays.types.forEach((type, i) => {
+  series.push({ cls: `s${i}`, label: CONTRIBUTION_TYPES[type], values: bucketize(alignDays(current, typeDays[type]), BUCKET).map(b => b.count) });
+});
 
 // ---------- geometry ----------
 const W = 1200, H = 420;
 const plot = { x: 70, y: 60, w: 1080, h: 260 }; // leave room for y labels at left
 
-const maxCount = Math.max(1, ...days30.map(d => d.count));
+const maxCount = Math.max(1, ...values, ...series.flatMap(s => s.values.filter(v => v != null)));
 const yStep = niceStep(maxCount, 5);
 const yMax = Math.ceil(maxCount / yStep) * yStep;
 
-const pts = days30.map((d, i) => {
-  const x = plot.x + (plot.w * i) / Math.max(1, days30.length - 1);
-  const y = plot.y + plot.h - (plot.h * clamp(d.count, 0, yMax)) / yMax;
-  return { x, y };
-});
+const xAt = i => plot.x + (plot.w * i) / Math.max(1, buckets.length - 1);
+const yAt = v => plot.y + plot.h - (plot.h * clamp(v, 0, yMax)) / yMax;
+const pts = values.map((v, i) => ({ x: xAt(i), y: yAt(v) }));
 
 const dPath   = bezierPath(pts);
 const areaPath = `${dPath} L ${plot.x + plot.w},${plot.y + plot.h} L ${plot.x},${plot.y + plot.h} Z`;
+const overlayPath = s => bezierPath(s.values.flatMap((v, i) => (v == null ? [] : [{ x: xAt(i), y: yAt(v) }])));
 
-// X tick labels (show every 5th day; format M/D)
-const xTickEvery = 5;
-const xTicks = days30.map((d, i) => ({ i, d: new Date(d.date) }))
-  .filter(({ i }) => (i % xTickEvery === 0) || i === days30.length - 1)
-  .map(({ i, d }) => {
-    const x = plot.x + (plot.w * i) / Math.max(1, days30.length - 1);
-    const label = `${d.getUTCMonth()+1}/${d.getUTCDate()}`;
-    return { x, label };
-  });
+// X tick labels (every 5th day of a month-long window, ~10 labels on longer ones)
+const xTickEvery = buckets.length <= 10 ? 1 : buckets.length <= 31 ? 5 : Math.ceil(buckets.length / 10);
+const xTicks = buckets
+  .map((b, i) => ({ i, label: bucketLabel(b.start, BUCKET) }))
+  .filter(({ i }) => (i % xTickEvery === 0) || i === buckets.length - 1)
+  .map(({ i, label }) => ({ x: xAt(i), label }));
 
 // Y tick labels (0..yMax)
 const yTicks = [];
@@ -133,25 +135,53 @@ for (let v = 0; v <= yMax + 1e-9; v += yStep) {
   yTicks.push({ v, y });
 }
 
+// legend under the axis caption, only when there is something to tell apart
+const LEGEND_FONT = { size: 12 };
+const legend = [];
+if (series.length) {
+  let x = plot.x;
+  for (const item of [{ cls: "line", label: "Contributions" }, ...series]) {
+    legend.push({ ...item, x });
+    x += 26 + measure(item.label, LEGEND_FONT) + 22;
+  }
+}
+
 // ---------- SVG ----------
-const RED      = "#9b0e2a";
-const RED_LINE = "#c3193d";
-const RED_SOFT = "#7a0f26";
-const GRID     = "#121821";
-const LABEL    = "#ea384c";
-
-const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<!-- build:${BUILD_TAG} user:${USER} points:${pts.length} yMax:${yMax} -->
-<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" role="img" aria-label="Crimson Flow Graph">
+// overlay strokes, for the overlays this card actually draws
+const seriesStroke = (t, cls) => (cls === "avg" ? t.accent2 : cls === "prev" ? t.muted : t.series[Number(cls.slice(1))]);
+const css = t => `
+    .bg0{ stop-color:${t.bg} } .bg1{ stop-color:${t.bgAlt} } .sheen{ stop-color:${t.sheen} }
+    .grid{ stroke:${t.grid} } .lbl{ fill:${t.label} }
+    .area{ fill:${t.area} } .line{ stroke:${t.line} }${series.length ? `
+    ${series.map(s => `.${s.cls}{ stroke:${seriesStroke(t, s.cls)} }`).join(" ")}` : ""}
+    .p0{ fill:${t.particles[0]} } .p1{ fill:${t.particles[1]} } .p2{ fill:${t.particles[2]} }${MOTION_CSS}`;
+
+// "Last 30 days (10/16 → 11/14): 214 contributions, peak 19 on 11/3; overlays: …"
+const peak = buckets.reduce((best, b) => (b.count > best.count ? b : best), buckets[0] ?? { count: 0 });
+const a11y = accessible({
+  title: `${cfg.flow.title}: contributions of ${USER}`,
+  desc: `${windowCaption(WINDOW, BUCKET)} (${bucketLabel(buckets[0]?.start ?? now.toISOString().slice(0, 10), BUCKET)} → ` +
+    `${bucketLabel(buckets.at(-1)?.start ?? now.toISOString().slice(0, 10), BUCKET)}): ${sum(current).toLocaleString("en-US")} contributions` +
+    (peak.count ? `, peak ${peak.count} on ${bucketLabel(peak.start, BUCKET)}` : "") +
+    (series.length ? `; overlays: ${series.map(s => s.label).join(", ")}` : "")
+});
+
+const svg = (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>
+<!-- build:${BUILD_TAG} user:${USER} window:${WINDOW} bucket:${BUCKET} points:${pts.length} yMax:${yMax} -->
+<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}"${a11y.attrs}>
+  ${a11y.head}
+  <style>
+    ${style}
+  </style>
   <defs>
     <linearGradient id="bgGrad" x1="0" y1="0" x2="0" y2="1">
-      <stop offset="0%" stop-color="#0a0d12"/><stop offset="100%" stop-color="#070a0d"/>
+      <stop offset="0%" class="bg0"/><stop offset="100%" class="bg1"/>
     </linearGradient>
     <filter id="glow"><feGaussianBlur stdDeviation="3" result="b1"/><feMerge><feMergeNode in="b1"/><feMergeNode in="SourceGraphic"/></feMerge></filter>
     <linearGradient id="sheen" x1="0" y1="0" x2="1" y2="0">
-      <stop offset="0%" stop-color="${RED}" stop-opacity="0"/>
-      <stop offset="50%" stop-color="${RED}" stop-opacity=".14"/>
-      <stop offset="100%" stop-color="${RED}" stop-opacity="0"/>
+      <stop offset="0%" class="sheen" stop-opacity="0"/>
+      <stop offset="50%" class="sheen" stop-opacity=".14"/>
+      <stop offset="100%" class="sheen" stop-opacity="0"/>
       <animateTransform attributeName="gradientTransform" type="translate" from="-1 0" to="1 0" dur="9s" repeatCount="indefinite"/>
     </linearGradient>
   </defs>
@@ -160,58 +190,67 @@ const svg = `<?xml version="1.0" encoding="UTF-8"?>
   <rect width="${W}" height="${H}" fill="url(#bgGrad)"/>
 
   <!-- Plot frame -->
-  <rect x="${plot.x}" y="${plot.y}" width="${plot.w}" height="${plot.h}" fill="none" stroke="${GRID}" stroke-width="1"/>
+  <rect x="${plot.x}" y="${plot.y}" width="${plot.w}" height="${plot.h}" fill="none" class="grid" stroke-width="1"/>
 
   <!-- Y grid + labels -->
   <g font-family="ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial" font-size="12">
     ${yTicks.map(t => `
-      <path d="M${plot.x},${t.y.toFixed(1)} H${(plot.x+plot.w)}" stroke="${GRID}" stroke-width="1" opacity="0.6"/>
-      <text x="${plot.x-10}" y="${(t.y+4).toFixed(1)}" text-anchor="end" fill="${LABEL}">${t.v}</text>
+      <path d="M${plot.x},${t.y.toFixed(1)} H${(plot.x+plot.w)}" class="grid" stroke-width="1" opacity="0.6"/>
+      <text x="${plot.x-10}" y="${(t.y+4).toFixed(1)}" text-anchor="end" class="lbl">${t.v}</text>
     `).join("")}
-    <text x="${plot.x-40}" y="${plot.y-16}" fill="${LABEL}" font-size="13">Contributions</text>
+    <text x="${plot.x-40}" y="${plot.y-16}" class="lbl" font-size="13">Contributions</text>
   </g>
 
   <!-- X ticks + labels -->
   <g font-family="ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial" font-size="12">
     ${xTicks.map(t => `
-      <path d="M${t.x.toFixed(1)},${(plot.y+plot.h)} V${(plot.y+plot.h+6)}" stroke="${GRID}" stroke-width="1"/>
-      <text x="${t.x.toFixed(1)}" y="${(plot.y+plot.h+20)}" text-anchor="middle" fill="${LABEL}">${t.label}</text>
+      <path d="M${t.x.toFixed(1)},${(plot.y+plot.h)} V${(plot.y+plot.h+6)}" class="grid" stroke-width="1"/>
+      <text x="${t.x.toFixed(1)}" y="${(plot.y+plot.h+20)}" text-anchor="middle" class="lbl">${t.label}</text>
     `).join("")}
-    <text x="${plot.x+plot.w/2}" y="${plot.y+plot.h+38}" text-anchor="middle" fill="${LABEL}" font-size="13">Last 30 days</text>
+    <text x="${plot.x+plot.w/2}" y="${plot.y+plot.h+38}" text-anchor="middle" class="lbl" font-size="13">${windowCaption(WINDOW, BUCKET)}</text>
   </g>
 
-  <!-- Fancy sheen over plot area -->
-  <rect x="${plot.x}" y="${plot.y}" width="${plot.w}" height="${plot.h}" fill="url(#sheen)"/>
-
   <!-- Title -->
   <text x="${W/2}" y="40" text-anchor="middle"
         font-family="ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial"
-        font-size="22" fill="${LABEL}" opacity=".95">Statik DK Smoke’s Crimson Flow</text>
+        font-size="22" class="lbl" opacity=".95"${fitText(cfg.flow.title, W - 80, { size: 22 })}>${esc(cfg.flow.title)}</text>
 
-  <!-- Area under curve -->
-  <path d="${areaPath}" fill="${RED_SOFT}" opacity=".13">
+  <!-- Area under curve -->${withStill(motion, `
+  <path d="${areaPath}" class="area" opacity=".13">
     <animate attributeName="opacity" values=".10;.17;.10" dur="6s" repeatCount="indefinite"/>
-  </path>
+  </path>`, `
+  <path d="${areaPath}" class="area" opacity=".13"/>`)}
+
+${series.length ? `  <!-- Overlays -->${series.map(s => `
+  <path d="${overlayPath(s)}" fill="none" class="${s.cls}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"${s.cls === "prev" ? ` stroke-dasharray="6 6"` : ""} opacity=".9"/>`).join("")}
+
+` : ""}${legend.length ? `  <!-- Legend -->
+  <g font-family="ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial" font-size="12">${legend.map(l => `
+    <path d="M${l.x.toFixed(1)},${H - 18} h18" class="${l.cls}" stroke-width="3" stroke-linecap="round"${l.cls === "prev" ? ` stroke-dasharray="4 4"` : ""}/>
+    <text x="${(l.x + 26).toFixed(1)}" y="${H - 14}" class="lbl">${esc(l.label)}</text>`).join("")}
+  </g>
+
+` : ""}${withStill(motion, `
+  <!-- Fancy sheen over plot area -->
+  <rect x="${plot.x}" y="${plot.y}" width="${plot.w}" height="${plot.h}" fill="url(#sheen)"/>
 
   <!-- Neon curve -->
-  <path id="curve" d="${dPath}" fill="none" stroke="${RED_LINE}" stroke-width="5"
+  <path id="curve" d="${dPath}" fill="none" class="line" stroke-width="5"
         stroke-linecap="round" stroke-linejoin="round" stroke-dasharray="6 14" filter="url(#glow)">
     <animate attributeName="stroke-dashoffset" values="0;-220" dur="4.8s" repeatCount="indefinite"/>
   </path>
 
   <!-- Particles -->
-  <g fill="#ffd1db">
-    <circle r="4"><animateMotion dur="7s" rotate="auto" repeatCount="indefinite"><mpath href="#curve"/></animateMotion><animate attributeName="opacity" values="1;.3;1" dur="2.2s" repeatCount="indefinite"/></circle>
-    <circle r="3" fill="#ffffff"><animateMotion dur="8.2s" begin="1s" rotate="auto" repeatCount="indefinite"><mpath href="#curve"/></animateMotion><animate attributeName="opacity" values=".7;.2;.7" dur="2.4s" repeatCount="indefinite"/></circle>
-    <circle r="3" fill="#ffc7d3"><animateMotion dur="6s" begin="2s" rotate="auto" repeatCount="indefinite"><mpath href="#curve"/></animateMotion><animate attributeName="opacity" values=".8;.3;.8" dur="2s" repeatCount="indefinite"/></circle>
-  </g>
+  <g>
+    <circle r="4" class="p0"><animateMotion dur="7s" rotate="auto" repeatCount="indefinite"><mpath href="#curve"/></animateMotion><animate attributeName="opacity" values="1;.3;1" dur="2.2s" repeatCount="indefinite"/></circle>
+    <circle r="3" class="p1"><animateMotion dur="8.2s" begin="1s" rotate="auto" repeatCount="indefinite"><mpath href="#curve"/></animateMotion><animate attributeName="opacity" values=".7;.2;.7" dur="2.4s" repeatCount="indefinite"/></circle>
+    <circle r="3" class="p2"><animateMotion dur="6s" begin="2s" rotate="auto" repeatCount="indefinite"><mpath href="#curve"/></animateMotion><animate attributeName="opacity" values=".8;.3;.8" dur="2s" repeatCount="indefinite"/></circle>
+  </g>`, `
+  <!-- Curve, solid -->
+  <path d="${dPath}" fill="none" class="line" stroke-width="4"
+        stroke-linecap="round" stroke-linejoin="round" filter="url(#glow)"/>`)}
 </svg>`;
 
 // write
-const outPath = path.join(process.cwd(), "docs", "c.svg", "assets", "crimson-flow.svg");
-await fs.mkdir(path.dirname(outPath), { recursive: true });
-await fs.writeFile(outPath, svg, "utf8");
-const stat = await fs.stat(outPath);
-console.log(`Wrote ${outPath} (${stat.size} bytes)`);
-
-console.log("Wrote", outPath);
+const files = await manifest.finish(renderThemed(OUT, { css, svg }, themeOptions(cfg, "flow", args, "crimson")), { touched });
+for (const f of files) console.log(`Wrote ${f} (${(await fs.stat(f)).size} bytes)`);
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * ggpt-boost — build any or all badges from one entry point.
+ *
+ *   ggpt-boost build [streak|trophies|flow|heatmap|languages|pv|badges|repos|ticker|ticker-svg|all]... [options]
+ *
+ *   --user <login>      GitHub login for every badge
+ *   --out-dir <dir>     write all assets into <dir> instead of their docs/<badge>/assets homes
+ *   --token <pat>       GitHub token (otherwise PAT_GITHUB / GH_TOKEN / GITHUB_TOKEN)
+ *   --config <file>     boost.config.json to use (default: the one at the repo root)
+ *   --fixtures <dir>    replay <dir>/<fixture>.json for each badge (offline, see lib/fixture.mjs)
+ *   --github-output     for workflows: append changed=true|false to $GITHUB_OUTPUT and exit 0
+ *                       when nothing changed, so a later step can skip its commit
+ *
+ * Builders run one after another (they share one rate-limit budget) and a summary
+ * of which assets changed is printed at the end. Exit status: 0 when something changed,
+ * EXIT_UNCHANGED (78) when every badge was unchanged, 1 on failure.
+ */
+
+import fs from "node:fs/promises";
+import { realpathSync } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { spawn } from "node:child_process";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { EXIT_UNCHANGED } from "../lib/manifest.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// asset = default output, relative to the repo root (a directory for batch builders)
+export const TARGETS = {
+  streak:       { script: "docs/s.svg/scripts/build-streak.mjs",          asset: "docs/s.svg/assets/streak.svg",       fixture: "streak.json" },
+  trophies:     { script: "docs/t.svg/scripts/build-trophies.mjs",        asset: "docs/t.svg/assets/trophies.svg",     fixture: "trophies.json" },
+  flow:         { script: "docs/c.svg/scripts/generate-crimson-flow.mjs", asset: "docs/c.svg/assets/crimson-flow.svg", fixture: "crimson-flow.json" },
+  heatmap:      { script: "docs/h.svg/scripts/build-heatmap.mjs",         asset: "docs/h.svg/assets/heatmap.svg",      fixture: "streak.json" },
+  languages:    { script: "docs/l.svg/scripts/build-languages.mjs",       asset: "docs/l.svg/assets/languages.svg",    fixture: "languages.json" },
+  pv:           { script: "docs/v.svg/scripts/build-pv.mjs",              asset: "docs/v.svg/assets/pv-traffic.svg",   fixture: "pv.json" },
+  badges:       { script: "docs/v.svg/scripts/build-badges.mjs",          asset: "docs/v.svg/assets/badges",           fixture: "badges.json" },
+  repos:        { script: "docs/r.svg/scripts/build-repo-cards.mjs",      asset: "docs/r.svg/assets/repos",            fixture: "repo-cards.json" },
+  ticker:       { script: "docs/ticker-bot/generate_banner.js",           asset: "docs/ticker-bot/ticker.gif",         fixture: "ticker.json" },
+  "ticker-svg": { script: "docs/ticker-bot/generate_svg.mjs",             asset: "docs/ticker-bot/ticker.svg",         fixture: "ticker.json" }
+};
+
+const USAGE = `usage: ggpt-boost build [${Object.keys(TARGETS).join("|")}|all]... [--user <login>] [--out-dir <dir>] [--token <pat>] [--config <file>] [--fixtures <dir>] [--github-output]`;
+
+// a directory hashes as its file names and contents
+const hashFile = async file => {
+  try {
+    const h = crypto.createHash("sha256");
+    if ((await fs.stat(file)).isDirectory()) {
+      for (const f of (await fs.readdir(file)).sort()) h.update(f + "\0").update(await fs.readFile(path.join(file, f))).update("\0");
+    } else {
+      h.update(await fs.readFile(file));
+    }
+    return h.digest("hex");
+  } catch {
+    return null;
+  }
+};
+
+const runNode = (args, env) => new Promise(resolve => {
+  const child = spawn(process.execPath, args, { cwd: ROOT, env, stdio: "inherit" });
+  child.on("error", () => resolve(1));
+  child.on("close", code => resolve(code ?? 1));
+});
+
+/** Resolve target names; "all" (or nothing) means every badge. */
+export function resolveTargets(names) {
+  if (!names.length || names.includes("all")) return Object.keys(TARGETS);
+  const bad = names.filter(n => !TARGETS[n]);
+  if (bad.length) throw new Error(`unknown badge ${bad.map(b => `"${b}"`).join(", ")}\n${USAGE}`);
+  return [...new Set(names)];
+}
+
+/** Build `names`, returning one { name, out, status, code } row per badge. */
+export async function build(names, { user, outDir, token, config, fixtures } = {}) {
+  const env = { ...process.env };
+  if (token) env.PAT_GITHUB = env.GH_TOKEN = env.GITHUB_TOKEN = token;
+
+  const rows = [];
+  for (const name of resolveTargets(names)) {
+    const t = TARGETS[name];
+    const out = outDir ? path.resolve(outDir, path.basename(t.asset)) : path.join(ROOT, t.asset);
+    const args = [path.join(ROOT, t.script), "--out", out];
+    if (user) args.push("--user", user);
+    if (config) args.push("--config", path.resolve(config));
+    if (fixtures) args.push("--fixture", path.resolve(fixtures, t.fixture));
+
+    console.log(`\n▶ ${name}`);
+    const before = await hashFile(out);
+    const code = await runNode(args, env);
+    const after = await hashFile(out);
+
+    // builders exit EXIT_UNCHANGED when their manifest says nothing moved
+    const status = code === EXIT_UNCHANGED ? "unchanged"
+      : code !== 0 ? "failed"
+      : after === null ? "missing"
+      : before === null ? "created"
+      : before === after ? "unchanged" : "changed";
+    rows.push({ name, out, status, code });
+  }
+  return rows;
+}
+
+export function summary(rows) {
+  const w = Math.max(...rows.map(r => r.name.length));
+  const lines = rows.map(r =>
+    `  ${r.name.padEnd(w)}  ${r.status.padEnd(9)}  ${path.relative(process.cwd(), r.out) || r.out}` +
+    (r.status === "failed" ? `  (exit ${r.code})` : ""));
+  const changed = rows.filter(r => r.status === "changed" || r.status === "created").length;
+  return `\nggpt-boost build: ${changed}/${rows.length} asset(s) changed\n${lines.join("\n")}`;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      user:      { type: "string" },
+      "out-dir": { type: "string" },
+      token:     { type: "string" },
+      config:    { type: "string" },
+      fixtures:  { type: "string" },
+      "github-output": { type: "boolean" },
+      help:      { type: "boolean", short: "h" }
+    },
+    allowPositionals: true
+  });
+  const [cmd, ...names] = positionals;
+  if (values.help || !cmd) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (cmd !== "build") {
+    console.error(`unknown command "${cmd}"\n${USAGE}`);
+    return 2;
+  }
+
+  const rows = await build(names, {
+    user: values.user,
+    outDir: values["out-dir"],
+    token: values.token,
+    config: values.config,
+    fixtures: values.fixtures
+  });
+  console.log(summary(rows));
+  if (rows.some(r => r.status === "failed" || r.status === "missing")) return 1;
+  if (values["github-output"]) {
+    if (!process.env.GITHUB_OUTPUT) throw new Error("--github-output: GITHUB_OUTPUT is not set (outside GitHub Actions?)");
+    // a builder that exited 0 wrote something, if only its manifest: that is worth a commit
+    await fs.appendFile(process.env.GITHUB_OUTPUT, `changed=${rows.some(r => r.code === 0)}\n`);
+    return 0;
+  }
+  return rows.every(r => r.status === "unchanged") ? EXIT_UNCHANGED : 0;
+}
+
+// run when executed directly (including through the npm bin symlink), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(code => process.exit(code), err => {
+    console.error(err.message);
+    process.exit(2);
+  });
+}
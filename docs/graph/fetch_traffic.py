@@ -10,6 +10,8 @@ TOKEN = os.environ.get("PAT_GITHUB")
 HEADERS = {"Authorization": f"token {TOKEN}"}
 LIFETIME_FILE = "docs/graph/traffic_lifetime.json"
 DATES_FILE = "docs/graph/traffic_dates.json"
+# one NDJSON line per (day, repo), same store as the badge builders (docs/lib/history.mjs)
+HISTORY_FILE = os.path.join(os.environ.get("BOOST_HISTORY_DIR", "docs/history"), "traffic.ndjson")
 
 
 def fetch(endpoint):
@@ -43,6 +45,41 @@ def save_seen_dates(dates):
         json.dump(sorted(list(dates)), f, indent=2)
 
 
+def save_history(clones, views):
+    """Keep every day GitHub reports; it only serves the last 14."""
+    rows = {}
+    if os.path.exists(HISTORY_FILE):
+        with open(HISTORY_FILE, "r") as f:
+            for line in f:
+                if line.strip():
+                    row = json.loads(line)
+                    rows[(row["date"], row["key"])] = row
+
+    by_day = {}
+    for entry in clones:
+        day = by_day.setdefault(entry["timestamp"][:10], {})
+        day.update(clones=entry["count"], uniqueClones=entry["uniques"])
+    for entry in views:
+        day = by_day.setdefault(entry["timestamp"][:10], {})
+        day.update(views=entry["count"], uniqueViews=entry["uniques"])
+
+    # days still inside GitHub's window are refreshed (today's counts keep growing)
+    for date, counts in by_day.items():
+        rows[(date, REPO)] = {
+            "date": date,
+            "key": REPO,
+            "clones": counts.get("clones", 0),
+            "uniqueClones": counts.get("uniqueClones", 0),
+            "views": counts.get("views", 0),
+            "uniqueViews": counts.get("uniqueViews", 0),
+        }
+
+    os.makedirs(os.path.dirname(HISTORY_FILE), exist_ok=True)
+    with open(HISTORY_FILE, "w") as f:
+        for key in sorted(rows):
+            f.write(json.dumps(rows[key], separators=(",", ":")) + "\n")
+
+
 def plot_github_style_merged(clones, views, outfile):
     plt.style.use("dark_background")
 
@@ -148,6 +185,7 @@ def main(repo):
     with open("docs/graph/traffic_data.json", "w") as f:
         json.dump({"clones": clones_data, "views": views_data}, f, indent=2)
 
+    save_history(clones_data, views_data)
     totals = plot_github_style_merged(clones_data, views_data, "docs/graph/traffic_graph.png")
 
     # Load and update processed dates for unique tracking
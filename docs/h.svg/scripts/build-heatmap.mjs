@@ -0,0 +1,197 @@
+/**
+ * Contribution heatmap — week × weekday calendar grid (GitHub-safe SVG/SMIL)
+ * - Same lifetime calendar as the streak badge, and the same local copy on live runs (lib/calendar.mjs)
+ * - Colors: 0 + 4 levels at the quantiles of each page's non-zero days (theme "heat" tokens)
+ * - heatmap.years: one more page per calendar year, sliding like the trophies carousel
+ * - heatmap.highlightStreak: longest streak outlined, its range named under the grid
+ * - Accessible: title/desc give each page's total and the streak; reduced motion or --motion static shows the first page still
+ * - PNG: with several pages, data-frames names them for docs/png
+ * - Offline: --fixture <file.json> replays a recording; add --record to capture one
+ * - Themed (default "crimson"): --theme <name>, --color-scheme fixed|auto|pair
+ * - Aggregate: --users a,b / --org <name> merge calendars by date
+ */
+
+import { createClient, stopCleanlyOnRateLimit } from "../../lib/github.mjs";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { esc } from "../../lib/svg.mjs";
+import { accessible, withStill, stripMotion, MOTION_CSS } from "../../lib/a11y.mjs";
+import { fitText } from "../../lib/metrics.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest } from "../../lib/manifest.mjs";
+import { calendarDir } from "../../lib/history.mjs";
+import { ACCOUNT_OPTIONS, resolveAccounts, expandAccounts } from "../../lib/accounts.mjs";
+import { syncCalendar, mergeCalendars, streakRuns, localDate } from "../../lib/calendar.mjs";
+import { LEVELS, WEEKDAYS, quantiles, level, heatmapPages, weekGrid, monthLabels, runOutline } from "../../lib/heatmap.mjs";
+
+// one combined calendar, so no --breakdown
+const args = builderArgs({ users: ACCOUNT_OPTIONS.users, org: ACCOUNT_OPTIONS.org });
+const OUT = outPath(args, import.meta.url, "../assets/heatmap.svg");
+const cfg = await loadConfig(args);
+const accounts = resolveAccounts(args, cfg, "heatmap");
+
+const PAGE_SEC = cfg.heatmap.pageSec;   // seconds each page is visible
+const HOLD_FRAC = cfg.heatmap.holdFrac; // fraction of page time holding centered
+const EASE = "0.25 0.1 0.25 1; 0.25 0.1 0.25 1; 0.42 0 0.58 1"; // ease-out, hold, ease-in
+
+// ---------------- Data ----------------
+stopCleanlyOnRateLimit();
+const tape = await openTape(args);
+const { gql } = createClient({ userAgent: "ggpt-boost-heatmap", tape });
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
+const now = tape.now;
+
+const { logins, label } = await expandAccounts(gql, accounts);
+const members = [];
+for (const login of logins) {
+  members.push(await syncCalendar(gql, login, now, {
+    dir: calendarDir(args, cfg, tape), refetchDays: cfg.streak.refetchDays, timeZone: cfg.streak.rules.timezone
+  }));
+}
+const touched = members.some(m => m.touched);
+const days = mergeCalendars(members.map(m => m.days));
+
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args }, { touched });
+
+// the streak badge's rules, so both name the same longest streak and the same "today"
+const rules = cfg.streak.rules;
+const longest = [...streakRuns(days, rules)].sort((a, b) => b.len - a.len)[0];
+const streak = cfg.heatmap.highlightStreak ? longest : null;
+
+const pages = heatmapPages(days, localDate(now, rules.timezone), { years: cfg.heatmap.years }).map(p => {
+  const grid = weekGrid(days, p.from, p.to);
+  return {
+    ...p,
+    grid,
+    months: monthLabels(grid),
+    bounds: quantiles(grid.cells.map(c => c.count)),
+    total: grid.cells.reduce((n, c) => n + c.count, 0)
+  };
+});
+
+// ---------------- Layout ----------------
+const W = 760, H = 190;
+const CELL = 10, PITCH = 13;            // 3px gutters
+const LABEL_W = 28;                     // weekday labels left of the grid
+const TITLE_Y = 30, MONTH_Y = 54, GRID_Y = 62;
+const FOOT_Y = GRID_Y + 7 * PITCH + 24;
+const TITLE_FONT = { font: "sans-bold", size: 16 };
+
+// a calendar year can span 54 week columns, the last 12 months 53: center the widest
+const WEEKS = Math.max(...pages.map(p => p.grid.weeks));
+const GRID_X = Math.round((W - (WEEKS * PITCH - (PITCH - CELL)) + LABEL_W) / 2);
+const cellX = week => GRID_X + week * PITCH;
+const cellY = weekday => GRID_Y + weekday * PITCH;
+
+const fmt = v => v.toLocaleString("en-US");
+
+// one group, so the still frame can share the first page's grid (lib/optimize.mjs)
+const cells = p => `<g>${p.grid.cells.map(c =>
+  `<rect x="${cellX(c.week)}" y="${cellY(c.weekday)}" width="${CELL}" height="${CELL}" rx="2" class="l${level(c.count, p.bounds)}"/>`
+).join("")}</g>`;
+
+const months = p => p.months.map(m =>
+  `<text x="${cellX(m.week)}" y="${MONTH_Y}" class="month">${m.text}</text>`
+).join("");
+
+// grid-unit corners sit in the middle of the gutters around a cell
+const GUTTER = (PITCH - CELL) / 2;
+const corner = ([u, v]) => `${cellX(u) - GUTTER},${cellY(v) - GUTTER}`;
+
+// the part of the longest streak on this page, outlined as one pulsing shape
+const highlight = p => {
+  if (!streak) return "";
+  const run = p.grid.cells.filter(c => c.date >= streak.start && c.date <= streak.end);
+  const d = runOutline(run).map(poly => `M${poly.map(corner).join("L")}Z`).join("");
+  return d ? `
+    <path d="${d}" class="streak" fill="none" stroke-width="1.5" stroke-linejoin="round">
+      <animate attributeName="stroke-opacity" values="1;0.35;1" dur="2.4s" repeatCount="indefinite"/>
+    </path>` : "";
+};
+
+const page = p => `
+    <text x="${W - 24}" y="${TITLE_Y}" class="sub" text-anchor="end">${esc(p.label)} · ${fmt(p.total)} contributions</text>
+    ${months(p)}
+    ${cells(p)}${highlight(p)}`;
+
+// ---------------- Carousel ----------------
+// keyTimes for a single page (enter -> hold -> exit)
+const enterK = ((1 - HOLD_FRAC) / 2).toFixed(4);
+const exitK  = (1 - (1 - HOLD_FRAC) / 2).toFixed(4);
+const singleKeyTimes = `0;${enterK};${exitK};1`;
+
+// a single page stays put; several slide through once per cycle each, like the trophies
+const totalDuration = pages.length * PAGE_SEC;
+const slides = pages.length === 1
+  ? `<g class="slide">${page(pages[0])}\n  </g>`
+  : pages.map((p, i) => `
+  <g class="slide" transform="translate(${W},0)" clip-path="url(#frame)">
+    ${page(p)}
+    <animateTransform attributeName="transform" type="translate"
+      values="${W};0;0;${-W}"
+      keyTimes="${singleKeyTimes}"
+      keySplines="${EASE}"
+      calcMode="spline"
+      dur="${PAGE_SEC}s"
+      begin="${(i * PAGE_SEC).toFixed(2)}s;${(i * PAGE_SEC + totalDuration).toFixed(2)}s" repeatCount="1"/>
+  </g>`).join("");
+
+// weekday labels on the rows GitHub labels too (Mon, Wed, Fri)
+const weekdays = [1, 3, 5].map(d =>
+  `<text x="${GRID_X - 6}" y="${cellY(d) + CELL - 1}" class="weekday" text-anchor="end">${WEEKDAYS[d]}</text>`
+).join("");
+
+// "Less ■■■■■ More", right-aligned under the grid
+const LEGEND_X = W - 24 - 28 - (LEVELS + 1) * PITCH;
+const legend = `
+  <text x="${LEGEND_X - 6}" y="${FOOT_Y}" class="foot" text-anchor="end">Less</text>
+  ${Array.from({ length: LEVELS + 1 }, (_, i) =>
+    `<rect x="${LEGEND_X + i * PITCH}" y="${FOOT_Y - CELL + 1}" width="${CELL}" height="${CELL}" rx="2" class="l${i}"/>`).join("")}
+  <text x="${LEGEND_X + (LEVELS + 1) * PITCH + 3}" y="${FOOT_Y}" class="foot">More</text>`;
+
+const caption = streak
+  ? `<text x="24" y="${FOOT_Y}" class="foot"><tspan class="streakText">Longest streak ${streak.len} days</tspan> · ${streak.start} → ${streak.end}</text>`
+  : "";
+
+// ---------------- Theme ----------------
+const css = t => `
+    .title{ font:700 16px system-ui; fill:${t.heading} }
+    .sub{ font:12px system-ui; fill:${t.muted} }
+    .month,.weekday{ font:10px system-ui; fill:${t.muted} }
+    .foot{ font:11px system-ui; fill:${t.muted} }
+    .streakText{ font-weight:700; fill:${t.accent} }
+    ${t.heat.map((c, i) => `.l${i}{ fill:${c} }`).join(" ")}
+    .streak{ stroke:${t.accent2} }
+    .frame{ fill:${t.bg}; stroke:${t.cardStroke} }${MOTION_CSS}`;
+
+// the first page, without the slide or the pulse
+const still = stripMotion(`<g class="slide">${page(pages[0])}\n  </g>`);
+
+const a11y = accessible({
+  title: `${cfg.heatmap.title}: ${label}`,
+  desc: [
+    ...pages.map(p => `${p.label}: ${fmt(p.total)} contributions`),
+    ...(streak ? [`longest streak ${streak.len} days (${streak.start} → ${streak.end})`] : [])
+  ].join("; ")
+});
+
+// ---------------- SVG ----------------
+const svg = (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" shape-rendering="geometricPrecision"${a11y.attrs}${motion === "static" || pages.length === 1 ? "" : ` data-frames="${pages.length}/${totalDuration}s"`}>
+  ${a11y.head}
+  <style>
+    ${style}
+  </style>
+  <defs>
+    <clipPath id="frame"><rect x="0" y="0" width="${W}" height="${H}" rx="8" ry="8"/></clipPath>
+  </defs>
+  <rect x="0.5" y="0.5" width="${W - 1}" height="${H - 1}" rx="8" ry="8" class="frame"/>
+  <text x="24" y="${TITLE_Y}" class="title"${fitText(cfg.heatmap.title, 380, TITLE_FONT)}>${esc(cfg.heatmap.title)}</text>
+  ${weekdays}
+  ${withStill(motion, slides, still)}
+  ${caption}${legend}
+</svg>`;
+
+const files = await manifest.finish(renderThemed(OUT, { css, svg }, themeOptions(cfg, "heatmap", args, "crimson")), { touched });
+for (const f of files) console.log("wrote", f);
@@ -0,0 +1,160 @@
+/**
+ * Language breakdown card — bytes per language over owned non-fork repos (GitHub-safe SVG/SMIL)
+ * Data: repositories paged like the trophies, languages(first:10) per repo (lib/languages.mjs)
+ * Rules: languages.exclude / merge / excludeRepos / limit (the rest becomes "Other")
+ * Style: languages.style donut | bar, segments drawn in turn, in GitHub's language colors
+ * Accessible: title/desc list every share; reduced motion or --motion static shows the chart fully drawn
+ * Output: assets/languages.svg (or --out <file>)
+ * Offline: --fixture <file.json> replays a recording; add --record to capture one
+ * Themed (default "crimson"): --theme <name>, --color-scheme fixed|auto|pair
+ * Aggregate: --users a,b / --org <name> sum every account (org repos included)
+ */
+
+import { createClient, stopCleanlyOnRateLimit } from "../../lib/github.mjs";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { esc } from "../../lib/svg.mjs";
+import { accessible, withStill, stripMotion, MOTION_CSS } from "../../lib/a11y.mjs";
+import { fitText } from "../../lib/metrics.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest } from "../../lib/manifest.mjs";
+import { ACCOUNT_OPTIONS, resolveAccounts, expandAccounts } from "../../lib/accounts.mjs";
+import { fetchRepoLanguages, dropRepos, aggregateLanguages, formatBytes, formatShare } from "../../lib/languages.mjs";
+
+// one combined card, so no --breakdown
+const args = builderArgs({ users: ACCOUNT_OPTIONS.users, org: ACCOUNT_OPTIONS.org });
+const OUT = outPath(args, import.meta.url, "../assets/languages.svg");
+const cfg = await loadConfig(args);
+
+// -------------------- Data --------------------
+stopCleanlyOnRateLimit();
+const tape = await openTape(args);
+const { gql } = createClient({ userAgent: "ggpt-boost-languages", tape });
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
+
+const { logins, org, label } = await expandAccounts(gql, resolveAccounts(args, cfg, "languages"));
+const fetched = [];
+for (const login of logins) fetched.push(...await fetchRepoLanguages(gql, "user", login));
+if (org) fetched.push(...await fetchRepoLanguages(gql, "organization", org));
+
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args });
+
+const repos = dropRepos(fetched, cfg.languages.excludeRepos);
+const langs = aggregateLanguages(repos, cfg.languages);
+if (!langs.length) {
+  console.error("No language data (no owned repos with code, or languages.exclude / excludeRepos dropped it all)");
+  process.exit(1);
+}
+const totalBytes = langs.reduce((n, l) => n + l.bytes, 0);
+const counted = repos.filter(r => r.languages.length).length;
+
+// -------------------- Layout --------------------
+const W = 760, H = 200;
+const TITLE_Y = 34;
+const TITLE_FONT = { font: "sans-bold", size: 16 }, NAME_FONT = { font: "sans-bold", size: 13 };
+const DRAW_SEC = 1.6;                       // all segments drawn by then, each in its turn
+
+// language colors come from GitHub; "Other" and uncolored languages use the theme
+const paint = (l, attr) => (l.color ? `${attr}="${l.color}"` : `class="${attr === "fill" ? "noneFill" : "noneStroke"}"`);
+
+// segment i grows during its share of DRAW_SEC, after the ones before it
+const stagger = langs.map((l, i) => langs.slice(0, i).reduce((n, x) => n + x.share, 0));
+const grow = (i, from, to, attr) => {
+  const k0 = stagger[i].toFixed(4), k1 = (stagger[i] + langs[i].share).toFixed(4);
+  return `<animate attributeName="${attr}" values="${from};${from};${to};${to}" keyTimes="0;${k0};${k1};1" dur="${DRAW_SEC}s" fill="freeze"/>`;
+};
+
+// legend rows: dot, name, share; `cols` columns of `colW` from (x, y)
+const legend = (x, y, cols, colW) => langs.map((l, i) => {
+  const cx = x + (i % cols) * colW, cy = y + Math.floor(i / cols) * 26;
+  const share = formatShare(l.share);
+  return `
+    <g>
+      <circle cx="${cx + 6}" cy="${cy - 4}" r="5" ${paint(l, "fill")}/>
+      <text x="${cx + 18}" y="${cy}" class="name"${fitText(l.name, colW - 78, NAME_FONT)}>${esc(l.name)}</text>
+      <text x="${cx + colW - 16}" y="${cy}" class="share" text-anchor="end">${share}</text>
+    </g>`;
+}).join("");
+
+// donut: one stroked circle per language, dashed to its arc and rotated to where it starts
+function donut() {
+  const CX = 120, CY = 114, R = 58, SW = 22;
+  const C = 2 * Math.PI * R;
+  const gap = langs.length > 1 ? 1.5 : 0;
+  const arcs = langs.map((l, i) => {
+    const len = Math.max(0, l.share * C - gap).toFixed(2);
+    const rot = (-90 + stagger[i] * 360).toFixed(2);
+    return `
+    <circle cx="${CX}" cy="${CY}" r="${R}" fill="none" stroke-width="${SW}" ${paint(l, "stroke")}
+            stroke-dasharray="${len} ${C.toFixed(2)}" transform="rotate(${rot} ${CX} ${CY})">
+      ${grow(i, `0 ${C.toFixed(2)}`, `${len} ${C.toFixed(2)}`, "stroke-dasharray")}
+    </circle>`;
+  }).join("");
+  const top = langs[0];
+  return `
+  <circle cx="${CX}" cy="${CY}" r="${R}" fill="none" stroke-width="${SW}" class="track"/>${arcs}
+  <text x="${CX}" y="${CY + 4}" class="centerNum" text-anchor="middle">${formatShare(top.share)}</text>
+  <text x="${CX}" y="${CY + 22}" class="centerSub" text-anchor="middle"${fitText(top.name, 2 * R - SW - 12, { size: 11 })}>${esc(top.name)}</text>
+  ${legend(230, 76, 2, 256)}`;
+}
+
+// bar: one stacked bar across the card, each language's rect widening in turn
+const X = 24, Y = 58, BW = W - 48, BH = 14;
+const barClip = `<clipPath id="bar"><rect x="${X}" y="${Y}" width="${BW}" height="${BH}" rx="${BH / 2}"/></clipPath>`;
+function bar() {
+  let x = X;
+  const rects = langs.map((l, i) => {
+    const w = +(l.share * BW).toFixed(2);
+    const r = `
+    <rect x="${x.toFixed(2)}" y="${Y}" width="${w}" height="${BH}" ${paint(l, "fill")}>
+      ${grow(i, 0, w, "width")}
+    </rect>`;
+    x += w;
+    return r;
+  }).join("");
+  return `
+  <rect x="${X}" y="${Y}" width="${BW}" height="${BH}" rx="${BH / 2}" class="track"/>
+  <g clip-path="url(#bar)">${rects}
+  </g>
+  ${legend(X, 104, 3, BW / 3)}`;
+}
+
+const chart = cfg.languages.style === "bar" ? bar() : donut();
+const sub = `${formatBytes(totalBytes)} across ${counted} repo${counted === 1 ? "" : "s"}`;
+
+// -------------------- Theme --------------------
+const css = t => `
+    .title{ font:700 16px system-ui; fill:${t.heading} }
+    .sub{ font:12px system-ui; fill:${t.muted} }
+    .name{ font:700 13px system-ui; fill:${t.text} }
+    .share{ font:12px system-ui; fill:${t.muted} }
+    .centerNum{ font:800 20px system-ui; fill:${t.accent} }
+    .centerSub{ font:11px system-ui; fill:${t.muted} }
+    .card{ fill:${t.card}; stroke:${t.cardStroke} }
+    .track{ fill:none; stroke:${t.grid} }
+    rect.track{ fill:${t.grid}; stroke:none }
+    .noneFill{ fill:${t.muted} } .noneStroke{ stroke:${t.muted} }${MOTION_CSS}`;
+
+const a11y = accessible({
+  title: `${cfg.languages.title}: ${label}`,
+  desc: `${langs.map(l => `${l.name} ${formatShare(l.share)}`).join(", ")} (${sub})`
+});
+
+// -------------------- SVG --------------------
+// the segments start drawn in full, so the still chart is the animated one without SMIL
+const svg = (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" text-rendering="geometricPrecision"${a11y.attrs}>
+  ${a11y.head}
+  <style>
+    ${style}
+  </style>${cfg.languages.style === "bar" ? `
+  <defs>${barClip}</defs>` : ""}
+  <rect x="0.5" y="0.5" width="${W - 1}" height="${H - 1}" rx="14" ry="14" class="card"/>
+  <text x="24" y="${TITLE_Y}" class="title"${fitText(cfg.languages.title, 420, TITLE_FONT)}>${esc(cfg.languages.title)}</text>
+  <text x="${W - 24}" y="${TITLE_Y}" class="sub" text-anchor="end">${esc(sub)}</text>
+  ${withStill(motion, chart, stripMotion(chart))}
+</svg>`;
+
+const files = await manifest.finish(renderThemed(OUT, { css, svg }, themeOptions(cfg, "languages", args, "crimson")));
+for (const f of files) console.log("wrote", f);
@@ -0,0 +1,45 @@
+/**
+ * Accessibility shared by the generators.
+ *
+ * Every document is role="img" with a <title> and a <desc> saying in words what its frames
+ * show ("Current streak 42 days; longest 97 days (…)"), so a screen reader gets one summary
+ * instead of every carousel frame at once, or nothing.
+ *
+ * Motion (config `motion`, flag --motion):
+ *   animated  SMIL as designed; under prefers-reduced-motion a still frame replaces it
+ *   static    the still frame only, with no SMIL at all
+ *   both      animated, plus a <name>-static sibling
+ * A builder passes its animated markup and its still frame through withStill(); whatever
+ * SMIL is left outside (glows, pulses) is dropped from static files by stripMotion().
+ */
+
+import { esc } from "./svg.mjs";
+
+export const MOTIONS = ["animated", "static", "both"];
+
+/**
+ * role and labels for the root <svg>: `attrs` go in its tag, `head` right after it.
+ * @param {{ title: string, desc: string }} label
+ */
+export const accessible = ({ title, desc }) => ({
+  attrs: ` role="img" aria-labelledby="title desc"`,
+  head: `<title id="title">${esc(title)}</title>
+  <desc id="desc">${esc(desc)}</desc>`
+});
+
+/** Rules withStill() relies on: the still frame stays hidden unless motion is unwelcome. */
+export const MOTION_CSS = `
+    .still{ display:none }
+    @media (prefers-reduced-motion: reduce){ .motion{ display:none } .still{ display:inline } }`;
+
+/** Animated markup next to its still frame, or the still frame alone for static files. */
+export const withStill = (motion, animated, still) => (motion === "static" ? still : `
+  <g class="motion">${animated}
+  </g>
+  <g class="still">${still}
+  </g>`);
+
+/** `markup` without SMIL elements, so every shape stays at its initial attributes. */
+export const stripMotion = markup => markup
+  .replace(/\s*<animateMotion\b[^>]*>[\s\S]*?<\/animateMotion>/g, "")
+  .replace(/\s*<(?:animate|animateTransform|animateMotion|set)\b[^>]*\/>/g, "");
@@ -0,0 +1,74 @@
+/**
+ * Which GitHub accounts a badge aggregates.
+ *   --user <login>        one account (the default, from config "user")
+ *   --users a,b,c         several accounts, summed into one badge
+ *   --org <name>          every public member of an organization, plus the org's own repos
+ *   --breakdown           add one frame/card per member after the combined totals
+ *
+ * Config equivalents: "users": [...], "org": "...", "<badge>.breakdown": true.
+ * Flags win over env (GH_USER), env over config; --user may be combined with --users/--org.
+ * Listing private org members needs a token with read:org.
+ */
+
+export const ACCOUNT_OPTIONS = {
+  users:     { type: "string" },
+  org:       { type: "string" },
+  breakdown: { type: "boolean" }
+};
+
+const split = s => (s ? s.split(",").map(x => x.trim()).filter(Boolean) : []);
+
+/**
+ * Resolve accounts from flags/env/config without touching the network.
+ * @returns {{ users: string[], org: string|null, breakdown: boolean }}
+ */
+export function resolveAccounts(args, cfg, badge, env = process.env) {
+  const breakdown = args.breakdown ?? cfg[badge]?.breakdown ?? false;
+  if (args.users || args.org) {
+    return { users: [...new Set([args.user, ...split(args.users)].filter(Boolean))], org: args.org || null, breakdown };
+  }
+  const single = args.user || env.GH_USER;
+  if (single) return { users: [single], org: null, breakdown };
+  if (cfg.users.length || cfg.org) return { users: [...new Set(cfg.users)], org: cfg.org || null, breakdown };
+  return { users: [cfg.user], org: null, breakdown };
+}
+
+const qMembers = `
+  query($org:String!, $cursor:String){
+    organization(login:$org){
+      membersWithRole(first:100, after:$cursor){
+        nodes{ login }
+        pageInfo{ hasNextPage endCursor }
+      }
+    }
+  }`;
+
+/** Public (or read:org visible) member logins of an organization. */
+export async function orgMembers(gql, org) {
+  const logins = [];
+  let cursor = null;
+  do {
+    const d = await gql(qMembers, { org, cursor });
+    if (!d.organization) throw new Error(`organization "${org}" not found`);
+    const m = d.organization.membersWithRole;
+    logins.push(...m.nodes.map(n => n.login));
+    cursor = m.pageInfo.hasNextPage ? m.pageInfo.endCursor : null;
+  } while (cursor);
+  return logins;
+}
+
+/**
+ * Expand an org into its members and name the aggregate.
+ * `label` is the single login for one account, so single-user output is unchanged.
+ * @returns {Promise<{ logins: string[], org: string|null, label: string, aggregate: boolean, breakdown: boolean }>}
+ */
+export async function expandAccounts(gql, { users, org, breakdown }) {
+  const logins = [...users];
+  if (org) {
+    for (const login of await orgMembers(gql, org)) if (!logins.includes(login)) logins.push(login);
+  }
+  if (!logins.length) throw new Error(org ? `organization "${org}" has no visible members` : "no GitHub accounts to render");
+  const aggregate = logins.length > 1 || !!org;
+  const label = org ? (users.length ? [org, ...users].join(" + ") : org) : logins.join(" + ");
+  return { logins, org, label, aggregate, breakdown: aggregate && breakdown };
+}
@@ -0,0 +1,87 @@
+/**
+ * APNG encoder for indexed frames: PLTE + acTL, frame 0 as the default image, later
+ * frames as fcTL/fdAT sub-rectangles drawn over the previous one. Unlike GIF, delays
+ * are exact fractions (1/fps), and browsers that don't animate show frame 0.
+ */
+
+import zlib from "node:zlib";
+import { rgb } from "./gif.mjs";
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(buf, crc = 0xffffffff) {
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return crc;
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const tail = Buffer.alloc(4);
+  tail.writeUInt32BE((crc32(data, crc32(head.subarray(4))) ^ 0xffffffff) >>> 0);
+  return Buffer.concat([head, data, tail]);
+}
+
+const u32 = (...vals) => {
+  const b = Buffer.alloc(vals.length * 4);
+  vals.forEach((v, i) => b.writeUInt32BE(v, i * 4));
+  return b;
+};
+
+// 8-bit indexed scanlines, filter type 0 on every row
+function deflateRows(pixels, w, h) {
+  const raw = Buffer.alloc((w + 1) * h);
+  for (let y = 0; y < h; y++) raw.set(pixels.subarray(y * w, (y + 1) * w), y * (w + 1) + 1);
+  return zlib.deflateSync(raw, { level: 9 });
+}
+
+/**
+ * @param {object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {string[]} opts.palette  hex colors (max 256)
+ * @param {number} opts.frames     total frame count (acTL is written up front)
+ * @param {number} [opts.fps]      default delay 1/fps
+ * @param {number} [opts.loop]     0 = forever
+ * @returns {{ addFrame(pixels: Uint8Array, opts?: { x?: number, y?: number, w?: number, h?: number }): void, end(): Buffer }}
+ */
+export function createApng({ width, height, palette, frames, fps = 30, loop = 0 }) {
+  if (!palette.length || palette.length > 256) throw new Error(`apng: palette needs 1–256 colors, got ${palette.length}`);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 3, 0, 0, 0], 8); // 8-bit, indexed, deflate, adaptive filters, no interlace
+
+  const chunks = [
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    chunk("acTL", u32(frames, loop)),
+    chunk("PLTE", Buffer.from(palette.flatMap(rgb)))
+  ];
+  let seq = 0, added = 0;
+
+  return {
+    addFrame(pixels, { x = 0, y = 0, w = width, h = height } = {}) {
+      if (pixels.length !== w * h) throw new Error(`apng: frame is ${pixels.length} pixels, expected ${w}×${h}`);
+      if (added === 0 && (x || y || w !== width || h !== height)) throw new Error("apng: the first frame must cover the whole image");
+      const fctl = Buffer.concat([u32(seq++, w, h, x, y), Buffer.from([0, 1, fps >> 8, fps & 0xff, 0, 0])]);
+      chunks.push(chunk("fcTL", fctl));
+      const data = deflateRows(pixels, w, h);
+      chunks.push(added === 0 ? chunk("IDAT", data) : chunk("fdAT", Buffer.concat([u32(seq++), data])));
+      added++;
+    },
+
+    end() {
+      if (added !== frames) throw new Error(`apng: acTL promised ${frames} frames, got ${added}`);
+      chunks.push(chunk("IEND", Buffer.alloc(0)));
+      return Buffer.concat(chunks);
+    }
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Command-line flags shared by every builder.
+ *   --user <login>                   GitHub login to render (overrides env and config)
+ *   --config <file>                  boost.config.json to use, see lib/config.mjs
+ *   --theme <name>                   palette from lib/themes.mjs
+ *   --color-scheme fixed|auto|pair   single theme, prefers-color-scheme rules, or -dark/-light files
+ *   --motion animated|static|both    SMIL, a still frame only, or both (-static files), see lib/a11y.mjs
+ *   --out <file>                     write the asset somewhere else
+ *   --fixture <file.json> [--record] offline replay / capture, see lib/fixture.mjs
+ *   --history <dir>                  snapshot store to read/write, see lib/history.mjs
+ *   --force                          write even when the manifest says nothing changed
+ *
+ * Default outputs resolve against the builder's own directory, never process.cwd(),
+ * so a builder writes to the same place whichever directory it is started from.
+ */
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Parse the shared flags. `options` adds builder-specific ones in node:util
+ * parseArgs format.
+ */
+export function builderArgs(options = {}, argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      user:    { type: "string" },
+      config:  { type: "string" },
+      theme:   { type: "string" },
+      "color-scheme": { type: "string" },
+      motion:  { type: "string" },
+      out:     { type: "string" },
+      fixture: { type: "string" },
+      record:  { type: "boolean", default: false },
+      history: { type: "string" },
+      force:   { type: "boolean", default: false },
+      ...options
+    },
+    strict: true,
+    allowPositionals: false
+  });
+  if (values.record && !values.fixture) throw new Error("--record needs --fixture <file.json> to write to");
+  return values;
+}
+
+/** --out if given, else `rel` resolved against the directory of the calling script. */
+export const outPath = (args, metaUrl, rel) =>
+  path.resolve(args.out || path.resolve(path.dirname(fileURLToPath(metaUrl)), rel));
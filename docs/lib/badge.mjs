@@ -0,0 +1,240 @@
+/**
+ * Shields-style two-part badges ("label | value"), sized from lib/metrics.mjs.
+ *
+ * Styles:
+ *   pill           28px, fully rounded, letter-spaced label (the original pv-traffic look)
+ *   flat           20px, 3px corners, light gloss and text shadow
+ *   plastic        18px, 4px corners, strong gloss
+ *   for-the-badge  28px, square, uppercase and letter-spaced
+ * Colors come from the theme's pill tokens (pillLeft / pillRight / pillText), so a
+ * badge is rendered with renderThemed() like every other asset.
+ * An icon is an ICONS name (drawn as a path) or any other text, e.g. an emoji.
+ * A badge reads as "label: value" (aria-label and <title>) and has no SMIL, so its
+ * --motion static variant is the same picture.
+ */
+
+import { esc } from "./svg.mjs";
+import { measure } from "./metrics.mjs";
+import { FORMATS } from "./ticker.mjs";
+
+const FAMILY = "ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial";
+
+// gloss stops are neutral white/black overlays, so they work on any palette
+export const STYLES = {
+  pill: {
+    height: 28, radius: 14, size: 14, pad: [16, 12], minWidth: 40,
+    label: { font: "sans-bold", weight: 600, letterSpacing: 1.5 }, value: { font: "sans-bold", weight: 700 }
+  },
+  flat: {
+    height: 20, radius: 3, size: 11, pad: [6, 6], shadow: true,
+    label: { font: "sans" }, value: { font: "sans" },
+    gloss: [[0, "#bbb", 0.1], [1, "#000", 0.1]]
+  },
+  plastic: {
+    height: 18, radius: 4, size: 11, pad: [6, 6], shadow: true,
+    label: { font: "sans" }, value: { font: "sans" },
+    gloss: [[0, "#fff", 0.7], [0.1, "#aaa", 0.1], [0.9, "#000", 0.3], [1, "#000", 0.5]]
+  },
+  "for-the-badge": {
+    height: 28, radius: 0, size: 10, pad: [9, 12], upper: true,
+    label: { font: "sans", letterSpacing: 1.25 }, value: { font: "sans-bold", weight: 700, letterSpacing: 1.25 }
+  }
+};
+
+// 16×16 glyphs; `stroke` ones are outlines, the rest are filled
+export const ICONS = {
+  star:     { d: "M8 .8l2.2 4.6 5 .7-3.6 3.5.9 5L8 12.2l-4.5 2.4.9-5L.8 6.1l5-.7z" },
+  flame:    { d: "M8 0c1 3 4.5 4.6 4.5 9A4.5 4.5 0 0 1 8 15.5 4.5 4.5 0 0 1 3.5 11c0-2 1-3.4 2.2-4.4 0 2 .9 3.2 2 3.4C7.2 7 7 4 8 0z" },
+  fork:     { stroke: true, d: "M2.5 2.5a1.5 1.5 0 1 0 3 0 1.5 1.5 0 1 0-3 0M10.5 2.5a1.5 1.5 0 1 0 3 0 1.5 1.5 0 1 0-3 0M6.5 13.5a1.5 1.5 0 1 0 3 0 1.5 1.5 0 1 0-3 0M4 4v1.5A1.5 1.5 0 0 0 5.5 7h5A1.5 1.5 0 0 0 12 5.5V4M8 7v5" },
+  eye:      { stroke: true, d: "M1 8s2.5-5 7-5 7 5 7 5-2.5 5-7 5-7-5-7-5zM6 8a2 2 0 1 0 4 0 2 2 0 1 0-4 0" },
+  issue:    { stroke: true, d: "M1.5 8a6.5 6.5 0 1 0 13 0 6.5 6.5 0 1 0-13 0M7.2 8a.8.8 0 1 0 1.6 0 .8.8 0 1 0-1.6 0" },
+  download: { stroke: true, d: "M8 1.5v9M4.5 7L8 10.5 11.5 7M2 14.5h12" },
+  commit:   { stroke: true, d: "M1 8h4.5M10.5 8H15M5.5 8a2.5 2.5 0 1 0 5 0 2.5 2.5 0 1 0-5 0" }
+};
+
+// ---- left- and right-rounded rectangles (r = 0 gives square corners) -------
+export const roundedLeftPath = (x, y, w, h, r) => `
+  M${x+r},${y}
+  L${x+w},${y}
+  L${x+w},${y+h}
+  L${x+r},${y+h}
+  Q${x},${y+h} ${x},${y+h-r}
+  L${x},${y+r}
+  Q${x},${y} ${x+r},${y}
+  Z
+`.trim();
+
+export const roundedRightPath = (x, y, w, h, r) => `
+  M${x},${y}
+  L${x+w-r},${y}
+  Q${x+w},${y} ${x+w},${y+r}
+  L${x+w},${y+h-r}
+  Q${x+w},${y+h} ${x+w-r},${y+h}
+  L${x},${y+h}
+  Z
+`.trim();
+
+/** { left, right, text } color overrides (boost.config.json) → theme token overrides. */
+export const pillColors = ({ left, right, text } = {}) => Object.fromEntries(
+  [["pillLeft", left], ["pillRight", right], ["pillText", text]].filter(([, v]) => v)
+);
+
+const ICON_GAP = 4;
+
+/**
+ * Lay out one badge.
+ * @param {object} spec
+ * @param {string} spec.label
+ * @param {string|number} spec.value
+ * @param {string} [spec.style]  STYLES key (default "flat")
+ * @param {string} [spec.icon]   ICONS name or literal text drawn before the label
+ * @returns {{ width: number, height: number, css: (t) => string, svg: (style: string) => string }}
+ *   css/svg plug straight into renderThemed()
+ */
+export function badge({ label, value, style = "flat", icon }) {
+  const s = STYLES[style];
+  if (!s) throw new Error(`unknown badge style "${style}" (available: ${Object.keys(STYLES).join(", ")})`);
+  const H = s.height, R = s.radius;
+  const [padL, padR] = s.pad;
+  const caps = v => (s.upper ? String(v).toUpperCase() : String(v));
+  const labelText = caps(label), valueText = caps(value);
+  const font = part => ({ font: s[part].font, size: s.size, letterSpacing: s[part].letterSpacing ?? 0 });
+
+  const iconSize = icon ? (ICONS[icon] ? s.size + 2 : Math.ceil(measure(icon, { size: s.size }))) : 0;
+  const iconW = icon ? iconSize + (labelText ? ICON_GAP : 0) : 0;
+  const width = (text, part, pad, extra = 0) =>
+    Math.max(s.minWidth ?? 0, Math.ceil(pad * 2 + extra + measure(text, font(part))));
+  const LEFT_W = width(labelText, "label", padL, iconW);
+  const RIGHT_W = width(valueText, "value", padR);
+  const W = LEFT_W + RIGHT_W;
+  const baseline = Math.round(H / 2 + s.size * 0.35);
+
+  const text = (x, str, part) => {
+    const p = s[part];
+    const attrs = `font-size="${s.size}"` + (p.weight ? ` font-weight="${p.weight}"` : "") +
+      (p.letterSpacing ? ` letter-spacing="${p.letterSpacing}"` : "");
+    const shadow = s.shadow
+      ? `\n  <text x="${x}" y="${baseline + 1}" text-anchor="middle" font-family="${FAMILY}" ${attrs} fill="#010101" fill-opacity=".3">${esc(str)}</text>`
+      : "";
+    return `${shadow}
+  <text x="${x}" y="${baseline}" text-anchor="middle" font-family="${FAMILY}" ${attrs} class="txt">${esc(str)}</text>`;
+  };
+
+  const iconX = padL, iconY = (H - iconSize) / 2;
+  const iconSvg = !icon ? ""
+    : ICONS[icon]
+      ? `\n  <path transform="translate(${iconX} ${iconY}) scale(${iconSize / 16})" d="${ICONS[icon].d}" class="${ICONS[icon].stroke ? "icoLine" : "txt"}"/>`
+      : `\n  <text x="${iconX}" y="${baseline}" font-size="${s.size}" class="txt">${esc(icon)}</text>`;
+
+  const gloss = s.gloss ? `
+  <linearGradient id="gloss" x2="0" y2="100%">
+    ${s.gloss.map(([at, c, o]) => `<stop offset="${at}" stop-color="${c}" stop-opacity="${o}"/>`).join("\n    ")}
+  </linearGradient>
+  <rect width="${W}" height="${H}" rx="${R}" fill="url(#gloss)"/>` : "";
+
+  const css = t => `
+    .left{ fill:${t.pillLeft} } .right{ fill:${t.pillRight} } .txt{ fill:${t.pillText} }` + (ICONS[icon]?.stroke ? `
+    .icoLine{ fill:none; stroke:${t.pillText}; stroke-width:1.6; stroke-linecap:round; stroke-linejoin:round }` : "");
+
+  const labelX = (LEFT_W + iconW) / 2;
+  const svg = style => `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}"
+     viewBox="0 0 ${W} ${H}" role="img" aria-label="${esc(label)}: ${esc(String(value))}">
+  <title>${esc(label)}: ${esc(String(value))}</title>
+  <style>
+    ${style}
+  </style>
+  <path d="${roundedLeftPath(0, 0, LEFT_W, H, R)}" class="left"/>
+  <path d="${roundedRightPath(LEFT_W, 0, RIGHT_W, H, R)}" class="right"/>${gloss}${iconSvg}${text(labelX, labelText, "label")}${text(LEFT_W + RIGHT_W / 2, valueText, "value")}
+</svg>`;
+
+  return { width: W, height: H, css, svg };
+}
+
+// ---- batches from docs/history (lib/history.mjs) ---------------------------
+
+/** History files badges can read, and what their rows hold. */
+export const SOURCES = {
+  pv:       "views (profile page views)",
+  streak:   "total, current, longest",
+  trophies: "one number per trophy id (stars, commits, followers, …)",
+  flow:     "contributions30, contributions365",
+  ticker:   "repos.<repo>.{stars, forks, watchers, open_issues, pulls_count, views, clones, size_kb, …}",
+  traffic:  "clones, uniqueClones, views, uniqueViews per day; key is owner/repo"
+};
+
+const pick = (row, metric) => metric.split(".").reduce((v, k) => (v == null ? v : v[k]), row);
+const short = name => name.split("/").pop();
+
+/**
+ * Turn boost.config.json badges.items into concrete badges.
+ * An item shows `value` as is, or the `metric` of history `from`:
+ *   the latest row's number, or the sum over every row with `total` (lifetime clones);
+ *   rows are `key`'s (default `user`); key "*" makes one badge per key (traffic repos),
+ *   and "{repo}" in the metric one per name found there (ticker's "repos.{repo}.stars").
+ * "{repo}" in name and label is replaced per badge; `format` is a lib/ticker.mjs FORMATS key.
+ * @param {object[]} items   cfg.badges.items
+ * @param {Record<string, object[]>} history  rows per SOURCES name
+ * @param {object} opts
+ * @param {string} opts.user  whose rows items without a `key` read
+ * @returns {{ name, label, value, icon, style, colors }[]}
+ */
+export function expandBadges(items, history, { user }) {
+  const problems = [];
+  const out = [];
+  items.forEach((item, i) => {
+    const where = `badges.items[${i}] (${item.name})`;
+    if (item.value != null) {
+      out.push(item);
+      return;
+    }
+    const perKey = item.key === "*", perName = item.metric?.includes("{repo}");
+    const wrong = !item.from || !item.metric ? `needs either "value" or "from" + "metric"`
+      : !SOURCES[item.from] ? `unknown history "${item.from}" (known: ${Object.keys(SOURCES).join(", ")})`
+      : perKey && perName ? `use key "*" or "{repo}" in the metric, not both`
+      : (perKey || perName) && !item.name.includes("{repo}") ? `a per-repo badge needs "{repo}" in its name`
+      : null;
+    if (wrong) {
+      problems.push(`${where}: ${wrong}`);
+      return;
+    }
+
+    const rows = history[item.from] ?? [];
+    // value(row) → the metric in one row; repo names may contain dots, so they are never split
+    const show = (keyRows, value, repo = "") => {
+      const values = keyRows.map(value).filter(v => typeof v === "number");
+      const v = !values.length ? null : item.total ? values.reduce((a, b) => a + b, 0) : values.at(-1);
+      const fill = s => s.replaceAll("{repo}", repo);
+      out.push({
+        ...item,
+        name: fill(item.name),
+        label: fill(item.label),
+        value: v == null ? "n/a" : FORMATS[item.format ?? "num"](v) + (item.suffix ?? "")
+      });
+    };
+
+    if (perKey) {
+      const keys = [...new Set(rows.map(r => r.key))].sort();
+      for (const k of keys) show(rows.filter(r => r.key === k), r => pick(r, item.metric), short(k));
+      return;
+    }
+    const mine = rows.filter(r => r.key === (item.key ?? user));
+    if (!perName) {
+      show(mine, r => pick(r, item.metric));
+      return;
+    }
+    const [head, tail] = item.metric.split("{repo}").map(p => p.replace(/^\.|\.$/g, ""));
+    const group = r => (head ? pick(r, head) : r);
+    const at = (obj, p) => (p ? pick(obj ?? {}, p) : obj);
+    for (const n of Object.keys(group(mine.at(-1) ?? {}) ?? {}).sort()) {
+      show(mine, r => at(group(r)?.[n], tail), short(n));
+    }
+  });
+  const seen = new Set();
+  for (const b of out) {
+    if (seen.has(b.name)) problems.push(`two badges are both named "${b.name}"`);
+    seen.add(b.name);
+  }
+  if (problems.length) throw new Error(`badges: invalid items\n${problems.map(p => `  - ${p}`).join("\n")}`);
+  return out;
+}
@@ -0,0 +1,292 @@
+/**
+ * Contribution calendars: lifetime fetch in 365-day windows, merged by date.
+ * Shared by the streak builder and anything else that needs per-day counts.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const qUser = `query($login:String!){ user(login:$login){ createdAt } }`;
+const qCal = `query($login:String!, $from:DateTime!, $to:DateTime!){
+  user(login:$login){
+    contributionsCollection(from:$from, to:$to){
+      contributionCalendar{ weeks{ contributionDays{ date contributionCount } } }
+    }
+  }
+}`;
+
+const addDays = (d, n) => { const t = new Date(d); t.setUTCDate(t.getUTCDate() + n); return t; };
+
+const startOfDay = d => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+
+/**
+ * Per-day counts from `from` up to `to`, fetched in 365-day windows (the API's limit).
+ * @returns {Promise<{ date: string, count: number }[]>} oldest first
+ */
+export async function fetchDays(gql, login, from, to) {
+  let cursor = startOfDay(from);
+  const allDays = [];
+  while (cursor < to) {
+    const end = addDays(cursor, 365);
+    const winFrom = cursor.toISOString();
+    const winTo = (end < to ? end : to).toISOString();
+    const data = await gql(qCal, { login, from: winFrom, to: winTo });
+    const days = data.user.contributionsCollection.contributionCalendar.weeks
+      .flatMap(w => w.contributionDays)
+      .map(d => ({ date: d.date, count: d.contributionCount }));
+    allDays.push(...days);
+    cursor = end;
+  }
+  // adjacent windows share their boundary day: keep one copy, don't add them up
+  const unique = new Map(allDays.map(d => [d.date, d]));
+  return mergeCalendars([[...unique.values()]]);
+}
+
+/**
+ * Every calendar day from account creation up to `now`.
+ * @returns {Promise<{ login: string, createdAt: Date, days: { date: string, count: number }[] }>}
+ */
+export async function fetchCalendar(gql, login, now) {
+  const who = await gql(qUser, { login });
+  const createdAt = new Date(who.user.createdAt);
+  return { login, createdAt, days: await fetchDays(gql, login, createdAt, now) };
+}
+
+// ---- local copy ------------------------------------------------------------------
+
+async function readCopy(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  try {
+    const copy = JSON.parse(text);
+    return copy.days?.length ? { ...copy, createdAt: new Date(copy.createdAt) } : null;
+  } catch {
+    throw new Error(`${file}: not a calendar copy (delete it to fetch the lifetime calendar again)`);
+  }
+}
+
+// one day per line keeps the daily commit's diff to the days that changed
+const serializeCopy = ({ login, createdAt, days }) => [
+  "{",
+  `  "login": ${JSON.stringify(login)},`,
+  `  "createdAt": ${JSON.stringify(createdAt.toISOString())},`,
+  `  "days": [`,
+  days.map(d => `    ${JSON.stringify(d)}`).join(",\n"),
+  "  ]",
+  "}",
+  ""
+].join("\n");
+
+/**
+ * fetchCalendar that keeps a copy in <dir>/calendar/<login>.json: with one on disk, only
+ * the last `refetchDays` days before its newest day (and anything since) are fetched again
+ * and replace the copy's, so contributions GitHub counts late are reconciled while older
+ * days are never downloaded twice. No `dir` fetches the lifetime calendar every time.
+ * A `timeZone` other than UTC re-buckets the returned last `refetchDays` days by local date
+ * (localizeDays); the copy keeps GitHub's UTC days.
+ * @returns {Promise<{ login: string, createdAt: Date, days: { date: string, count: number }[],
+ *                     since: string|null, touched: boolean }>}
+ *   `since`: first day fetched again (null for a lifetime fetch); `touched`: the copy changed
+ */
+export async function syncCalendar(gql, login, now, { dir = null, refetchDays = 30, timeZone = "UTC" } = {}) {
+  const file = dir ? path.join(dir, "calendar", `${login}.json`) : null;
+  const copy = file ? await readCopy(file) : null;
+
+  let cal, since = null;
+  if (copy) {
+    const from = addDays(new Date(`${copy.days.at(-1).date}T00:00:00Z`), -refetchDays);
+    since = from.toISOString().slice(0, 10);
+    const fresh = await fetchDays(gql, login, from, now);
+    cal = { login, createdAt: copy.createdAt, days: [...copy.days.filter(d => d.date < since), ...fresh] };
+  } else {
+    cal = await fetchCalendar(gql, login, now);
+  }
+
+  let touched = false;
+  if (file) {
+    const text = serializeCopy(cal);
+    if (!copy || text !== serializeCopy(copy)) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, text, "utf8");
+      touched = true;
+    }
+  }
+  return { ...cal, days: await localizeDays(gql, login, cal.days, now, timeZone, refetchDays), since, touched };
+}
+
+// ---- per-type contributions --------------------------------------------------
+
+/** Contribution types the calendar total is made of (repository creation aside). */
+export const CONTRIBUTION_TYPES = {
+  commits: "Commits",
+  prs:     "Pull requests",
+  reviews: "Reviews",
+  issues:  "Issues"
+};
+
+const CONNECTIONS = {
+  prs:     "pullRequestContributions",
+  reviews: "pullRequestReviewContributions",
+  issues:  "issueContributions"
+};
+
+// one node per repo per day, so 100 nodes cover a 100-day slice of any repo
+const qCommits = `query($login:String!, $from:DateTime!, $to:DateTime!){
+  user(login:$login){
+    contributionsCollection(from:$from, to:$to){
+      commitContributionsByRepository(maxRepositories:100){ contributions(first:100){ nodes{ occurredAt commitCount } } }
+    }
+  }
+}`;
+
+const qConnection = field => `query($login:String!, $from:DateTime!, $to:DateTime!, $cursor:String){
+  user(login:$login){
+    contributionsCollection(from:$from, to:$to){
+      ${field}(first:100, after:$cursor){ pageInfo{ hasNextPage endCursor } nodes{ occurredAt } }
+    }
+  }
+}`;
+
+const SLICE_DAYS = 100;
+
+// every contribution of `types` from `from` up to `to` with its timestamp, in 100-day slices
+async function fetchContributions(gql, login, from, to, types) {
+  const out = [];
+  const add = (type, at, count = 1) => out.push({ type, at, count });
+
+  for (let cursor = startOfDay(from); cursor < to; cursor = addDays(cursor, SLICE_DAYS)) {
+    const end = addDays(cursor, SLICE_DAYS);
+    const vars = { login, from: cursor.toISOString(), to: (end < to ? end : to).toISOString() };
+    for (const type of types) {
+      if (type === "commits") {
+        const data = await gql(qCommits, vars);
+        for (const repo of data.user.contributionsCollection.commitContributionsByRepository) {
+          for (const n of repo.contributions.nodes) add(type, n.occurredAt, n.commitCount);
+        }
+        continue;
+      }
+      let page = null;
+      do {
+        const data = await gql(qConnection(CONNECTIONS[type]), { ...vars, cursor: page });
+        const conn = data.user.contributionsCollection[CONNECTIONS[type]];
+        for (const n of conn.nodes) add(type, n.occurredAt);
+        page = conn.pageInfo.hasNextPage ? conn.pageInfo.endCursor : null;
+      } while (page);
+    }
+  }
+  return out;
+}
+
+/**
+ * Per-day counts of each of `types` (CONTRIBUTION_TYPES keys) from `from` up to `to`,
+ * in 100-day slices. Days are UTC dates of occurredAt.
+ * @returns {Promise<Record<string, { date: string, count: number }[]>>}
+ */
+export async function fetchTypeDays(gql, login, from, to, types) {
+  const counts = Object.fromEntries(types.map(t => [t, new Map()]));
+  for (const { type, at, count } of await fetchContributions(gql, login, from, to, types)) {
+    counts[type].set(at.slice(0, 10), (counts[type].get(at.slice(0, 10)) || 0) + count);
+  }
+  return Object.fromEntries(types.map(t => [t, mergeCalendars([[...counts[t]].map(([date, count]) => ({ date, count }))])]));
+}
+
+/**
+ * `days` (GitHub's calendar, which counts UTC days) with the last `recentDays` days re-bucketed
+ * by their date in `timeZone`, so a 5pm commit in Los Angeles counts for that day rather than
+ * the next. Every contribution with a timestamp moves from its UTC date to its local one; what
+ * the calendar counts without one (private work, new repositories) stays on its UTC date.
+ * Older days are left as GitHub counted them.
+ */
+export async function localizeDays(gql, login, days, now, timeZone = "UTC", recentDays = 30) {
+  if (timeZone === "UTC" || !days.length) return days;
+  const from = addDays(startOfDay(now), -recentDays);
+  const byDate = new Map(days.map(d => [d.date, d.count]));
+  const add = (date, n) => byDate.set(date, (byDate.get(date) || 0) + n);
+  for (const { at, count } of await fetchContributions(gql, login, from, now, Object.keys(CONTRIBUTION_TYPES))) {
+    add(at.slice(0, 10), -count);
+    add(localDate(new Date(at), timeZone), count);
+  }
+  return mergeCalendars([[...byDate].map(([date, count]) => ({ date, count: Math.max(0, count) }))]);
+}
+
+/**
+ * Sum several accounts' day lists by date, sorted oldest first.
+ * A date missing from one list counts as zero there.
+ */
+export function mergeCalendars(lists) {
+  const byDate = new Map();
+  for (const list of lists) {
+    for (const d of list) byDate.set(d.date, (byDate.get(d.date) || 0) + d.count);
+  }
+  return [...byDate.entries()]
+    .map(([date, count]) => ({ date, count }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// ---- streaks -------------------------------------------------------------------
+
+/**
+ * What keeps a streak alive (boost.config.json streak.rules):
+ *   timezone     IANA zone whose days count: the builders re-bucket recent contributions by
+ *                local date (localizeDays) and "today" turns over at local midnight
+ *   weekendsOff  a Saturday or Sunday without contributions doesn't break a streak
+ *   graceDays    up to N missed days in a row don't break it either
+ * Excused days never add to a streak's length, and neither does today until it has
+ * contributions: no commit yet today is "pending", not missed.
+ */
+export const DEFAULT_RULES = { timezone: "UTC", weekendsOff: false, graceDays: 0 };
+
+/** Calendar date ("2025-11-14") of an instant in `timeZone`. */
+export const localDate = (instant, timeZone = "UTC") =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(instant);
+
+const isWeekend = date => [0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+// one pass over the calendar: every run, and whether the last one is still going
+function scanRuns(days, rules, today = null) {
+  const { weekendsOff, graceDays } = { ...DEFAULT_RULES, ...rules };
+  const runs = [];
+  let cur = null;
+  for (const d of days) {
+    if (d.count > 0) {
+      if (!cur) cur = { start: d.date, end: d.date, len: 0, missed: 0 };
+      cur.end = d.date;
+      cur.len++;
+      cur.missed = 0;
+    } else if (!cur || d.date === today || (weekendsOff && isWeekend(d.date))) {
+      continue;
+    } else if (++cur.missed > graceDays) {
+      runs.push(cur);
+      cur = null;
+    }
+  }
+  if (cur) runs.push(cur);
+  return { runs: runs.map(({ start, end, len }) => ({ start, end, len })), alive: cur !== null };
+}
+
+/**
+ * Current streak: the run that `rules` still count as going on `now`, 0 when it broke.
+ */
+export function currentStreak(days, now, rules = {}) {
+  const today = localDate(now, rules.timezone);
+  const { runs, alive } = scanRuns(days.filter(d => d.date <= today), rules, today);
+  return alive ? runs.at(-1).len : 0;
+}
+
+/** Every streak under `rules`, oldest first; `end` is its last active day. */
+export const streakRuns = (days, rules = {}) => scanRuns(days, rules).runs;
+
+/** The active rules in words for a subtitle, "" for the defaults. */
+export function rulesCaption(rules = {}) {
+  const { timezone, weekendsOff, graceDays } = { ...DEFAULT_RULES, ...rules };
+  return [
+    weekendsOff && "weekends off",
+    graceDays && `${graceDays} grace day${graceDays === 1 ? "" : "s"}`,
+    timezone !== "UTC" && timezone
+  ].filter(Boolean).join(" · ");
+}
@@ -0,0 +1,58 @@
+/**
+ * The glowing card shared by the trophies and repo cards, so both read as one set:
+ * a pulsing glow behind a rounded frame, a title row, one big value line and a
+ * one-line description, plus whatever the caller draws around them.
+ *
+ * Markup inside a card is card-local (0,0 = its top-left corner). The document needs
+ * GLOW_FILTER in its <defs> and cardCss(t) in its <style>.
+ */
+
+import { esc } from "./svg.mjs";
+import { fitText } from "./metrics.mjs";
+
+export const CARD_W = 300, CARD_H = 120;
+
+const TITLE_FONT = { font: "sans-bold", size: 16 };
+const DESC_FONT = { size: 12 };
+
+export const GLOW_FILTER = `<filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
+      <feGaussianBlur stdDeviation="6" result="b"/>
+      <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>`;
+
+const glow = (x, y, w, h) => `
+  <g filter="url(#glow)">
+    <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="18" ry="18" class="glowRect" opacity="0.14">
+      <animate attributeName="opacity" values="0.10;0.20;0.10" dur="2s" repeatCount="indefinite"/>
+    </rect>
+  </g>`;
+
+/**
+ * One card at (x, y).
+ * @param {object} c
+ * @param {string} c.title          plain text, squeezed into `titleRoom`
+ * @param {string} c.value          markup (escape data yourself)
+ * @param {string} c.desc           plain text, squeezed into the card's width
+ * @param {string} [c.adorn]        markup drawn first, e.g. icons in the title row
+ * @param {string} [c.extra]        markup drawn last, e.g. rows below the description
+ * @param {number} [c.titleRoom]    px the title may take (default: the full width)
+ */
+export function card({ x, y = 10, w = CARD_W, h = CARD_H, title, titleRoom = w - 40, value, desc, adorn = "", extra = "" }) {
+  return `
+  ${glow(x - 6, y - 6, w + 12, h + 12)}
+  <g transform="translate(${x},${y})">
+    <rect x="0" y="0" rx="14" ry="14" width="${w}" height="${h}" class="card"/>
+    ${adorn}
+    <text x="20" y="34" class="cardTitle"${fitText(title, titleRoom, TITLE_FONT)}>${esc(title)}</text>
+    <text x="20" y="70" class="cardValue">${value}</text>
+    <text x="20" y="96" class="cardDesc"${fitText(desc, w - 40, DESC_FONT)}>${esc(desc)}</text>${extra}
+  </g>`;
+}
+
+/** The rules card() markup relies on. */
+export const cardCss = t => `
+    .cardTitle{ font:700 16px system-ui; fill:${t.text} }
+    .cardValue{ font:800 22px system-ui; fill:${t.accent} }
+    .cardDesc{ font:12px system-ui; fill:${t.muted} }
+    .card{ fill:${t.card}; stroke:${t.cardStroke} }
+    .glowRect{ fill:${t.glow} }`;
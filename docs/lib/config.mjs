@@ -0,0 +1,399 @@
+/**
+ * boost.config.json — one declarative file for user, titles, colors and per-badge options.
+ *
+ * Lookup: --config <file>, else $BOOST_CONFIG, else <repo>/boost.config.json (optional).
+ * Every key is validated against SCHEMA below; unknown keys and bad values are all
+ * reported at once with their dotted path, so a fork can rebrand without touching source.
+ * Precedence in the builders: CLI flag > env var > config file > SCHEMA default.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { THEMES, COLOR_SCHEMES } from "./themes.mjs";
+import { TIERS } from "./trophies.mjs";
+import { DEFAULT_SEGMENT, SORT_KEYS, FORMATS } from "./ticker.mjs";
+import { STYLES, SOURCES } from "./badge.mjs";
+import { WINDOWS, BUCKETS } from "./flow.mjs";
+import { CONTRIBUTION_TYPES } from "./calendar.mjs";
+import { CHART_STYLES } from "./languages.mjs";
+import { MOTIONS } from "./a11y.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+export const DEFAULT_CONFIG = path.join(ROOT, "boost.config.json");
+
+export class ConfigError extends Error {
+  constructor(file, problems) {
+    super(`${file}: invalid config\n${problems.map(p => `  - ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// ---------------- Schema ----------------
+const str   = (def) => ({ type: "string", def });
+const num   = (def, min = -Infinity, max = Infinity) => ({ type: "number", def, min, max });
+const int   = (def, min = -Infinity, max = Infinity) => ({ type: "integer", def, min, max });
+const bool  = (def) => ({ type: "boolean", def });
+const color = (def) => ({ type: "color", def });
+const timezone = (def) => ({ type: "timezone", def });
+const list  = (item, def) => ({ type: "array", item, def });
+const obj   = (fields) => ({ type: "object", fields });
+const oneOf = (values, def) => ({ type: "enum", values, def });
+const theme = () => oneOf(Object.keys(THEMES), undefined);
+const required = (spec) => ({ ...spec, required: true });
+const badgeStyle = (def) => oneOf(Object.keys(STYLES), def);
+const pillColors = () => obj({
+  left:  color(undefined),
+  right: color(undefined),
+  text:  color(undefined)
+});
+
+const DEFAULT_BADGES = [
+  { name: "stars", label: "stars", from: "trophies", metric: "stars", icon: "star" },
+  { name: "streak", label: "streak", from: "streak", metric: "current", suffix: " days", icon: "flame" },
+  { name: "clones-{repo}", label: "{repo} clones", from: "traffic", metric: "clones", key: "*", total: true, icon: "download" },
+  { name: "issues-{repo}", label: "{repo} issues", from: "ticker", metric: "repos.{repo}.open_issues", icon: "issue" }
+];
+
+export const SCHEMA = obj({
+  $schema: str(undefined),
+  user: str("statikfintechllc"),
+  // aggregate badges (trophies, streak, heatmap, languages): several logins and/or an org’s members
+  users: list(str(), []),
+  org: str(undefined),
+
+  // no global default: each badge falls back to its own signature palette
+  theme: theme(),
+  lightTheme: oneOf(Object.keys(THEMES), "light"),
+  colorScheme: oneOf(COLOR_SCHEMES, "fixed"),
+  // SMIL with a reduced-motion still frame, the still frame only, or both (see lib/a11y.mjs)
+  motion: oneOf(MOTIONS, "animated"),
+  // size pass on every SVG before it is written (see lib/optimize.mjs)
+  optimize: obj({
+    enabled:   bool(true),
+    precision: int(2, 0, 6),            // decimals kept in coordinates
+    // KB per file after optimizing, by config section; a bigger file fails the build (0 = no limit)
+    budgets: obj({
+      streak:    int(512, 0),
+      trophies:  int(64, 0),
+      flow:      int(128, 0),
+      heatmap:   int(256, 0),
+      languages: int(64, 0),
+      repoCards: int(128, 0),
+      pv:        int(8, 0),
+      badges:    int(8, 0),
+      ticker:    int(64, 0)
+    })
+  }),
+  // PNG copies of the SVGs for renderers without SMIL (docs/png, lib/frames.mjs)
+  png: obj({
+    scale:      num(2, 0.25, 8),        // output pixels per SVG pixel
+    sheetScale: num(1, 0.25, 8),        // contact sheets hold every frame, so they stay small
+    time:       num(1, 0),              // seconds in, for SVGs that are not carousels
+    strip:      int(0, 0, 24),          // moments in <name>-strip.png (0 = no strip)
+    columns:    int(8, 1, 40),          // contact sheet frames per row
+    background: color(undefined),       // behind transparent SVGs; sheets default to #0d1117
+    // resvg-wasm sees no system fonts: files under the repo root, or inside docs/png's
+    // packages (dejavu-fonts-ttf is installed there); missing ones are skipped with a warning
+    fonts: list(str(), [
+      "dejavu-fonts-ttf/ttf/DejaVuSans.ttf",
+      "dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf",
+      "dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf",
+      "dejavu-fonts-ttf/ttf/DejaVuSansMono-Bold.ttf"
+    ])
+  }),
+
+  // daily metric snapshots for deltas and sparklines (see lib/history.mjs)
+  history: obj({
+    enabled:   bool(true),
+    dir:       str("docs/history"),
+    deltaDays: int(7, 1, 365),
+    sparkDays: int(30, 2, 365)
+  }),
+
+  streak: obj({
+    theme: theme(),
+    maxFrames: int(80, 2, 400),
+    breakdown: bool(false),
+    // live runs keep each calendar under history.dir/calendar/ and fetch only this many
+    // trailing days again (the heatmap shares the copy; see lib/calendar.mjs syncCalendar)
+    refetchDays: int(30, 1, 365),
+    // what counts as keeping the streak alive (see lib/calendar.mjs); shown under the ring
+    rules: obj({
+      // IANA name, e.g. "America/Los_Angeles": the last refetchDays days are counted by local date
+      timezone:    timezone("UTC"),
+      weekendsOff: bool(false),
+      graceDays:   int(0, 0, 7)
+    }),
+    titles: obj({
+      total:   str("Total Contributions"),
+      current: str("Current Streak"),
+      longest: str("Longest Streaks")
+    })
+  }),
+
+  trophies: obj({
+    theme: theme(),
+    pageSec:  num(6, 1, 60),
+    holdFrac: num(0.75, 0, 1),
+    breakdown: bool(false),
+    // custom trophies, or overrides of built-in ones by id (see lib/trophies.mjs)
+    catalog: list(obj({
+      id:     required(str(undefined)),
+      title:  str(undefined),
+      source: str(undefined),
+      icon:   str(undefined),
+      desc:   str(undefined),
+      tiers:  obj(Object.fromEntries(TIERS.map(t => [t, num(undefined, 0)])))
+    }), []),
+    // trophy ids to render, in order (default: the built-in set, then custom ones)
+    show: list(str(), [])
+  }),
+
+  flow: obj({
+    theme: theme(),
+    title: str("Statik DK Smoke’s Crimson Flow"),
+    // days ending today, or "all" since the account was created (see lib/flow.mjs)
+    window: oneOf(WINDOWS, 30),
+    bucket: oneOf(BUCKETS, "auto"),
+    overlays: obj({
+      average:  int(0, 0, 90),          // trailing moving average over N buckets (0 = off)
+      previous: bool(false),            // the period before, same length
+      types:    list(oneOf(Object.keys(CONTRIBUTION_TYPES), undefined), [])
+    })
+  }),
+
+  heatmap: obj({
+    theme: theme(),
+    title: str("Contribution Heatmap"),
+    // one more page per calendar year, in a carousel after the last 12 months (see lib/heatmap.mjs)
+    years:    bool(false),
+    pageSec:  num(6, 1, 60),
+    holdFrac: num(0.75, 0, 1),
+    // outline the longest streak's days (under streak.rules) and name its range under the grid
+    highlightStreak: bool(true)
+  }),
+
+  // bytes per language over owned non-fork repos (see lib/languages.mjs)
+  languages: obj({
+    theme: theme(),
+    title: str("Most Used Languages"),
+    style: oneOf(CHART_STYLES, "donut"),
+    limit: int(8, 2, 10),
+    exclude: list(str(), []),
+    merge: list(obj({
+      from: required(list(str(), undefined)),
+      into: required(str(undefined))
+    }), []),
+    // repos left out entirely: "name" in every account, "owner/name" in that one only
+    excludeRepos: list(str(), [])
+  }),
+
+  // stats.json repos as trophy-style cards, one file each or one grid (see lib/card.mjs)
+  repoCards: obj({
+    theme: theme(),
+    layout:    oneOf(["cards", "grid"], "grid"),
+    columns:   int(2, 1, 4),
+    // which repos, in what order, as in ticker (short names or owner/name; sort is descending)
+    include:   list(str(), []),
+    exclude:   list(str(), []),
+    sort:      oneOf(SORT_KEYS, "stars"),
+    limit:     int(6, 0, 100),
+    // days of traffic history behind the views/clones sparklines
+    sparkDays: int(14, 2, 90)
+  }),
+
+  pv: obj({
+    theme: theme(),
+    label: str("PROFILE TRAFFIC"),
+    style: badgeStyle("pill"),
+    icon:  str(undefined),
+    // optional: override the theme's pill colors
+    colors: pillColors(),
+    // where the number comes from: komarev.com, or our own counter (scripts/counter-server.mjs)
+    source: oneOf(["komarev", "counter"], "komarev"),
+    // the counter's base URL; without one build-pv reads counter.store directly
+    counterUrl: str(undefined)
+  }),
+
+  // self-hosted page-view counter (see lib/counter.mjs)
+  counter: obj({
+    port:       int(8787, 0, 65535),
+    store:      str("docs/v.svg/counter.json"),
+    dedupe:     bool(true),
+    // take the visitor IP from X-Forwarded-For (only behind a proxy you control), the
+    // entry proxyHops from the right: the one your outermost proxy appended
+    trustProxy: bool(false),
+    proxyHops:  int(1, 1, 10),
+    // logins it counts (default: user)
+    keys:       list(str(), [])
+  }),
+
+  // shields-style badges from history snapshots (see lib/badge.mjs expandBadges)
+  badges: obj({
+    theme: theme(),
+    style:  badgeStyle("flat"),
+    colors: pillColors(),
+    items: list(obj({
+      name:   required(str(undefined)),   // file stem; "{repo}" for one badge per repo
+      label:  required(str(undefined)),
+      value:  str(undefined),             // fixed text instead of a metric
+      from:   oneOf(Object.keys(SOURCES), undefined),
+      metric: str(undefined),             // dotted path in that history's rows
+      key:    str(undefined),             // whose rows (default: user); "*" = one badge per key
+      total:  bool(false),                // sum every day instead of the latest (lifetime counts)
+      format: oneOf(Object.keys(FORMATS), "num"),
+      suffix: str(""),
+      icon:   str(undefined),
+      style:  badgeStyle(undefined),
+      colors: pillColors()
+    }), DEFAULT_BADGES)
+  }),
+
+  ticker: obj({
+    theme: theme(),
+    repos:       list(str(), []),
+    pxPerChar:   num(22, 1, 200),
+    screenWidth: int(2048, 64, 8192),
+    scrollSpeed: num(8, 1, 200),
+    fps:         int(60, 1, 120),
+    // gif: 1/100 s delays (60 fps plays at 50); apng: exact 1/fps, written as ticker.png.
+    // An explicit --out ending in .gif or .png picks the format instead
+    format:      oneOf(["gif", "apng"], "gif"),
+    // what each repo's segment says: {field|format|trend} placeholders, see lib/ticker.mjs
+    segment:     str(DEFAULT_SEGMENT),
+    separator:   str(" — "),
+    // which repos, in what order (short names or owner/name); sort is descending
+    include:     list(str(), []),
+    exclude:     list(str(), []),
+    sort:        oneOf(SORT_KEYS, "none"),
+    limit:       int(0, 0, 100)
+  })
+});
+
+// ---------------- Validation ----------------
+const HEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const validZone = timeZone => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Levenshtein distance for "did you mean" hints
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+const suggest = (key, keys) => {
+  const best = keys
+    .map(k => [k, distance(key.toLowerCase(), k.toLowerCase())])
+    .sort((x, y) => x[1] - y[1])[0];
+  return best && best[1] <= Math.max(2, key.length / 3) ? ` (did you mean "${best[0]}"?)` : "";
+};
+
+const show = v => JSON.stringify(v);
+
+function check(spec, value, where, problems) {
+  switch (spec.type) {
+    case "object": {
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        problems.push(`"${where || "<root>"}" must be an object, got ${show(value)}`);
+        return;
+      }
+      const keys = Object.keys(spec.fields);
+      for (const k of keys) {
+        if (spec.fields[k].required && value[k] === undefined) problems.push(`missing key "${where ? `${where}.${k}` : k}"`);
+      }
+      for (const [k, v] of Object.entries(value)) {
+        const at = where ? `${where}.${k}` : k;
+        if (!spec.fields[k]) problems.push(`unknown key "${at}"${suggest(k, keys)}`);
+        else check(spec.fields[k], v, at, problems);
+      }
+      return;
+    }
+    case "string":
+      if (typeof value !== "string") problems.push(`"${where}" must be a string, got ${show(value)}`);
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") problems.push(`"${where}" must be true or false, got ${show(value)}`);
+      return;
+    case "color":
+      if (typeof value !== "string" || !HEX.test(value)) problems.push(`"${where}" must be a hex color like "#8B0000", got ${show(value)}`);
+      return;
+    case "timezone":
+      if (typeof value !== "string" || !validZone(value)) problems.push(`"${where}" must be an IANA time zone like "Europe/Berlin", got ${show(value)}`);
+      return;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+        problems.push(`"${where}" must be ${spec.type === "integer" ? "an integer" : "a number"}, got ${show(value)}`);
+      } else if (value < spec.min || value > spec.max) {
+        problems.push(`"${where}" must be between ${spec.min} and ${spec.max}, got ${value}`);
+      }
+      return;
+    case "enum":
+      if (!spec.values.includes(value)) problems.push(`"${where}" must be one of ${spec.values.map(show).join(", ")}, got ${show(value)}`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        problems.push(`"${where}" must be an array, got ${show(value)}`);
+        return;
+      }
+      value.forEach((v, i) => check(spec.item, v, `${where}[${i}]`, problems));
+      return;
+  }
+}
+
+/** Fill in SCHEMA defaults under a validated value. */
+function resolve(spec, value) {
+  if (spec.type !== "object") return value === undefined ? structuredClone(spec.def) : value;
+  const out = {};
+  for (const [k, s] of Object.entries(spec.fields)) {
+    const v = resolve(s, value?.[k]);
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+/** Validate a parsed config object; returns it with defaults applied or throws ConfigError. */
+export function validateConfig(raw, file = "boost.config.json") {
+  const problems = [];
+  check(SCHEMA, raw, "", problems);
+  if (problems.length) throw new ConfigError(file, problems);
+  return resolve(SCHEMA, raw);
+}
+
+/**
+ * Load and validate the config; `config` is the --config flag from builderArgs().
+ * A missing default file is fine (all defaults); a missing explicit file is an error.
+ */
+export async function loadConfig({ config } = {}) {
+  const explicit = config || process.env.BOOST_CONFIG;
+  const file = path.resolve(explicit || DEFAULT_CONFIG);
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (!explicit && err.code === "ENOENT") return resolve(SCHEMA, {});
+    throw new Error(`cannot read config ${file}: ${err.message}`);
+  }
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(file, [`not valid JSON: ${err.message}`]);
+  }
+  return validateConfig(raw, path.relative(process.cwd(), file) || file);
+}
@@ -0,0 +1,110 @@
+/**
+ * File-backed page-view counter (the store behind scripts/counter-server.mjs, and the
+ * local stand-in build-pv.mjs reads when no counter URL is configured).
+ *
+ * One JSON file: { version, salt, counters: { <key>: { count, hits, seen: { <day>: [hash…] } } } }
+ *   hits   every request
+ *   count  the number shown: with dedupe, one per visitor per UTC day
+ * Visitors are kept only as salted SHA-256 hashes of their IP for the current day;
+ * older days are dropped on the next hit, so the file never holds addresses or grows
+ * with traffic.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export const COUNTER_VERSION = 1;
+
+const isoDay = d => d.toISOString().slice(0, 10);
+
+async function readStore(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file}: not a counter store (${err.message})`);
+  }
+  if (doc.version !== COUNTER_VERSION || typeof doc.counters !== "object") {
+    throw new Error(`${file}: not a version ${COUNTER_VERSION} counter store`);
+  }
+  return doc;
+}
+
+/**
+ * One key's numbers from a store file, without opening it for writing ({ count: 0 } when
+ * the store has never seen the key). A missing store throws: reading it as zero would
+ * publish a wrong number instead of failing the build.
+ */
+export async function readCounter(file, key) {
+  const doc = await readStore(file);
+  if (!doc) throw new Error(`${file}: no counter store (run scripts/counter-server.mjs, or set pv.counterUrl)`);
+  const c = doc.counters[key];
+  return { key, count: c?.count ?? 0, hits: c?.hits ?? 0 };
+}
+
+/**
+ * @param {string} file
+ * @param {object} [opts]
+ * @param {boolean} [opts.dedupe]  count each IP hash once per UTC day (default true)
+ * @param {string}  [opts.salt]    hash salt; default: a random one kept in the store
+ */
+export async function openCounter(file, { dedupe = true, salt } = {}) {
+  const doc = (await readStore(file)) ?? { version: COUNTER_VERSION, salt: crypto.randomBytes(16).toString("hex"), counters: {} };
+  const pepper = salt ?? doc.salt;
+  let writing = Promise.resolve();
+
+  // writes are queued and atomic (temp file + rename), so a crash never leaves half a store;
+  // a failed write (ENOSPC, EACCES) rejects only its own save(), the next one tries again
+  const save = () => {
+    const write = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(doc, null, 2) + "\n", "utf8");
+      await fs.rename(tmp, file);
+    });
+    writing = write;
+    return write;
+  };
+
+  const get = key => {
+    const c = doc.counters[key];
+    return { key, count: c?.count ?? 0, hits: c?.hits ?? 0 };
+  };
+
+  return {
+    file,
+    get,
+
+    /**
+     * Record one view of `key` from `ip` at `now`.
+     * @returns {Promise<{ key, count, hits, counted: boolean }>}
+     */
+    async hit(key, ip, now = new Date()) {
+      const c = (doc.counters[key] ??= { count: 0, hits: 0, seen: {} });
+      const day = isoDay(now);
+      for (const d of Object.keys(c.seen)) if (d !== day) delete c.seen[d];
+      c.hits++;
+      let counted = true;
+      if (dedupe) {
+        const hash = crypto.createHash("sha256").update(`${pepper}\0${day}\0${ip}`).digest("hex").slice(0, 16);
+        const seen = (c.seen[day] ??= []);
+        counted = !seen.includes(hash);
+        if (counted) seen.push(hash);
+      }
+      if (counted) c.count++;
+      await save();
+      return { ...get(key), counted };
+    },
+
+    /** Wait for queued writes (tests, shutdown). */
+    flush: () => writing
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Offline fixtures for badge builders.
+ *   --fixture <file.json>            replay recorded payloads (no token, no network)
+ *   --fixture <file.json> --record   run live and save every raw payload to <file.json>
+ *
+ * A fixture also pins "now", so date windows and build tags replay byte-for-byte.
+ * Every tape (live included) digests the responses it hands out, in order; requests are
+ * left out because they carry "now". lib/manifest.mjs uses that as the input hash.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export const FIXTURE_VERSION = 1;
+
+const squash = s => (typeof s === "string" ? s.replace(/\s+/g, " ").trim() : s);
+
+// stable across query re-indentation; variables carry the (pinned) dates
+export const tapeKey = (kind, request) =>
+  kind + ":" + crypto.createHash("sha256")
+    .update(JSON.stringify(request, (k, v) => squash(v)))
+    .digest("hex").slice(0, 16);
+
+// one entry per line keeps recordings small and their diffs readable
+const serialize = doc => [
+  "{",
+  `  "version": ${doc.version},`,
+  `  "now": ${JSON.stringify(doc.now)},`,
+  `  "entries": {`,
+  Object.entries(doc.entries).map(([k, v]) => `    ${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(",\n"),
+  "  }",
+  "}",
+  ""
+].join("\n");
+
+/**
+ * @returns {{ mode: "live"|"replay"|"record", now: Date, file: string|null,
+ *             take: (kind: string, request: object, fetcher: () => Promise<any>) => Promise<any>,
+ *             digest: () => string }}
+ */
+export async function openTape(opts = {}) {
+  const tape = await open(opts);
+  const hash = crypto.createHash("sha256");
+  const take = tape.take;
+  tape.take = async (kind, request, fetcher) => {
+    const response = await take(kind, request, fetcher);
+    hash.update(`${kind}\0${JSON.stringify(response)}\n`);
+    return response;
+  };
+  tape.digest = () => hash.copy().digest("hex");
+  return tape;
+}
+
+async function open({ fixture, record = false }) {
+  if (!fixture) {
+    return { mode: "live", now: new Date(), file: null, take: (kind, request, fetcher) => fetcher() };
+  }
+
+  const file = path.resolve(fixture);
+
+  if (record) {
+    const now = new Date();
+    const doc = { version: FIXTURE_VERSION, now: now.toISOString(), entries: {} };
+    const take = async (kind, request, fetcher) => {
+      const response = await fetcher();
+      doc.entries[tapeKey(kind, request)] = { kind, request, response };
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, serialize(doc), "utf8");
+      return response;
+    };
+    return { mode: "record", now, file, take };
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`cannot read fixture ${file}: ${err.message}`);
+  }
+  if (doc.version !== FIXTURE_VERSION || !doc.entries) {
+    throw new Error(`fixture ${file} is not a v${FIXTURE_VERSION} recording (re-record with --record)`);
+  }
+  const take = async (kind, request) => {
+    const hit = doc.entries[tapeKey(kind, request)];
+    if (!hit) {
+      throw new Error(`fixture ${file} has no recorded ${kind} response for ${JSON.stringify(request).slice(0, 160)}… (re-record with --record)`);
+    }
+    return structuredClone(hit.response);
+  };
+  return { mode: "replay", now: new Date(doc.now), file, take };
+}
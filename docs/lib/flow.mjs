@@ -0,0 +1,90 @@
+/**
+ * Crimson flow series: which days a window covers, how they are bucketed and the
+ * overlay series drawn on the same axes.
+ *
+ *   window   7 | 30 | 90 | 365 days ending today, or "all" (since the account was created)
+ *   bucket   day | week (Monday-based) | month; "auto" picks day up to 90 days,
+ *            week for a year and month for all-time
+ *   overlays moving average (trailing, in buckets), the previous period of the same
+ *            length, and per-type counts (lib/calendar.mjs CONTRIBUTION_TYPES)
+ */
+
+export const WINDOWS = [7, 30, 90, 365, "all"];
+export const BUCKETS = ["auto", "day", "week", "month"];
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const isoDay = d => d.toISOString().slice(0, 10);
+const parse = date => new Date(`${date}T00:00:00Z`);
+
+export const resolveBucket = (bucket, window) =>
+  bucket !== "auto" ? bucket : window === "all" ? "month" : window > 90 ? "week" : "day";
+
+/** First day a bucket containing `date` starts on. */
+function bucketStart(date, bucket) {
+  const d = parse(date);
+  if (bucket === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (bucket === "month") d.setUTCDate(1);
+  return isoDay(d);
+}
+
+/** Axis label of a bucket starting on `start`. */
+export function bucketLabel(start, bucket) {
+  const d = parse(start);
+  if (bucket === "month") return `${MONTHS[d.getUTCMonth()]} ’${String(d.getUTCFullYear()).slice(2)}`;
+  return `${d.getUTCMonth() + 1}/${d.getUTCDate()}`;
+}
+
+/**
+ * The `window`'s days from an oldest-first day list ending today, plus the same number
+ * of days before them (for the previous-period overlay; shorter when history runs out).
+ */
+export function windowDays(days, window) {
+  if (window === "all") return { current: days, previous: [] };
+  return { current: days.slice(-window), previous: days.slice(Math.max(0, days.length - 2 * window), -window) };
+}
+
+/** Sum days into buckets: [{ start, count }], oldest first. */
+export function bucketize(days, bucket) {
+  const out = [];
+  for (const d of days) {
+    const start = bucket === "day" ? d.date : bucketStart(d.date, bucket);
+    if (out.at(-1)?.start === start) out.at(-1).count += d.count;
+    else out.push({ start, count: d.count });
+  }
+  return out;
+}
+
+/** Counts of `typed` days ([{ date, count }], sparse) on the dates of `days`, zero-filled. */
+export function alignDays(days, typed) {
+  const by = new Map(typed.map(d => [d.date, d.count]));
+  return days.map(d => ({ date: d.date, count: by.get(d.date) ?? 0 }));
+}
+
+/** Trailing mean over `n` values; the first points average what exists so far. */
+export function movingAverage(values, n) {
+  let sum = 0;
+  return values.map((v, i) => {
+    sum += v;
+    if (i >= n) sum -= values[i - n];
+    return sum / Math.min(i + 1, n);
+  });
+}
+
+/**
+ * Previous-period values lined up with the current buckets from the right, so bucket i
+ * of the comparison sits under bucket i of the window (null where it has no data).
+ */
+export function alignPrevious(current, previous) {
+  const shift = current.length - previous.length;
+  return current.map((_, i) => previous[i - shift]?.count ?? null);
+}
+
+/** Human caption of a window: "Last 30 days", "Last 365 days, weekly", "All time, monthly". */
+export function windowCaption(window, bucket) {
+  const per = bucket === "day" ? "" : `, ${bucket === "week" ? "weekly" : "monthly"}`;
+  return (window === "all" ? "All time" : `Last ${window} days`) + per;
+}
+
+/** How many days before `now` the builder has to fetch for `window` (and its previous period). */
+export const fetchSpan = (window, previous) => (window === "all" ? null : window * (previous ? 2 : 1));
@@ -0,0 +1,59 @@
+// docs/lib/fonts/strip-font.mjs
+// Turn a TTF/OTF into the metrics-only WOFF lib/metrics.mjs loads: keeps the tables
+// that describe advances and character mapping, drops outlines and glyph names.
+//   node docs/lib/fonts/strip-font.mjs /usr/share/fonts/truetype/dejavu/DejaVuSans.ttf docs/lib/fonts/DejaVuSans.metrics.woff
+
+import fs from "node:fs";
+import zlib from "node:zlib";
+import { readTables } from "../metrics.mjs";
+
+const KEEP = ["OS/2", "cmap", "head", "hhea", "hmtx", "maxp", "name", "post"];
+
+const checksum = buf => {
+  const padded = Buffer.concat([buf, Buffer.alloc((4 - (buf.length % 4)) % 4)]);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  return sum;
+};
+
+function stripToWoff(font) {
+  const tables = readTables(font);
+  const entries = KEEP.filter(t => tables[t]).map(t => {
+    let data = Buffer.from(tables[t]);
+    // post format 3: same metrics fields, no glyph name table
+    if (t === "post") { data = data.subarray(0, 32); data.writeUInt32BE(0x00030000, 0); }
+    const comp = zlib.deflateSync(data, { level: 9 });
+    return { tag: t, orig: data, data: comp.length < data.length ? comp : data, sum: checksum(data) };
+  });
+
+  const pad4 = n => (n + 3) & ~3;
+  let offset = 44 + entries.length * 20;
+  const dir = Buffer.alloc(entries.length * 20);
+  entries.forEach((e, i) => {
+    dir.write(e.tag, i * 20, "latin1");
+    dir.writeUInt32BE(offset, i * 20 + 4);
+    dir.writeUInt32BE(e.data.length, i * 20 + 8);
+    dir.writeUInt32BE(e.orig.length, i * 20 + 12);
+    dir.writeUInt32BE(e.sum, i * 20 + 16);
+    e.offset = offset;
+    offset += pad4(e.data.length);
+  });
+
+  const head = Buffer.alloc(44);
+  head.write("wOFF", 0, "latin1");
+  head.writeUInt32BE(0x00010000, 4);
+  head.writeUInt32BE(offset, 8);
+  head.writeUInt16BE(entries.length, 12);
+  head.writeUInt32BE(12 + entries.length * 16 + entries.reduce((n, e) => n + pad4(e.orig.length), 0), 16);
+  head.writeUInt16BE(1, 20);
+  return Buffer.concat([head, dir, ...entries.map(e => Buffer.concat([e.data, Buffer.alloc(pad4(e.data.length) - e.data.length)]))]);
+}
+
+const [input, output] = process.argv.slice(2);
+if (!input || !output) {
+  console.error("usage: node docs/lib/fonts/strip-font.mjs <font.ttf> <out.metrics.woff>");
+  process.exit(2);
+}
+const woff = stripToWoff(fs.readFileSync(input));
+fs.writeFileSync(output, woff);
+console.log(`wrote ${output} (${(woff.length / 1024).toFixed(1)} KB)`);
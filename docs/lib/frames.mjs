@@ -0,0 +1,279 @@
+/**
+ * SMIL at one moment, for rasterizers that only draw a document's initial state (resvg).
+ *
+ * freeze(svg, t) evaluates every <animate>, <animateTransform>, <animateMotion> and <set>
+ * at t seconds, writes the result onto the element it animates and drops the SMIL, so
+ * the static document looks like the animated one at that instant.
+ * Supported: values and from/to lists, keyTimes, linear / discrete / spline / paced
+ * timing, begin offset lists, repeatCount, fill="freeze", additive transforms, motion
+ * along path="…" or an <mpath>. Event and syncbase begins never start; rotate="auto"
+ * and keyPoints are ignored.
+ *
+ * Carousels name their frames on the root <svg>: data-frames="80/6.4s" is 80 frames,
+ * one after another, every 6.4 s. carousel() reads that and frameTimes() gives the
+ * middle of each frame; tile() lays rendered frames out as a strip or a contact sheet.
+ */
+
+import { esc } from "./svg.mjs";
+
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+const SMIL = new Set(["animate", "animateTransform", "animateMotion", "set"]);
+const TAG = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)\b[^>]*?(\/?)>/g;
+
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+
+const UNITS = { ms: 0.001, s: 1, min: 60, h: 3600 };
+const seconds = v => {
+  const m = /^\s*(-?[\d.]+)(ms|s|min|h)?\s*$/.exec(v ?? "");
+  return m ? Number(m[1]) * UNITS[m[2] ?? "s"] : null;
+};
+
+const fmt = v => String(Math.round(v * 1000) / 1000);
+
+// ---------------- Timing ----------------
+
+/** Simple-duration progress 0..1 of an animation at `t`, or null when it has no effect. */
+function progress(tag, t) {
+  const begins = (attr(tag, "begin") ?? "0s").split(";").map(seconds).filter(b => b !== null && b <= t);
+  if (!begins.length) return null;
+  const local = t - Math.max(...begins);
+  const dur = seconds(attr(tag, "dur"));
+  if (!dur) return 0;                                   // <set> without dur: holds from its begin
+  const rc = attr(tag, "repeatCount");
+  const repeat = rc === "indefinite" ? Infinity : rc ? Number(rc) : 1;
+  if (local < dur * repeat) return (local % dur) / dur;
+  return attr(tag, "fill") === "freeze" ? (repeat % 1 || 1) : null;
+}
+
+// y on a keySpline ("x1 y1 x2 y2") at x = u, by bisection on the curve parameter
+function ease(spline, u) {
+  const [x1, y1, x2, y2] = spline.trim().split(/[\s,]+/).map(Number);
+  const at = (a, b, s) => 3 * a * s * (1 - s) ** 2 + 3 * b * s * s * (1 - s) + s ** 3;
+  let lo = 0, hi = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (at(x1, x2, mid) < u) lo = mid; else hi = mid;
+  }
+  return at(y1, y2, (lo + hi) / 2);
+}
+
+// numbers move, everything around them must match; anything else (colors, names) jumps halfway
+function mix(a, b, u) {
+  const na = a.match(NUMBER) ?? [], nb = b.match(NUMBER) ?? [];
+  if (a.includes("#") || na.length !== nb.length || a.replace(NUMBER, "0") !== b.replace(NUMBER, "0")) return u < 0.5 ? a : b;
+  let i = 0;
+  return a.replace(NUMBER, () => { const v = +na[i] + (+nb[i] - +na[i]) * u; i++; return fmt(v); });
+}
+
+/** The animation's value at progress `p` over `list`; "paced" spreads keyframes evenly. */
+function valueAt(tag, list, p, mode) {
+  if (list.length === 1) return list[0];
+  const keyTimes = attr(tag, "keyTimes")?.split(";").map(Number);
+  if (mode === "discrete") {
+    const times = keyTimes ?? list.map((_, i) => i / list.length);
+    let i = 0;
+    while (i + 1 < list.length && times[i + 1] <= p) i++;
+    return list[i];
+  }
+  const times = mode !== "paced" && keyTimes ? keyTimes : list.map((_, i) => i / (list.length - 1));
+  let i = 0;
+  while (i < list.length - 2 && times[i + 1] <= p) i++;
+  const span = times[i + 1] - times[i];
+  let u = span > 0 ? Math.min(1, Math.max(0, (p - times[i]) / span)) : 1;
+  const spline = mode === "spline" && attr(tag, "keySplines")?.split(";")[i];
+  if (spline) u = ease(spline, u);
+  return mix(list[i], list[i + 1], u);
+}
+
+// ---------------- Motion paths ----------------
+
+// a path as a polyline: curves sampled, arcs straightened
+function flatten(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) ?? [];
+  const pts = [];
+  let x = 0, y = 0, sx = 0, sy = 0, cmd = null, ctrl = null, i = 0;
+  const n = () => Number(tokens[i++]);
+  const curve = (x0, y0, c, x3, y3) => {
+    for (let k = 1; k <= 12; k++) {
+      const s = k / 12, r = 1 - s;
+      pts.push(c.length === 1
+        ? [r * r * x0 + 2 * r * s * c[0][0] + s * s * x3, r * r * y0 + 2 * r * s * c[0][1] + s * s * y3]
+        : [r ** 3 * x0 + 3 * r * r * s * c[0][0] + 3 * r * s * s * c[1][0] + s ** 3 * x3,
+           r ** 3 * y0 + 3 * r * r * s * c[0][1] + 3 * r * s * s * c[1][1] + s ** 3 * y3]);
+    }
+  };
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) cmd = tokens[i++];
+    else if (!cmd) break;
+    const C = cmd.toUpperCase(), ox = cmd === C ? 0 : x, oy = cmd === C ? 0 : y;
+    if (C === "Z") { x = sx; y = sy; pts.push([x, y]); cmd = null; continue; }
+    let last = null;
+    if (C === "M" || C === "L" || C === "T") {
+      const nx = ox + n(), ny = oy + n();
+      if (C === "T") {
+        const c = ctrl?.q ? [2 * x - ctrl.x, 2 * y - ctrl.y] : [x, y];
+        curve(x, y, [c], nx, ny); last = { x: c[0], y: c[1], q: true };
+      } else pts.push([nx, ny]);
+      if (C === "M") { sx = nx; sy = ny; cmd = cmd === "M" ? "L" : "l"; }
+      x = nx; y = ny;
+    } else if (C === "H") { x = ox + n(); pts.push([x, y]); }
+    else if (C === "V") { y = oy + n(); pts.push([x, y]); }
+    else if (C === "C" || C === "S") {
+      const c1 = C === "S" ? (ctrl && !ctrl.q ? [2 * x - ctrl.x, 2 * y - ctrl.y] : [x, y]) : [ox + n(), oy + n()];
+      const c2 = [ox + n(), oy + n()], nx = ox + n(), ny = oy + n();
+      curve(x, y, [c1, c2], nx, ny); last = { x: c2[0], y: c2[1] };
+      x = nx; y = ny;
+    } else if (C === "Q") {
+      const c = [ox + n(), oy + n()], nx = ox + n(), ny = oy + n();
+      curve(x, y, [c], nx, ny); last = { x: c[0], y: c[1], q: true };
+      x = nx; y = ny;
+    } else if (C === "A") {
+      i += 5; x = ox + n(); y = oy + n(); pts.push([x, y]);
+    } else break;
+    ctrl = last;
+  }
+  return pts;
+}
+
+function pointAlong(pts, p) {
+  const lengths = [0];
+  for (let k = 1; k < pts.length; k++) {
+    lengths.push(lengths[k - 1] + Math.hypot(pts[k][0] - pts[k - 1][0], pts[k][1] - pts[k - 1][1]));
+  }
+  const at = p * lengths.at(-1);
+  let k = 1;
+  while (k < pts.length - 1 && lengths[k] < at) k++;
+  const seg = lengths[k] - lengths[k - 1], u = seg ? (at - lengths[k - 1]) / seg : 0;
+  return [pts[k - 1][0] + (pts[k][0] - pts[k - 1][0]) * u, pts[k - 1][1] + (pts[k][1] - pts[k - 1][1]) * u];
+}
+
+// ---------------- Freezing ----------------
+
+function setAttr(tag, name, value) {
+  const re = new RegExp(`(\\s${name}=")[^"]*(")`);
+  return re.test(tag) ? tag.replace(re, `$1${value}$2`) : tag.replace(/\s*(\/?)>$/, ` ${name}="${value}"$1>`);
+}
+
+/**
+ * `svg` as it looks `t` seconds in, without SMIL.
+ * @param {string} svg
+ * @param {number} t  seconds
+ * @returns {string}
+ */
+export function freeze(svg, t) {
+  const edits = [], open = [];
+  const pathById = id => attr(svg.match(new RegExp(`<path\\b[^>]*\\sid="${id}"[^>]*>`))?.[0] ?? "", "d");
+
+  // record what one SMIL element does to its target (the element it sits in)
+  const apply = (target, tag, body) => {
+    const name = tag.match(/^<([\w:-]+)/)[1];
+    const p = progress(tag, t);
+    if (!target || p === null) return;
+    const fx = target.fx ??= { attrs: {}, transform: attr(target.tag, "transform") ?? "", motion: null };
+    if (name === "animateMotion") {
+      const d = attr(tag, "path") ?? pathById(attr(body, "href")?.slice(1) ?? attr(body, "xlink:href")?.slice(1));
+      const pts = d ? flatten(d) : [];
+      if (pts.length > 1) fx.motion = pointAlong(pts, p);
+      return;
+    }
+    const list = name === "set" ? [attr(tag, "to")]
+      : attr(tag, "values")?.split(";").map(s => s.trim())
+      ?? [attr(tag, "from") ?? attr(target.tag, attr(tag, "attributeName")) ?? "0", attr(tag, "to")];
+    if (list.some(v => v == null)) return;
+    const mode = attr(tag, "calcMode") ?? "linear";
+    const value = valueAt(tag, list, p, mode);
+    if (name === "animateTransform") {
+      const step = `${attr(tag, "type") ?? "translate"}(${value})`;
+      fx.transform = attr(tag, "additive") === "sum" && fx.transform ? `${fx.transform} ${step}` : step;
+    } else {
+      fx.attrs[attr(tag, "attributeName")] = value;
+    }
+  };
+
+  // an SMIL element goes with the whitespace before it
+  const removal = (start, end) => {
+    while (start > 0 && /\s/.test(svg[start - 1])) start--;
+    edits.push({ start, end, text: "" });
+  };
+
+  for (const m of svg.matchAll(TAG)) {
+    const [tag, closing, name, selfClosing] = m;
+    if (!name) continue;
+    const end = m.index + tag.length;
+    if (closing) {
+      const el = open.pop();
+      if (SMIL.has(el.name)) {
+        apply(open.at(-1), el.tag, svg.slice(el.start, end));
+        removal(el.start, end);
+      } else if (el.fx) {
+        let out = el.tag;
+        for (const [k, v] of Object.entries(el.fx.attrs)) out = setAttr(out, k, v);
+        const transform = [el.fx.motion && `translate(${el.fx.motion.map(fmt).join(",")})`, el.fx.transform].filter(Boolean).join(" ");
+        if (transform) out = setAttr(out, "transform", transform);
+        edits.push({ start: el.start, end: el.start + el.tag.length, text: out });
+      }
+    } else if (SMIL.has(name) && selfClosing) {
+      apply(open.at(-1), tag, tag);
+      removal(m.index, end);
+    } else if (!selfClosing) {
+      open.push({ name, start: m.index, tag });
+    }
+  }
+
+  edits.sort((a, b) => a.start - b.start);
+  let out = "", at = 0;
+  for (const e of edits) {
+    out += svg.slice(at, e.start) + e.text;
+    at = e.end;
+  }
+  return out + svg.slice(at);
+}
+
+// ---------------- Carousels ----------------
+
+/** data-frames="80/6.4s" on the root → { count: 80, period: 6.4 }, or null. */
+export function carousel(svg) {
+  const m = /^(\d+)\/(.+)$/.exec(attr(svg.match(/<svg\b[^>]*>/)?.[0] ?? "", "data-frames") ?? "");
+  const period = m && seconds(m[2]);
+  return m && period ? { count: Number(m[1]), period } : null;
+}
+
+/** Middle of each of `count` frames evenly spread over `period` seconds. */
+export const frameTimes = ({ count, period }) =>
+  Array.from({ length: count }, (_, i) => ((i + 0.5) * period) / count);
+
+/** The longest repeating cycle in `svg` (a carousel's period when it names one). */
+export function loopSeconds(svg) {
+  const c = carousel(svg);
+  if (c) return c.period;
+  const durs = [...svg.matchAll(/<(?:animate|animateTransform|animateMotion|set)\b[^>]*\sdur="([^"]+)"/g)].map(m => seconds(m[1]) ?? 0);
+  return Math.max(0, ...durs);
+}
+
+/**
+ * One image per cell, left to right then down, each with an optional caption under it.
+ * @param {{ href: string, width: number, height: number }[]} images  rendered frames (data: URLs)
+ * @param {object} [opts]
+ * @param {number} [opts.columns]  default: one row
+ * @param {number} [opts.gap]
+ * @param {string[]} [opts.labels]
+ * @param {string} [opts.background]
+ * @returns {string} SVG document
+ */
+export function tile(images, { columns = images.length, gap = 8, labels, background } = {}) {
+  const cw = Math.max(...images.map(i => i.width)), ch = Math.max(...images.map(i => i.height));
+  const LABEL = labels ? 18 : 0;
+  const cols = Math.min(columns, images.length), rows = Math.ceil(images.length / cols);
+  const W = gap + cols * (cw + gap), H = gap + rows * (ch + LABEL + gap);
+  const cells = images.map((img, i) => {
+    const x = gap + (i % cols) * (cw + gap), y = gap + Math.floor(i / cols) * (ch + LABEL + gap);
+    return `  <image x="${x}" y="${y}" width="${img.width}" height="${img.height}" href="${img.href}"/>` + (labels ? `
+  <text x="${x + 4}" y="${y + ch + 13}" font-family="sans-serif" font-size="12" fill="#8b949e">${esc(labels[i])}</text>` : "");
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">${background ? `
+  <rect width="${W}" height="${H}" fill="${background}"/>` : ""}
+${cells.join("\n")}
+</svg>
+`;
+}
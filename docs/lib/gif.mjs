@@ -0,0 +1,141 @@
+/**
+ * GIF89a encoder for indexed frames (the ticker): global palette, NETSCAPE loop,
+ * LZW-compressed sub-rectangles. Frames are encoded as they are added, so a
+ * multi-thousand-frame animation never holds more than one raw frame.
+ *
+ * Delays are in hundredths of a second; browsers treat 0–1 as 10, so callers should
+ * stay at 2 (50 fps) or above — see gifDelay().
+ */
+
+/** Nearest usable GIF delay (1/100 s) for `fps`. */
+export const gifDelay = fps => Math.max(2, Math.round(100 / fps));
+
+/** "#rrggbb" / "#rgb" (alpha ignored) → [r, g, b]. */
+export const rgb = hex => {
+  const h = hex.replace("#", "");
+  const full = h.length <= 4 ? [...h.slice(0, 3)].map(c => c + c).join("") : h.slice(0, 6);
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+};
+
+/** Growable byte buffer. */
+function bytes(size = 1 << 16) {
+  let buf = new Uint8Array(size), n = 0;
+  const room = k => {
+    if (n + k <= buf.length) return;
+    const next = new Uint8Array(Math.max(buf.length * 2, n + k));
+    next.set(buf.subarray(0, n));
+    buf = next;
+  };
+  return {
+    byte(b) { room(1); buf[n++] = b; },
+    u16(v) { room(2); buf[n++] = v & 0xff; buf[n++] = (v >> 8) & 0xff; },
+    put(arr) { room(arr.length); buf.set(arr, n); n += arr.length; },
+    take() { const out = buf.slice(0, n); n = 0; return out; }
+  };
+}
+
+// direct-indexed (prefix << 8 | pixel) → code table; entries are stamped with a
+// generation so a dictionary reset doesn't have to clear a megabyte
+const table = new Int32Array(1 << 20);
+let generation = 0;
+
+/** LZW-compress `pixels` into GIF data sub-blocks (min code size byte included). */
+export function lzw(pixels, minCodeSize, out = bytes()) {
+  const clear = 1 << minCodeSize, eoi = clear + 1;
+  let codeSize, next;
+  const reset = () => {
+    codeSize = minCodeSize + 1;
+    next = eoi + 1;
+    if (++generation >= 1 << 19) { table.fill(0); generation = 1; }
+  };
+
+  const block = new Uint8Array(255);
+  let fill = 0, acc = 0, bits = 0;
+  const flushByte = b => {
+    block[fill++] = b;
+    if (fill === 255) { out.byte(255); out.put(block); fill = 0; }
+  };
+  const emit = code => {
+    acc |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) { flushByte(acc & 0xff); acc >>>= 8; bits -= 8; }
+  };
+
+  out.byte(minCodeSize);
+  reset();
+  emit(clear);
+  let prefix = pixels[0];
+  const stamp = () => generation << 12;
+  for (let i = 1; i < pixels.length; i++) {
+    const k = pixels[i];
+    const key = (prefix << 8) | k;
+    const hit = table[key];
+    if ((hit >>> 12) === generation && hit !== 0) {
+      prefix = hit & 0xfff;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      reset();
+    } else {
+      if (next >= 1 << codeSize) codeSize++;
+      table[key] = stamp() | next++;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (bits > 0) flushByte(acc & 0xff);
+  if (fill) { out.byte(fill); out.put(block.subarray(0, fill)); }
+  out.byte(0);
+  return out;
+}
+
+/**
+ * @param {object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {string[]} opts.palette  hex colors; pixel value i uses palette[i] (max 256)
+ * @param {number} [opts.loop]     0 = forever (NETSCAPE2.0); null = play once
+ * @returns {{ addFrame(pixels: Uint8Array, opts?: { x?: number, y?: number, w?: number, h?: number, delay?: number }): void, end(): Buffer }}
+ */
+export function createGif({ width, height, palette, loop = 0 }) {
+  if (!palette.length || palette.length > 256) throw new Error(`gif: palette needs 1–256 colors, got ${palette.length}`);
+  const depth = Math.max(1, Math.ceil(Math.log2(palette.length)));
+  const chunks = [];
+  const out = bytes();
+
+  out.put(new TextEncoder().encode("GIF89a"));
+  out.u16(width);
+  out.u16(height);
+  out.byte(0x80 | ((depth - 1) << 4) | (depth - 1)); // global table, its size
+  out.byte(0); // background index
+  out.byte(0); // square pixels
+  for (let i = 0; i < 1 << depth; i++) out.put(rgb(palette[i] ?? palette[0]));
+  if (loop != null) {
+    out.byte(0x21); out.byte(0xff); out.byte(11);
+    out.put(new TextEncoder().encode("NETSCAPE2.0"));
+    out.byte(3); out.byte(1); out.u16(loop); out.byte(0);
+  }
+
+  return {
+    addFrame(pixels, { x = 0, y = 0, w = width, h = height, delay = 0 } = {}) {
+      if (pixels.length !== w * h) throw new Error(`gif: frame is ${pixels.length} pixels, expected ${w}×${h}`);
+      // graphic control: dispose "do not dispose" so sub-rectangles draw over the last frame
+      out.byte(0x21); out.byte(0xf9); out.byte(4);
+      out.byte(1 << 2); out.u16(delay); out.byte(0); out.byte(0);
+      out.byte(0x2c);
+      out.u16(x); out.u16(y); out.u16(w); out.u16(h);
+      out.byte(0);
+      lzw(pixels, Math.max(2, depth), out);
+      chunks.push(out.take());
+    },
+
+    end() {
+      out.byte(0x3b);
+      chunks.push(out.take());
+      return Buffer.concat(chunks);
+    }
+  };
+}
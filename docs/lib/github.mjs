@@ -0,0 +1,196 @@
+/**
+ * Shared GitHub GraphQL client for every badge builder.
+ * - Reads X-RateLimit-* headers, backs off or stops cleanly when the budget is gone
+ * - Honors Retry-After (secondary rate limits) and retries 5xx and network errors with
+ *   exponential backoff
+ * - Optional on-disk response cache (GH_CACHE_TTL seconds) so repeat runs make zero calls
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { EXIT_UNCHANGED, stopCleanlyWhenUnchanged } from "./manifest.mjs";
+
+const ENDPOINT = "https://api.github.com/graphql";
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+export const DEFAULT_CACHE_DIR = path.join(ROOT, ".cache", "github");
+
+export class RateLimitError extends Error {
+  constructor(message, { resetAt = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = "RateLimitError";
+    this.resetAt = resetAt;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// token lookup shared by all builders (workflows use different secret names)
+export const envToken = () =>
+  process.env.PAT_GITHUB || process.env.GH_TOKEN || process.env.GITHUB_TOKEN || "";
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+const num = v => (v == null || v === "" ? null : Number(v));
+
+export const readRateLimit = headers => ({
+  limit: num(headers.get("x-ratelimit-limit")),
+  remaining: num(headers.get("x-ratelimit-remaining")),
+  used: num(headers.get("x-ratelimit-used")),
+  reset: num(headers.get("x-ratelimit-reset")), // epoch seconds
+  resource: headers.get("x-ratelimit-resource"),
+  retryAfter: num(headers.get("retry-after"))
+});
+
+// ---------------- Cache ----------------
+// builders pass `to: now` with millisecond precision; key on the calendar day instead,
+// freshness is governed by the TTL
+const ISO_TS = /^(\d{4}-\d{2}-\d{2})T[\d:.]+Z$/;
+const stableVars = variables => Object.fromEntries(Object.entries(variables)
+  .map(([k, v]) => [k, typeof v === "string" ? v.replace(ISO_TS, "$1") : v]));
+
+const cacheKey = (query, variables) =>
+  crypto.createHash("sha256").update(JSON.stringify({ query, variables: stableVars(variables) })).digest("hex");
+
+async function cacheRead(dir, key, ttlSec) {
+  try {
+    const hit = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf8"));
+    if (Date.now() - hit.storedAt <= ttlSec * 1000) return hit.data;
+  } catch {}
+  return undefined;
+}
+
+async function cacheWrite(dir, key, data) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${key}.json`), JSON.stringify({ storedAt: Date.now(), data }), "utf8");
+}
+
+// ---------------- Client ----------------
+/**
+ * @param {object} opts
+ * @param {string}  [opts.token]        defaults to PAT_GITHUB / GH_TOKEN / GITHUB_TOKEN
+ * @param {string}  [opts.userAgent]
+ * @param {number}  [opts.cacheTtl]     seconds; 0 disables the cache (env GH_CACHE_TTL)
+ * @param {string}  [opts.cacheDir]     env GH_CACHE_DIR, default <repo>/.cache/github
+ * @param {number}  [opts.maxRetries]   attempts for 5xx / network errors / secondary limits
+ * @param {number}  [opts.maxWait]      longest single back-off in seconds before giving up (env GH_MAX_WAIT)
+ * @param {number}  [opts.minRemaining] stop before the primary budget drops below this
+ * @param {object}  [opts.tape]         fixture tape from lib/fixture.mjs (replay/record)
+ */
+export function createClient({
+  token = envToken(),
+  userAgent = "ggpt-boost",
+  cacheTtl = Number(process.env.GH_CACHE_TTL || 0),
+  cacheDir = process.env.GH_CACHE_DIR || DEFAULT_CACHE_DIR,
+  maxRetries = 5,
+  maxWait = Number(process.env.GH_MAX_WAIT || 90),
+  minRemaining = 25,
+  tape = null,
+  log = msg => console.warn(msg)
+} = {}) {
+  let limits = null;
+
+  // wait for `sec`, or stop cleanly when that is longer than we are allowed to block a run
+  const backoff = async (sec, why, info) => {
+    if (sec > maxWait) {
+      throw new RateLimitError(`${why}; retry in ${Math.ceil(sec)}s exceeds GH_MAX_WAIT=${maxWait}s`, info);
+    }
+    log(`[github] ${why}; waiting ${Math.ceil(sec)}s`);
+    await sleep(sec * 1000);
+  };
+
+  const retryDelay = attempt => 400 * 2 ** (attempt - 1);
+  const untilReset = reset => Math.max(1, reset - Date.now() / 1000);
+
+  async function request(query, variables, attempt = 1) {
+    if (limits && limits.remaining != null && limits.remaining < minRemaining && limits.reset) {
+      await backoff(untilReset(limits.reset), `rate limit low (${limits.remaining}/${limits.limit} left)`,
+        { resetAt: new Date(limits.reset * 1000) });
+    }
+
+    let r;
+    try {
+      r = await fetch(ENDPOINT, {
+        method: "POST",
+        headers: {
+          Authorization: `bearer ${token}`,
+          "Content-Type": "application/json",
+          "User-Agent": userAgent
+        },
+        body: JSON.stringify({ query, variables })
+      });
+    } catch (err) {
+      // DNS failures, resets and socket timeouts are as transient as a 5xx
+      if (attempt >= maxRetries) throw new Error(`GraphQL request failed: ${err.cause?.code ?? err.message}`, { cause: err });
+      await sleep(retryDelay(attempt));
+      return request(query, variables, attempt + 1);
+    }
+    limits = readRateLimit(r.headers);
+
+    // secondary limits answer 403/429 with Retry-After; primary ones with remaining=0
+    if (r.status === 403 || r.status === 429) {
+      const body = await r.text();
+      const info = { resetAt: limits.reset ? new Date(limits.reset * 1000) : null, retryAfter: limits.retryAfter };
+      if (attempt >= maxRetries) throw new RateLimitError(`GraphQL ${r.status}: ${body}`, info);
+      if (limits.retryAfter != null) {
+        await backoff(limits.retryAfter, `secondary rate limit (Retry-After ${limits.retryAfter}s)`, info);
+      } else if (limits.remaining === 0 && limits.reset) {
+        await backoff(untilReset(limits.reset), "primary rate limit exhausted", info);
+      } else if (/rate limit/i.test(body)) {
+        await backoff(60 * attempt, "secondary rate limit", info);
+      } else {
+        throw new Error(`GraphQL ${r.status}: ${body}`);
+      }
+      return request(query, variables, attempt + 1);
+    }
+
+    if (r.status >= 500 && attempt < maxRetries) {
+      await sleep(retryDelay(attempt));
+      return request(query, variables, attempt + 1);
+    }
+    if (!r.ok) throw new Error(`GraphQL ${r.status}: ${await r.text()}`);
+
+    const j = await r.json();
+    if (j.errors?.some(e => e.type === "RATE_LIMITED")) {
+      if (attempt >= maxRetries || !limits.reset) throw new RateLimitError(JSON.stringify(j.errors));
+      await backoff(untilReset(limits.reset), "GraphQL RATE_LIMITED", { resetAt: new Date(limits.reset * 1000) });
+      return request(query, variables, attempt + 1);
+    }
+    if (j.errors) throw new Error(JSON.stringify(j.errors));
+    return j.data;
+  }
+
+  async function gql(query, variables = {}) {
+    if (tape) return tape.take("graphql", { query, variables }, () => fetchData(query, variables));
+    return fetchData(query, variables);
+  }
+
+  async function fetchData(query, variables) {
+    const key = cacheTtl > 0 ? cacheKey(query, variables) : null;
+    if (key) {
+      const hit = await cacheRead(cacheDir, key, cacheTtl);
+      if (hit !== undefined) return hit;
+    }
+    if (!token) throw new Error("GitHub token missing (set PAT_GITHUB, GH_TOKEN or GITHUB_TOKEN)");
+    const data = await request(query, variables);
+    if (key) await cacheWrite(cacheDir, key, data);
+    return data;
+  }
+
+  return { gql, rateLimit: () => limits };
+}
+
+/**
+ * Builders are top-level scripts: a RateLimitError bubbling out of them means
+ * "try again next schedule", so leave the existing asset alone and exit as unchanged,
+ * like the manifest's Unchanged (lib/manifest.mjs).
+ */
+export function stopCleanlyOnRateLimit() {
+  stopCleanlyWhenUnchanged(err => {
+    if (!(err instanceof RateLimitError)) return null;
+    const when = err.resetAt ? ` (resets ${err.resetAt.toISOString()})` : "";
+    console.warn(`[github] stopping without changes: ${err.message}${when}`);
+    return EXIT_UNCHANGED;
+  });
+}
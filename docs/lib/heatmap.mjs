@@ -0,0 +1,100 @@
+/**
+ * Contribution heatmap layout: the classic calendar grid, one column per week (Sunday
+ * on top, as on a GitHub profile) and one row per weekday.
+ *
+ *   pages   the last 12 months ending today; with heatmap.years also one page per
+ *           calendar year since the first recorded day, newest first
+ *   levels  0 for a day without contributions, then 1..LEVELS split at the quantiles of
+ *           the page's non-zero days, so one huge day doesn't wash out the rest
+ */
+
+export const LEVELS = 4;
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const DAY_MS = 86400000;
+const parse = date => new Date(`${date}T00:00:00Z`);
+const isoDay = d => d.toISOString().slice(0, 10);
+const addDays = (date, n) => isoDay(new Date(parse(date).getTime() + n * DAY_MS));
+
+/**
+ * Upper bounds of levels 1..levels-1: nearest-rank quantiles of the non-zero counts
+ * (empty when every count is zero).
+ */
+export function quantiles(counts, levels = LEVELS) {
+  const xs = counts.filter(c => c > 0).sort((a, b) => a - b);
+  if (!xs.length) return [];
+  return Array.from({ length: levels - 1 }, (_, i) => xs[Math.ceil((xs.length * (i + 1)) / levels) - 1]);
+}
+
+/** Color level of `count` given quantiles() bounds: 0 (none) .. bounds.length + 1. */
+export const level = (count, bounds) => (count > 0 ? 1 + bounds.filter(b => count > b).length : 0);
+
+/**
+ * The pages to draw, newest first.
+ * @param {{ date: string }[]} days  oldest first
+ * @param {string} today             YYYY-MM-DD
+ * @returns {{ label: string, from: string, to: string }[]}
+ */
+export function heatmapPages(days, today, { years = false } = {}) {
+  const pages = [{ label: "Last 12 months", from: addDays(today, -364), to: today }];
+  if (!years) return pages;
+  const last = Number(today.slice(0, 4));
+  const first = Number((days[0]?.date ?? today).slice(0, 4));
+  for (let y = last; y >= first; y--) {
+    pages.push({ label: String(y), from: `${y}-01-01`, to: y === last ? today : `${y}-12-31` });
+  }
+  return pages;
+}
+
+/**
+ * Cells for every date from `from` to `to`; dates missing from `days` (before the account
+ * existed) count as zero. Week 0 is the one holding `from`.
+ * @returns {{ weeks: number, cells: { date: string, count: number, week: number, weekday: number }[] }}
+ */
+export function weekGrid(days, from, to) {
+  const by = new Map(days.map(d => [d.date, d.count]));
+  const start = parse(from).getTime() - parse(from).getUTCDay() * DAY_MS;
+  const cells = [];
+  for (let t = parse(from).getTime(); t <= parse(to).getTime(); t += DAY_MS) {
+    const date = isoDay(new Date(t));
+    cells.push({ date, count: by.get(date) ?? 0, week: Math.floor((t - start) / (7 * DAY_MS)), weekday: new Date(t).getUTCDay() });
+  }
+  return { weeks: (cells.at(-1)?.week ?? -1) + 1, cells };
+}
+
+/**
+ * Month names over the week columns they start in. A partial first month only keeps its
+ * label when it spans enough columns not to collide with the next one.
+ * @returns {{ week: number, text: string }[]}
+ */
+export function monthLabels({ cells }, minGap = 3) {
+  const labels = cells
+    .filter((c, i) => i === 0 || c.date.endsWith("-01"))
+    .map(c => ({ week: c.week, text: MONTHS[Number(c.date.slice(5, 7)) - 1] }));
+  return labels.filter((l, i) => !labels[i + 1] || labels[i + 1].week - l.week >= minGap);
+}
+
+/**
+ * Outline of a run of consecutive cells, in grid units (x = week, y = weekday; a cell is
+ * the unit square at its corner). Weeks fill top to bottom, so a run spanning columns
+ * is a partial first column, full middle ones and a partial last one: one polygon, or
+ * two when the run only touches the next column diagonally.
+ * @returns {[number, number][][]}
+ */
+export function runOutline(run) {
+  if (!run.length) return [];
+  const a = run[0], b = run.at(-1);
+  const box = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+  if (a.week === b.week) return [box(a.week, a.weekday, a.week + 1, b.weekday + 1)];
+  if (b.week === a.week + 1 && b.weekday + 1 < a.weekday) {
+    return [box(a.week, a.weekday, a.week + 1, 7), box(b.week, 0, b.week + 1, b.weekday + 1)];
+  }
+  const pts = [
+    [a.week, a.weekday], [a.week + 1, a.weekday], [a.week + 1, 0], [b.week + 1, 0],
+    [b.week + 1, b.weekday + 1], [b.week, b.weekday + 1], [b.week, 7], [a.week, 7]
+  ];
+  // a run starting on Sunday or ending on Saturday has straight sides: drop repeated corners
+  return [pts.filter((p, i) => i === 0 || p[0] !== pts[i - 1][0] || p[1] !== pts[i - 1][1])];
+}
@@ -0,0 +1,121 @@
+/**
+ * Snapshot history: one NDJSON file per builder under docs/history/, one line per
+ * UTC day and account ({"date":"2025-11-14","key":"octocat",...metrics}).
+ *
+ * Lines are only ever added for new days; a second run on the same day replaces that
+ * day's line so schedules that fire every few minutes don't grow the file. Builders
+ * read it back for deltas ("+12 this week") and sparklines.
+ *
+ * Live runs write to boost.config.json history.dir (default docs/history); fixture
+ * replays and recordings leave it alone unless --history <dir> is given.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const DAY = 86400000;
+
+const isoDay = d => d.toISOString().slice(0, 10);
+
+/** Dotted lookup so nested snapshots (ticker repos) work too: "repos.GremlinGPT.stars". */
+const pick = (row, metric) => metric.split(".").reduce((v, k) => (v == null ? v : v[k]), row);
+
+/** Where this run keeps history, or null when it shouldn't touch any. */
+export function historyDir(args, cfg, tape) {
+  if (args.history) return path.resolve(args.history);
+  if (tape.mode !== "live" || !cfg.history.enabled) return null;
+  return path.resolve(ROOT, cfg.history.dir);
+}
+
+/**
+ * Where syncCalendar (lib/calendar.mjs) keeps its calendar copies, or null. Live runs only,
+ * even with --history: fixtures replay the lifetime windows they recorded.
+ */
+export const calendarDir = (args, cfg, tape) => (tape.mode === "live" ? historyDir(args, cfg, tape) : null);
+
+async function readRows(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return text.split("\n").filter(Boolean).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1}: not a JSON line`);
+    }
+  });
+}
+
+/** Every row of <dir>/<name>.ndjson, all keys ([] when there is none yet). */
+export const readHistory = (dir, name) => readRows(path.join(dir, `${name}.ndjson`));
+
+/**
+ * @param {string} name          file stem, e.g. "trophies" → <dir>/trophies.ndjson
+ * @param {object} opts
+ * @param {string|null} opts.dir from historyDir(); null keeps everything in memory
+ * @param {Date}   opts.now      the run's "now" (tape.now)
+ * @param {string} opts.key      account (or repo) the metrics belong to
+ */
+export async function openHistory(name, { dir, now, key }) {
+  const file = dir ? path.join(dir, `${name}.ndjson`) : null;
+  const all = file ? await readRows(file) : [];
+  const today = isoDay(now);
+  const mine = () => all.filter(r => r.key === key);
+
+  const latest = (metric, onOrBefore) => {
+    const rows = mine().filter(r => r.date <= onOrBefore && typeof pick(r, metric) === "number");
+    return rows.length ? pick(rows.at(-1), metric) : null;
+  };
+
+  return {
+    file,
+
+    /**
+     * Store today's snapshot for `key` (replacing an earlier one from today).
+     * @returns {Promise<boolean>} whether the file changed (a commit is worth it)
+     */
+    async record(metrics) {
+      const row = { date: today, key, ...metrics };
+      const i = all.findIndex(r => r.date === today && r.key === key);
+      if (i >= 0 && JSON.stringify(all[i]) === JSON.stringify(row)) return false;
+      if (i >= 0) all[i] = row;
+      else all.push(row);
+      if (!file) return false;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, all.map(r => JSON.stringify(r)).join("\n") + "\n", "utf8");
+      return true;
+    },
+
+    /** This key's rows, for input hashes of builders that render history. */
+    rows: () => mine(),
+
+    /** Change since the last snapshot at least `days` old, or null without one. */
+    delta(metric, days) {
+      const cur = latest(metric, today);
+      const base = latest(metric, isoDay(new Date(now.getTime() - days * DAY)));
+      return cur == null || base == null ? null : cur - base;
+    },
+
+    /** Daily values over the last `days` days, oldest first. */
+    series(metric, days) {
+      const from = isoDay(new Date(now.getTime() - (days - 1) * DAY));
+      return mine()
+        .filter(r => r.date >= from && r.date <= today && typeof pick(r, metric) === "number")
+        .map(r => ({ date: r.date, value: pick(r, metric) }));
+    }
+  };
+}
+
+/** "+12 this week" / "−3 in 30d"; empty for no change or no baseline. */
+export function deltaLabel(delta, days) {
+  if (!delta) return "";
+  const sign = delta > 0 ? "+" : "−";
+  const span = days === 7 ? "this week" : `in ${days}d`;
+  return `${sign}${Math.abs(delta).toLocaleString("en-US")} ${span}`;
+}
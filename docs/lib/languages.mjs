@@ -0,0 +1,111 @@
+/**
+ * Language breakdown: bytes per language over owned non-fork repositories, as GitHub's
+ * linguist counts them, with GitHub's language colors.
+ *
+ *   exclude  language names dropped before shares are computed (case-insensitive)
+ *   merge    [{ from: ["SCSS", "Less"], into: "CSS" }]: several languages counted as one
+ *   limit    entries shown: past it, the smallest languages are summed into "Other"
+ */
+
+export const CHART_STYLES = ["donut", "bar"];
+
+// linguist's colors for common languages, for data that only names them (stats.json)
+export const LANGUAGE_COLORS = {
+  "C": "#555555", "C#": "#178600", "C++": "#f34b7d", "CSS": "#663399", "Dart": "#00B4AB",
+  "Dockerfile": "#384d54", "Go": "#00ADD8", "HTML": "#e34c26", "Java": "#b07219",
+  "JavaScript": "#f1e05a", "Jupyter Notebook": "#DA5B0B", "Kotlin": "#A97BFF", "Lua": "#000080",
+  "Makefile": "#427819", "PHP": "#4F5D95", "PowerShell": "#012456", "Python": "#3572A5",
+  "Ruby": "#701516", "Rust": "#dea584", "SCSS": "#c6538c", "Shell": "#89e051", "Swift": "#F05138",
+  "TeX": "#3D6117", "TypeScript": "#3178c6", "Vue": "#41b883"
+};
+
+// linguist lists a repo's languages largest first: the top 10 hold nearly all of its bytes
+const LANGS_PER_REPO = 10;
+
+const qRepos = kind => `query($login:String!, $cursor:String){
+  ${kind}(login:$login){
+    repositories(${kind === "user" ? "affiliations:[OWNER], " : ""}isFork:false, first:100, after:$cursor){
+      nodes{ name nameWithOwner languages(first:${LANGS_PER_REPO}, orderBy:{field:SIZE, direction:DESC}){ edges{ size node{ name color } } } }
+      pageInfo{ hasNextPage endCursor }
+    }
+  }
+}`;
+
+/**
+ * Every owned non-fork repository of a user or organization with its languages.
+ * @param {"user"|"organization"} kind
+ * @returns {Promise<{ repo: string, fullName: string, languages: { name: string, color: string|null, size: number }[] }[]>}
+ */
+export async function fetchRepoLanguages(gql, kind, login) {
+  const repos = [];
+  let cursor = null;
+  do {
+    const d = await gql(qRepos(kind), { login, cursor });
+    const r = d[kind].repositories;
+    for (const n of r.nodes) {
+      repos.push({ repo: n.name, fullName: n.nameWithOwner, languages: n.languages.edges.map(e => ({ name: e.node.name, color: e.node.color ?? null, size: e.size })) });
+    }
+    cursor = r.pageInfo.hasNextPage ? r.pageInfo.endCursor : null;
+  } while (cursor);
+  return repos;
+}
+
+/**
+ * `repos` without the ones named in languages.excludeRepos (case-insensitive, like GitHub).
+ * "owner/name" drops only that account's repo, which matters once --users / --org sum
+ * several accounts; a bare "name" drops it from every account.
+ */
+export function dropRepos(repos, names = []) {
+  const skip = new Set(names.map(n => n.toLowerCase()));
+  return repos.filter(r => !skip.has(r.repo.toLowerCase()) && !skip.has(r.fullName?.toLowerCase()));
+}
+
+/**
+ * Bytes per language across `repos`, largest first, after the exclude/merge rules.
+ * A merged language takes its target's color when the target appears on its own, else
+ * the color of its largest part.
+ * @returns {{ name: string, color: string|null, bytes: number, share: number }[]}
+ */
+export function aggregateLanguages(repos, { exclude = [], merge = [], limit = 0 } = {}) {
+  const skip = new Set(exclude.map(n => n.toLowerCase()));
+  const into = new Map(merge.flatMap(m => m.from.map(f => [f.toLowerCase(), m.into])));
+
+  // bytes per target language and per original language inside it
+  const by = new Map();
+  for (const r of repos) {
+    for (const l of r.languages) {
+      const name = into.get(l.name.toLowerCase()) ?? l.name;
+      if (skip.has(l.name.toLowerCase()) || skip.has(name.toLowerCase())) continue;
+      const cur = by.get(name) ?? { name, bytes: 0, parts: new Map() };
+      cur.bytes += l.size;
+      const part = cur.parts.get(l.name) ?? { name: l.name, color: l.color, bytes: 0 };
+      part.bytes += l.size;
+      cur.parts.set(l.name, part);
+      by.set(name, cur);
+    }
+  }
+  const colorOf = ({ name, parts }) =>
+    (parts.get(name) ?? [...parts.values()].sort((a, b) => b.bytes - a.bytes)[0]).color;
+
+  const all = [...by.values()].map(l => ({ name: l.name, color: colorOf(l), bytes: l.bytes })).sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+  const total = all.reduce((n, l) => n + l.bytes, 0);
+  const shown = limit && all.length > limit ? all.slice(0, limit - 1) : all;
+  const rest = all.slice(shown.length).reduce((n, l) => n + l.bytes, 0);
+  const out = [...shown];
+  if (rest) out.push({ name: "Other", color: null, bytes: rest });
+  return out.map(l => ({ ...l, share: total ? l.bytes / total : 0 }));
+}
+
+/** "812 B", "14.2 kB", "3.1 MB" (decimal units, like GitHub's repository sizes). */
+export function formatBytes(n) {
+  const units = ["B", "kB", "MB", "GB"];
+  let i = 0;
+  while (n >= 1000 && i < units.length - 1) { n /= 1000; i++; }
+  return i ? `${n.toFixed(1)} ${units[i]}` : `${n} B`;
+}
+
+/** Share as a label: one decimal below 10%, whole percents above. */
+export const formatShare = share => {
+  const pct = share * 100;
+  return `${pct < 10 ? pct.toFixed(1) : Math.round(pct)}%`;
+};
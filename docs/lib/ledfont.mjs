@@ -0,0 +1,187 @@
+/**
+ * LED dot-matrix font for raster output (the ticker GIF/APNG): 5×7 glyphs for ASCII,
+ * 9×7 icons for the emoji the ticker uses, drawn dot by dot with no browser or font files.
+ *
+ * A character cell is 6 dots wide (5 + 1 spacing); icons take two cells. `pitch` is the
+ * size of one dot in pixels (the ticker uses pxPerChar / 6), fractional pitches are
+ * rounded per dot so cells never drift.
+ */
+
+export const CELL = 6;
+export const ROWS = 7;
+
+const g = s => s.split("/");
+
+// "#" = lit dot; every glyph is 7 rows of 5
+export const GLYPHS = {
+  " ": g("...../...../...../...../...../...../....."),
+  "!": g("..#../..#../..#../..#../..#../...../..#.."),
+  '"': g(".#.#./.#.#./.#.#./...../...../...../....."),
+  "#": g(".#.#./.#.#./#####/.#.#./#####/.#.#./.#.#."),
+  "$": g("..#../.####/#.#../.###./..#.#/####./..#.."),
+  "%": g("##.../##..#/...#./..#../.#.../#..##/...##"),
+  "&": g(".##../#..#./#.#../.#.../#.#.#/#..#./.##.#"),
+  "'": g("..#../..#../.#.../...../...../...../....."),
+  "(": g("...#./..#../.#.../.#.../.#.../..#../...#."),
+  ")": g(".#.../..#../...#./...#./...#./..#../.#..."),
+  "*": g("...../..#../#.#.#/.###./#.#.#/..#../....."),
+  "+": g("...../..#../..#../#####/..#../..#../....."),
+  ",": g("...../...../...../...../.##../..#../.#..."),
+  "-": g("...../...../...../#####/...../...../....."),
+  ".": g("...../...../...../...../...../.##../.##.."),
+  "/": g("...../....#/...#./..#../.#.../#..../....."),
+  "0": g(".###./#...#/#..##/#.#.#/##..#/#...#/.###."),
+  "1": g("..#../.##../..#../..#../..#../..#../.###."),
+  "2": g(".###./#...#/....#/...#./..#../.#.../#####"),
+  "3": g("#####/...#./..#../...#./....#/#...#/.###."),
+  "4": g("...#./..##./.#.#./#..#./#####/...#./...#."),
+  "5": g("#####/#..../####./....#/....#/#...#/.###."),
+  "6": g("..##./.#.../#..../####./#...#/#...#/.###."),
+  "7": g("#####/....#/...#./..#../.#.../.#.../.#..."),
+  "8": g(".###./#...#/#...#/.###./#...#/#...#/.###."),
+  "9": g(".###./#...#/#...#/.####/....#/...#./.##.."),
+  ":": g("...../.##../.##../...../.##../.##../....."),
+  ";": g("...../.##../.##../...../.##../..#../.#..."),
+  "<": g("...#./..#../.#.../#..../.#.../..#../...#."),
+  "=": g("...../...../#####/...../#####/...../....."),
+  ">": g(".#.../..#../...#./....#/...#./..#../.#..."),
+  "?": g(".###./#...#/....#/...#./..#../...../..#.."),
+  "@": g(".###./#...#/....#/.##.#/#.#.#/#.#.#/.###."),
+  "A": g(".###./#...#/#...#/#####/#...#/#...#/#...#"),
+  "B": g("####./#...#/#...#/####./#...#/#...#/####."),
+  "C": g(".###./#...#/#..../#..../#..../#...#/.###."),
+  "D": g("###../#..#./#...#/#...#/#...#/#..#./###.."),
+  "E": g("#####/#..../#..../####./#..../#..../#####"),
+  "F": g("#####/#..../#..../####./#..../#..../#...."),
+  "G": g(".###./#...#/#..../#.###/#...#/#...#/.####"),
+  "H": g("#...#/#...#/#...#/#####/#...#/#...#/#...#"),
+  "I": g(".###./..#../..#../..#../..#../..#../.###."),
+  "J": g("..###/...#./...#./...#./...#./#..#./.##.."),
+  "K": g("#...#/#..#./#.#../##.../#.#../#..#./#...#"),
+  "L": g("#..../#..../#..../#..../#..../#..../#####"),
+  "M": g("#...#/##.##/#.#.#/#.#.#/#...#/#...#/#...#"),
+  "N": g("#...#/#...#/##..#/#.#.#/#..##/#...#/#...#"),
+  "O": g(".###./#...#/#...#/#...#/#...#/#...#/.###."),
+  "P": g("####./#...#/#...#/####./#..../#..../#...."),
+  "Q": g(".###./#...#/#...#/#...#/#.#.#/#..#./.##.#"),
+  "R": g("####./#...#/#...#/####./#.#../#..#./#...#"),
+  "S": g(".####/#..../#..../.###./....#/....#/####."),
+  "T": g("#####/..#../..#../..#../..#../..#../..#.."),
+  "U": g("#...#/#...#/#...#/#...#/#...#/#...#/.###."),
+  "V": g("#...#/#...#/#...#/#...#/#...#/.#.#./..#.."),
+  "W": g("#...#/#...#/#...#/#.#.#/#.#.#/#.#.#/.#.#."),
+  "X": g("#...#/#...#/.#.#./..#../.#.#./#...#/#...#"),
+  "Y": g("#...#/#...#/#...#/.#.#./..#../..#../..#.."),
+  "Z": g("#####/....#/...#./..#../.#.../#..../#####"),
+  "[": g(".###./.#.../.#.../.#.../.#.../.#.../.###."),
+  "\\": g("...../#..../.#.../..#../...#./....#/....."),
+  "]": g(".###./...#./...#./...#./...#./...#./.###."),
+  "^": g("..#../.#.#./#...#/...../...../...../....."),
+  "_": g("...../...../...../...../...../...../#####"),
+  "`": g(".#.../..#../...#./...../...../...../....."),
+  "a": g("...../...../.###./....#/.####/#...#/.####"),
+  "b": g("#..../#..../#.##./##..#/#...#/#...#/####."),
+  "c": g("...../...../.###./#..../#..../#...#/.###."),
+  "d": g("....#/....#/.##.#/#..##/#...#/#...#/.####"),
+  "e": g("...../...../.###./#...#/#####/#..../.###."),
+  "f": g("..##./.#..#/.#.../###../.#.../.#.../.#..."),
+  "g": g("...../.####/#...#/#...#/.####/....#/.###."),
+  "h": g("#..../#..../#.##./##..#/#...#/#...#/#...#"),
+  "i": g("..#../...../.##../..#../..#../..#../.###."),
+  "j": g("...#./...../..##./...#./...#./#..#./.##.."),
+  "k": g("#..../#..../#..#./#.#../##.../#.#../#..#."),
+  "l": g(".##../..#../..#../..#../..#../..#../.###."),
+  "m": g("...../...../##.#./#.#.#/#.#.#/#...#/#...#"),
+  "n": g("...../...../#.##./##..#/#...#/#...#/#...#"),
+  "o": g("...../...../.###./#...#/#...#/#...#/.###."),
+  "p": g("...../...../####./#...#/####./#..../#...."),
+  "q": g("...../...../.##.#/#..##/.####/....#/....#"),
+  "r": g("...../...../#.##./##..#/#..../#..../#...."),
+  "s": g("...../...../.###./#..../.###./....#/####."),
+  "t": g(".#.../.#.../###../.#.../.#.../.#..#/..##."),
+  "u": g("...../...../#...#/#...#/#...#/#..##/.##.#"),
+  "v": g("...../...../#...#/#...#/#...#/.#.#./..#.."),
+  "w": g("...../...../#...#/#...#/#.#.#/#.#.#/.#.#."),
+  "x": g("...../...../#...#/.#.#./..#../.#.#./#...#"),
+  "y": g("...../...../#...#/#...#/.####/....#/.###."),
+  "z": g("...../...../#####/...#./..#../.#.../#####"),
+  "{": g("...#./..#../..#../.#.../..#../..#../...#."),
+  "|": g("..#../..#../..#../..#../..#../..#../..#.."),
+  "}": g(".#.../..#../..#../...#./..#../..#../.#..."),
+  "~": g("...../...../.#.../#.#.#/...#./...../....."),
+  "–": g("...../...../...../.###./...../...../....."),
+  "—": g("...../...../...../#####/...../...../....."),
+  "…": g("...../...../...../...../...../...../#.#.#")
+};
+
+// 9×7, drawn one dot in from the left of a two-cell slot
+export const ICONS = {
+  "🔎": g(".###...../#...#..../#...#..../#...#..../.####..../.....#.../......##."),
+  "⭐": g("....#..../...###.../#########/.#######./..#####../.###.###./.#.....#."),
+  "🍴": g("..#.#.#../..#.#.#../..#####../...###.../....#..../....#..../....#...."),
+  "👁": g("........./..#####../.#.....#./#...#...#/.#.....#./..#####../........."),
+  "🧠": g("..##.##../.#..#..#./#...#...#/#..#.#..#/#...#...#/.#..#..#./..##.##.."),
+  "👀": g("........./.##...##./#..#.#..#/#.##.#.##/#..#.#..#/.##...##./........."),
+  "🪲": g("#..###..#/.#######./..#####../#.#####.#/..#####../.#######./#..###..#"),
+  "🧵": g(".#######./..#####../..#.#.#../..#.#.#../..#.#.#../..#####../.#######."),
+  "🧬": g("#......#./.#....#../..####.../...##..../..####.../.#....#../#......#."),
+  "📦": g("#########/#...#...#/#########/#.......#/#.......#/#.......#/#########"),
+  "🧭": g("..#####../.#..#..#./#...#...#/#..###..#/#...#...#/.#.....#./..#####.."),
+  "📅": g("#########/#########/#.......#/#.#.#.#.#/#.......#/#.#.#.#.#/#########")
+};
+
+// anything else: a hollow box ("tofu"), two cells wide for emoji, one otherwise
+const TOFU = g("#####/#...#/#...#/#...#/#...#/#...#/#####");
+
+// variation selectors, joiners and skin tones take no space
+const ZERO_WIDTH = cp => cp === 0x200d || (cp >= 0xfe00 && cp <= 0xfe0f) || (cp >= 0x1f3fb && cp <= 0x1f3ff);
+const WIDE = cp => cp >= 0x1f000 || (cp >= 0x2600 && cp <= 0x27bf) || (cp >= 0x2b00 && cp <= 0x2bff);
+
+/** Split `text` into drawable glyphs: [{ rows, cells }]. */
+export function layout(text) {
+  const out = [];
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    if (ZERO_WIDTH(cp)) continue;
+    if (ICONS[ch]) out.push({ rows: ICONS[ch], cells: 2, x0: 1 });
+    else if (GLYPHS[ch]) out.push({ rows: GLYPHS[ch], cells: 1, x0: 0 });
+    else out.push({ rows: TOFU, cells: WIDE(cp) ? 2 : 1, x0: WIDE(cp) ? 3 : 0 });
+  }
+  return out;
+}
+
+/** Width of `text` in character cells. */
+export const measureCells = text => layout(text).reduce((n, gl) => n + gl.cells, 0);
+
+// pixel edge of dot `i` at a fractional pitch
+const edge = (i, pitch) => Math.round(i * pitch);
+
+/**
+ * Rasterize `text` into a one-byte-per-pixel strip: 0 = background, `ink` = lit dot.
+ * `text` may also be runs ([{ text, ink }]) to light parts in other palette entries.
+ * Dots leave a one-pixel gap once they are 3px or larger, which reads as an LED matrix.
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ */
+export function renderStrip(text, { pitch, ink = 1 }) {
+  const runs = typeof text === "string" ? [{ text, ink }] : text;
+  const glyphs = runs.flatMap(r => layout(r.text).map(gl => ({ ...gl, ink: r.ink ?? ink })));
+  const cells = glyphs.reduce((n, gl) => n + gl.cells, 0);
+  const width = edge(cells * CELL, pitch);
+  const height = edge(ROWS, pitch);
+  const pixels = new Uint8Array(width * height);
+  const gap = pitch >= 3 ? 1 : 0;
+
+  let col = 0;
+  for (const gl of glyphs) {
+    gl.rows.forEach((row, r) => {
+      const y0 = edge(r, pitch), y1 = edge(r + 1, pitch) - gap;
+      for (let c = 0; c < row.length; c++) {
+        if (row[c] !== "#") continue;
+        const x0 = edge(col + gl.x0 + c, pitch), x1 = edge(col + gl.x0 + c + 1, pitch) - gap;
+        for (let y = y0; y < y1; y++) pixels.fill(gl.ink, y * width + x0, y * width + x1);
+      }
+    });
+    col += gl.cells * CELL;
+  }
+  return { width, height, pixels };
+}
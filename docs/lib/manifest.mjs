@@ -0,0 +1,147 @@
+/**
+ * Build manifests: skip work and commits when nothing meaningful changed.
+ *
+ * Each asset gets a sidecar <name>.manifest.json with two hashes:
+ *   inputHash  — fetched payloads + resolved options + the builder's code (script and lib/)
+ *   outputHash — rendered files with volatile bits (<!-- build:… --> tags) stripped
+ * Same inputs → the builder stops before rendering. Same output → the assets are left
+ * untouched; when only the inputs moved (new data, a lib edit) the sidecar still takes the
+ * new inputHash so the next run stops early again, and that sidecar-only write counts as a
+ * change (exit 0) so workflows commit it.
+ *
+ * Stopping is an `Unchanged` thrown out of skipIfFresh / finish; stopCleanlyWhenUnchanged()
+ * (or github.mjs's stopCleanlyOnRateLimit) ends the builder with EXIT_UNCHANGED. Workflows
+ * build through `ggpt-boost build --github-output` (cli/ggpt-boost.mjs), which turns that
+ * into changed=false so their commit step is skipped.
+ * --force always writes and exits 0.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+// GitHub Actions' old "neutral" code: not an error, nothing to commit
+export const EXIT_UNCHANGED = 78;
+
+export const MANIFEST_VERSION = 1;
+
+/** Nothing to write; `touched` (e.g. a new history line) still wants a commit. */
+export class Unchanged extends Error {
+  constructor(message, { touched = false } = {}) {
+    super(message);
+    this.name = "Unchanged";
+    this.touched = touched;
+  }
+}
+
+/**
+ * Builders are top-level scripts: an Unchanged bubbling out of them exits EXIT_UNCHANGED
+ * (0 when touched). `other(err)` may claim further errors with an exit code of its own;
+ * everything else is a failure.
+ */
+export function stopCleanlyWhenUnchanged(other = () => null) {
+  process.on("uncaughtException", err => {
+    if (err instanceof Unchanged) {
+      console.log(err.message);
+      process.exit(err.touched ? 0 : EXIT_UNCHANGED);
+    }
+    const code = other(err);
+    if (code != null) process.exit(code);
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+const LIB = path.dirname(fileURLToPath(import.meta.url));
+
+const VOLATILE = /<!-- build:\S+/g;
+
+const sha = () => crypto.createHash("sha256");
+
+/** Hash of text/bytes with volatile build tags removed. */
+export function contentHash(parts) {
+  const h = sha();
+  for (const p of parts) {
+    h.update(typeof p === "string" ? p.replace(VOLATILE, "<!-- build:") : p);
+    h.update("\0");
+  }
+  return h.digest("hex");
+}
+
+// a code change must re-render even when the data did not move
+async function codeFingerprint(script) {
+  const files = [fileURLToPath(script), ...(await fs.readdir(LIB)).filter(f => f.endsWith(".mjs")).sort().map(f => path.join(LIB, f))];
+  const h = sha();
+  for (const f of files) h.update(await fs.readFile(f)).update("\0");
+  return h.digest("hex");
+}
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+/**
+ * @param {string} out       the builder's main output file; the manifest sits next to it
+ * @param {object} opts
+ * @param {string} opts.script  import.meta.url of the builder
+ * @param {Date}   opts.now     tape.now, stored as builtAt when the output changes
+ * @param {boolean} [opts.force]
+ */
+export async function openManifest(out, { script, now, force = false }) {
+  const { dir, name } = path.parse(out);
+  const file = path.join(dir, `${name}.manifest.json`);
+  let prev = null;
+  try {
+    prev = JSON.parse(await fs.readFile(file, "utf8"));
+    if (prev.version !== MANIFEST_VERSION) prev = null;
+  } catch {}
+
+  let inputHash = null;
+
+  const unchanged = (why, touched) => new Unchanged(`${path.basename(out)}: ${why}; nothing to write`, { touched });
+  const writeManifest = async manifest => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+  };
+
+  return {
+    file,
+
+    /**
+     * Hash this run's inputs; throw Unchanged when they match the last build and its files
+     * are still on disk. `touched` (e.g. a new history line) exits 0 so it still gets committed.
+     */
+    async skipIfFresh(inputs, { touched = false } = {}) {
+      inputHash = contentHash([JSON.stringify(inputs), await codeFingerprint(script)]);
+      if (force || !prev || prev.inputHash !== inputHash) return;
+      const files = prev.files.map(f => path.join(dir, f));
+      if ((await Promise.all(files.map(exists))).every(Boolean)) throw unchanged("inputs unchanged", touched);
+    },
+
+    /**
+     * Write `rendered` ([{ file, text }] with text a string or Buffer, or [{ file }] for files
+     * the builder already wrote)
+     * and the manifest, unless the output hash matches the last build: then only a changed
+     * inputHash is recorded, or Unchanged is thrown.
+     * @returns {Promise<string[]>} asset files written ([] when only the manifest was)
+     */
+    async finish(rendered, { touched = false } = {}) {
+      const bodies = await Promise.all(rendered.map(r => r.text ?? fs.readFile(r.file)));
+      const outputHash = contentHash(bodies);
+      const files = rendered.map(r => path.relative(dir, r.file));
+      const same = prev && prev.outputHash === outputHash &&
+        prev.files.join("\n") === files.join("\n") &&
+        (await Promise.all(rendered.map(r => exists(r.file)))).every(Boolean);
+      if (same && !force) {
+        if (prev.inputHash === inputHash) throw unchanged("output unchanged", touched);
+        await writeManifest({ ...prev, inputHash });
+        console.log(`${path.basename(out)}: output unchanged; manifest updated for the new inputs`);
+        return [];
+      }
+
+      await fs.mkdir(dir, { recursive: true });
+      for (const r of rendered) if (r.text != null) await fs.writeFile(r.file, r.text, "utf8");
+      await writeManifest({ version: MANIFEST_VERSION, asset: path.basename(out), inputHash, outputHash, files, builtAt: now.toISOString() });
+      return rendered.map(r => r.file);
+    }
+  };
+}
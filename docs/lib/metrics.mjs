@@ -0,0 +1,191 @@
+/**
+ * Text metrics from real fonts, so pills, cards and scroll distances fit their text
+ * instead of guessing a width per character.
+ *
+ * Fonts live in lib/fonts/ as metrics-only WOFF files (DejaVu Sans / Sans Bold / Sans
+ * Mono with glyph outlines stripped, see fonts/strip-font.mjs); any TTF, OTF or WOFF 1.0
+ * parses the same way. Widths are advance sums at `size` px plus letter-spacing;
+ * kerning is ignored. Emoji the font lacks use a color-emoji advance (EMOJI_EM).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { fileURLToPath } from "node:url";
+
+const FONT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fonts");
+
+export const FONTS = {
+  sans:        "DejaVuSans.metrics.woff",
+  "sans-bold": "DejaVuSans-Bold.metrics.woff",
+  mono:        "DejaVuSansMono.metrics.woff"
+};
+
+// Noto Color Emoji's advance (2550 of 2048 units); Apple and Segoe emoji are close
+export const EMOJI_EM = 2550 / 2048;
+
+const tag = (buf, at) => buf.toString("latin1", at, at + 4);
+
+/** Raw sfnt tables of a TTF/OTF or WOFF 1.0 file: { tag → Buffer }. */
+export function readTables(buf) {
+  const tables = {};
+  const sig = tag(buf, 0);
+  if (sig === "wOFF") {
+    const n = buf.readUInt16BE(12);
+    for (let i = 0, p = 44; i < n; i++, p += 20) {
+      const off = buf.readUInt32BE(p + 4), comp = buf.readUInt32BE(p + 8), orig = buf.readUInt32BE(p + 12);
+      const data = buf.subarray(off, off + comp);
+      tables[tag(buf, p)] = comp < orig ? zlib.inflateSync(data) : data;
+    }
+  } else if (sig === "\0\x01\0\0" || sig === "OTTO" || sig === "true") {
+    const n = buf.readUInt16BE(4);
+    for (let i = 0, p = 12; i < n; i++, p += 16) {
+      const off = buf.readUInt32BE(p + 8), len = buf.readUInt32BE(p + 12);
+      tables[tag(buf, p)] = buf.subarray(off, off + len);
+    }
+  } else {
+    throw new Error(`not a TrueType/OpenType/WOFF font (signature ${JSON.stringify(sig)})`);
+  }
+  return tables;
+}
+
+// cmap subtable → (codepoint → glyph id); formats 4 (BMP) and 12 (full Unicode)
+function cmapLookup(cmap) {
+  const n = cmap.readUInt16BE(2);
+  const subs = [];
+  for (let i = 0; i < n; i++) {
+    const p = 4 + i * 8;
+    subs.push({ platform: cmap.readUInt16BE(p), encoding: cmap.readUInt16BE(p + 2), offset: cmap.readUInt32BE(p + 4) });
+  }
+  const rank = s => (s.platform === 3 && s.encoding === 10) || s.platform === 0 && s.encoding >= 4 ? 0
+    : s.platform === 3 && s.encoding === 1 || s.platform === 0 ? 1 : 9;
+  const usable = subs.filter(s => [4, 12].includes(cmap.readUInt16BE(s.offset)) && rank(s) < 9)
+    .sort((a, b) => rank(a) - rank(b));
+  if (!usable.length) throw new Error("font has no Unicode cmap (format 4 or 12)");
+  const t = cmap.subarray(usable[0].offset);
+
+  if (t.readUInt16BE(0) === 12) {
+    const groups = t.readUInt32BE(12);
+    return cp => {
+      let lo = 0, hi = groups - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1, p = 16 + mid * 12;
+        if (cp < t.readUInt32BE(p)) hi = mid - 1;
+        else if (cp > t.readUInt32BE(p + 4)) lo = mid + 1;
+        else return t.readUInt32BE(p + 8) + cp - t.readUInt32BE(p);
+      }
+      return 0;
+    };
+  }
+
+  const segs = t.readUInt16BE(6) / 2;
+  const ends = 14, starts = ends + segs * 2 + 2, deltas = starts + segs * 2, ranges = deltas + segs * 2;
+  return cp => {
+    if (cp > 0xffff) return 0;
+    for (let i = 0; i < segs; i++) {
+      if (cp > t.readUInt16BE(ends + i * 2)) continue;
+      const start = t.readUInt16BE(starts + i * 2);
+      if (cp < start) return 0;
+      const delta = t.readInt16BE(deltas + i * 2), ro = t.readUInt16BE(ranges + i * 2);
+      if (!ro) return (cp + delta) & 0xffff;
+      const g = t.readUInt16BE(ranges + i * 2 + ro + (cp - start) * 2);
+      return g ? (g + delta) & 0xffff : 0;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Parse a font's horizontal metrics.
+ * @returns {{ unitsPerEm: number, ascender: number, descender: number, notdef: number,
+ *             glyph(cp: number): number, advance(cp: number): number|null }}
+ *   widths are in ems; advance() is null when the font has no glyph for `cp`
+ */
+export function parseFont(buf) {
+  const t = readTables(buf);
+  for (const need of ["head", "hhea", "hmtx", "cmap"]) if (!t[need]) throw new Error(`font is missing its ${need} table`);
+  const unitsPerEm = t.head.readUInt16BE(18);
+  const longMetrics = t.hhea.readUInt16BE(34);
+  const lookup = cmapLookup(t.cmap);
+  const cache = new Map();
+  const glyph = cp => {
+    if (!cache.has(cp)) cache.set(cp, lookup(cp));
+    return cache.get(cp);
+  };
+  const width = g => t.hmtx.readUInt16BE(Math.min(g, longMetrics - 1) * 4) / unitsPerEm;
+  return {
+    unitsPerEm,
+    ascender: t.hhea.readInt16BE(4) / unitsPerEm,
+    descender: t.hhea.readInt16BE(6) / unitsPerEm,
+    glyph,
+    advance: cp => (glyph(cp) ? width(glyph(cp)) : null),
+    notdef: width(0)
+  };
+}
+
+const loaded = new Map();
+
+/** A bundled font by FONTS key (parsed once per process). */
+export function loadFont(name = "sans") {
+  if (!FONTS[name]) throw new Error(`unknown font "${name}" (available: ${Object.keys(FONTS).join(", ")})`);
+  if (!loaded.has(name)) loaded.set(name, parseFont(fs.readFileSync(path.join(FONT_DIR, FONTS[name]))));
+  return loaded.get(name);
+}
+
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const EMOJI_STYLE = /\p{Emoji_Presentation}/u;
+const ZERO_WIDTH = cp => cp === 0x200b || cp === 0x200c || (cp >= 0xfe00 && cp <= 0xfe0f) ||
+  (cp >= 0x1f3fb && cp <= 0x1f3ff) || (cp >= 0xe0020 && cp <= 0xe007f) || cp === 0x20e3;
+
+/**
+ * Width of `text` in px.
+ * @param {object} [opts]
+ * @param {string} [opts.font]           FONTS key (default "sans")
+ * @param {number} [opts.size]           font size in px (default 16)
+ * @param {number} [opts.letterSpacing]  px added after every character, as CSS does
+ */
+export function measure(text, { font = "sans", size = 16, letterSpacing = 0 } = {}) {
+  const f = loadFont(font);
+  const fallback = font === "sans" ? null : loadFont("sans");
+  const chars = [...String(text)];
+  let em = 0, count = 0;
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i], cp = ch.codePointAt(0);
+    if (ZERO_WIDTH(cp)) continue;
+    if (cp === 0x200d) { i++; continue; } // ZWJ: the next pictograph joins the previous one
+    const own = f.advance(cp);
+    const emoji = EMOJI.test(ch) && (own == null || EMOJI_STYLE.test(ch) || chars[i + 1] === "\uFE0F");
+    if (emoji) {
+      em += EMOJI_EM;
+      // a regional-indicator pair is one flag
+      if (/\p{Regional_Indicator}/u.test(ch) && /\p{Regional_Indicator}/u.test(chars[i + 1] ?? "")) i++;
+    } else {
+      em += own ?? fallback?.advance(cp) ?? f.notdef;
+    }
+    count++;
+  }
+  return em * size + count * letterSpacing;
+}
+
+/**
+ * Extra <text> attributes squeezing `text` into `max` px when it would overflow
+ * (empty when it fits, so short text renders untouched).
+ */
+export function fitText(text, max, opts) {
+  const w = measure(text, opts);
+  return w > max ? ` textLength="${max}" lengthAdjust="spacingAndGlyphs"` : "";
+}
+
+/**
+ * `text` cut at a word (or, for one long word, a character) and ended with "…" so it
+ * fits in `max` px; unchanged when it already fits. For prose that would squeeze badly.
+ */
+export function truncate(text, max, opts) {
+  if (measure(text, opts) <= max) return text;
+  const chars = [...String(text)];
+  let n = chars.length;
+  while (n > 0 && measure(chars.slice(0, n).join("").trimEnd() + "…", opts) > max) n--;
+  const cut = chars.slice(0, n).join("");
+  const word = cut.replace(/\s+\S*$/, "");
+  return (word.length >= cut.length / 2 ? word : cut).trimEnd().replace(/[\s,.;:–—-]+$/, "") + "…";
+}
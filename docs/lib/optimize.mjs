@@ -0,0 +1,152 @@
+/**
+ * Size pass run on every SVG before it is written (renderThemed, config `optimize`).
+ *
+ * The generators favour readable templates over small output: flame paths carry 16-digit
+ * coordinates, carousels repeat an 81-value keyTimes list per frame, still frames copy
+ * whole cards. Each step here leaves the rendering as it was:
+ *   numbers   attribute numbers rounded to `precision` decimals (keyTimes/keySplines keep
+ *             two more); CSS, text and comments are left alone
+ *   lists     values/keyTimes entries inside a run of equal values are dropped, which
+ *             changes nothing under linear or discrete interpolation
+ *   filters   filters identical but for their id become one, url(#…) references follow
+ *   subtrees  an element repeated verbatim moves into a <symbol> once and every copy
+ *             becomes a <use>
+ * Then the file must fit its budget (config `optimize.budgets.<badge>`, KB); a build that
+ * does not throws BudgetError instead of shipping something camo is slow to serve.
+ */
+
+export class BudgetError extends Error {
+  constructor(file, bytes, kb, key) {
+    super(`${file}: ${(bytes / 1024).toFixed(1)} KB after optimizing, over its ${kb} KB budget` +
+      (key ? ` (optimize.budgets.${key})` : ""));
+    this.name = "BudgetError";
+    this.bytes = bytes;
+  }
+}
+
+// attributes whose numbers are names or prose, not geometry
+const VERBATIM = /^(?:id|class|href|xlink:href|role|aria-[\w-]+|font-family|version)$/;
+const TIMING = new Set(["keyTimes", "keySplines"]);
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+// hex colors and url(#id) references hold digits that are not numbers
+const OPAQUE = /(#[\da-f]+\b|url\([^)]*\))/i;
+
+const round = (n, precision) => String(Number(Number(n).toFixed(precision)));
+
+function trimNumber(m, precision) {
+  const decimals = m.split(/e/i)[0].split(".")[1]?.length ?? 0;
+  return /e/i.test(m) || decimals > precision ? round(m, precision) : m;
+}
+
+// every start tag's attribute values; the XML prolog, comments and text are skipped
+const eachAttribute = (svg, fn) => svg.replace(/<[a-zA-Z][^>]*>/g, tag =>
+  tag.replace(/([\w:-]+)="([^"]*)"/g, (all, name, value) => `${name}="${fn(name, value, tag)}"`));
+
+function trimNumbers(svg, precision) {
+  return eachAttribute(svg, (name, value) => VERBATIM.test(name) ? value
+    : value.split(OPAQUE).map((part, i) => i % 2 ? part
+      : part.replace(NUMBER, m => trimNumber(m, TIMING.has(name) ? precision + 2 : precision))).join(""));
+}
+
+// "0;0;0;1;1" at "0;.25;.5;.75;1" → "0;0;1;1" at "0;.5;.75;1"
+function collapseRuns(svg) {
+  return svg.replace(/<animate(?:Transform|Motion)?\b[^>]*>/g, tag => {
+    const values = tag.match(/\svalues="([^"]*)"/), times = tag.match(/\skeyTimes="([^"]*)"/);
+    if (!values || !times || /\scalcMode="(?:spline|paced)"/.test(tag)) return tag;
+    const v = values[1].split(";").map(s => s.trim()), t = times[1].split(";").map(s => s.trim());
+    if (v.length !== t.length || v.length < 3) return tag;
+    const keep = v.map((x, i) => i === 0 || i === v.length - 1 || x !== v[i - 1] || x !== v[i + 1]);
+    if (keep.every(Boolean)) return tag;
+    return tag
+      .replace(values[0], ` values="${v.filter((_, i) => keep[i]).join(";")}"`)
+      .replace(times[0], ` keyTimes="${t.filter((_, i) => keep[i]).join(";")}"`);
+  });
+}
+
+function collapseFilters(svg) {
+  const first = new Map(), alias = new Map();
+  svg = svg.replace(/\s*<filter\b[^>]*\bid="([^"]+)"[^>]*>[\s\S]*?<\/filter>/g, (block, id) => {
+    const key = block.trim().replace(/\bid="[^"]+"/, "");
+    if (!first.has(key)) return first.set(key, id), block;
+    alias.set(id, first.get(key));
+    return "";
+  });
+  for (const [id, to] of alias) svg = svg.split(`url(#${id})`).join(`url(#${to})`);
+  return svg;
+}
+
+// element spans [start, end) with the names of their ancestors
+function elements(svg) {
+  const out = [], open = [];
+  for (const m of svg.matchAll(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)\b[^>]*?(\/?)>/g)) {
+    if (!m[2]) continue;
+    const parents = open.map(e => e.name);
+    if (m[1]) {
+      const e = open.pop();
+      out.push({ name: e.name, start: e.start, end: m.index + m[0].length, parents: parents.slice(0, -1) });
+    } else if (m[3]) {
+      out.push({ name: m[2], start: m.index, end: m.index + m[0].length, parents });
+    } else {
+      open.push({ name: m[2], start: m.index });
+    }
+  }
+  return out;
+}
+
+// shapes that may become a <use>, and the containers a <use> may sit in
+const SHAREABLE = new Set(["g", "path", "rect", "circle", "ellipse", "line", "polyline", "polygon", "text", "image"]);
+const CONTAINERS = new Set(["svg", "g", "a"]);
+// <use href="#…"/> plus its share of the <symbol> wrapper; smaller repeats (one heatmap
+// cell) would only scatter the markup across references
+const USE_COST = 40;
+const MIN_SHARED = 200;
+
+function shareSubtrees(svg) {
+  const groups = new Map();
+  for (const e of elements(svg)) {
+    if (!SHAREABLE.has(e.name) || !e.parents.every(p => CONTAINERS.has(p))) continue;
+    const text = svg.slice(e.start, e.end);
+    if (text.length < MIN_SHARED || /\sid="/.test(text)) continue;
+    groups.set(text, [...(groups.get(text) ?? []), e]);
+  }
+
+  // largest first, so a repeated card wins over the repeated rects inside it
+  const claimed = [], symbols = [];
+  const taken = new Set(svg.match(/\sid="[^"]+"/g)?.map(a => a.slice(5, -1)));
+  let n = 0;
+  const nextId = () => { while (taken.has(`u${n}`)) n++; return `u${n++}`; };
+  for (const [text, spans] of [...groups].sort((a, b) => b[0].length - a[0].length)) {
+    const free = spans.filter(s => !claimed.some(c => s.start >= c.start && s.end <= c.end));
+    if (free.length < 2 || (free.length - 1) * text.length <= free.length * USE_COST) continue;
+    const id = nextId();
+    symbols.push(`<symbol id="${id}" overflow="visible">${text}</symbol>`);
+    for (const s of free) claimed.push({ ...s, use: `<use href="#${id}"/>` });
+  }
+  if (!symbols.length) return svg;
+
+  claimed.sort((a, b) => a.start - b.start);
+  let out = "", at = 0;
+  for (const c of claimed) {
+    out += svg.slice(at, c.start) + c.use;
+    at = c.end;
+  }
+  out += svg.slice(at);
+  return out.replace(/<\/svg>(\s*)$/, `  <defs>\n    ${symbols.join("\n    ")}\n  </defs>\n</svg>$1`);
+}
+
+/**
+ * @param {string} svg
+ * @param {object} [opts]
+ * @param {number} [opts.precision]  decimals kept in attribute numbers (default 2)
+ * @returns {string}
+ */
+export function optimize(svg, { precision = 2 } = {}) {
+  return shareSubtrees(collapseFilters(collapseRuns(trimNumbers(svg, precision))));
+}
+
+/** Throw BudgetError when `text` is over `kb` (0 or undefined: no budget). */
+export function checkBudget(file, text, kb, key) {
+  const bytes = Buffer.byteLength(text);
+  if (kb && bytes > kb * 1024) throw new BudgetError(file, bytes, kb, key);
+  return bytes;
+}
@@ -0,0 +1,23 @@
+/**
+ * Small SVG string helpers shared by the builders.
+ */
+
+const XML_ESC = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+/** Escape text that comes from config or API data before it lands in markup. */
+export const esc = s => String(s).replace(/[&<>"']/g, c => XML_ESC[c]);
+
+/**
+ * Polyline points for a sparkline of `values` inside a w×h box at (x, y).
+ * Flat series sit on the middle line; fewer than two values draw nothing.
+ */
+export function sparkline(values, { x = 0, y = 0, w, h }) {
+  if (values.length < 2) return "";
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const span = hi - lo;
+  return values.map((v, i) => {
+    const px = x + (w * i) / (values.length - 1);
+    const py = span ? y + h - (h * (v - lo)) / span : y + h / 2;
+    return `${px.toFixed(1)},${py.toFixed(1)}`;
+  }).join(" ");
+}
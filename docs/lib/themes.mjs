@@ -0,0 +1,182 @@
+/**
+ * Theme registry shared by every generator.
+ *
+ * Generators never hardcode colors: they describe their CSS rules as a function of a
+ * theme (`css: t => ".title{fill:" + t.heading + "}"`) and let writeThemed() decide how
+ * the palette ships:
+ *   fixed — one SVG in one theme (default)
+ *   auto  — one SVG, light rules inside @media (prefers-color-scheme: light)
+ *   pair  — <name>-dark.svg + <name>-light.svg for a README <picture>, plus <name>.svg (dark)
+ * Motion (lib/a11y.mjs) is orthogonal: "static" renders the still frame instead, "both"
+ * adds a <name>-static.svg next to every file above.
+ * With `optimize` set (themeOptions does, from config) every file goes through
+ * lib/optimize.mjs and must fit its byte budget.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MOTIONS, stripMotion } from "./a11y.mjs";
+import { optimize, checkBudget } from "./optimize.mjs";
+
+export const COLOR_SCHEMES = ["fixed", "auto", "pair"];
+
+export const THEMES = {
+  crimson: {
+    scheme: "dark",
+    bg: "#0a0d12", bgAlt: "#070a0d",
+    card: "#0d1117", cardStroke: "#2a0a12", glow: "#c3193d",
+    heading: "#f3c4cc", headingAlt: "#ea384c",
+    text: "#f5e6e8", muted: "#9ca3af",
+    accent: "#ea384c", accent2: "#ff8fa3",
+    grid: "#121821", label: "#ea384c", line: "#c3193d", area: "#7a0f26", sheen: "#9b0e2a",
+    particles: ["#ffd1db", "#ffffff", "#ffc7d3"],
+    flame: ["#2a0008", "#7a0f26", "#c3193d", "#ea384c", "#ffd1db"],
+    series: ["#ffd166", "#7dd3fc", "#c4b5fd", "#86efac"],
+    heat: ["#121821", "#5c0b1f", "#a3122f", "#ea384c", "#ff8fa3"],
+    ember: "#c3193d", spark: "#ffc7d3", seat: "#1a0006",
+    pillLeft: "#000000", pillRight: "#8B0000", pillText: "#ffffff",
+    ledBg: "#000000", led: "#ff0000", ledUp: "#39ff14", ledDown: "#ffb000"
+  },
+  fire: {
+    scheme: "dark",
+    bg: "#120a05", bgAlt: "#0a0603",
+    card: "#160b06", cardStroke: "#3a1a08", glow: "#ff6a00",
+    heading: "#d1d5db", headingAlt: "#9ca3af",
+    text: "#f3f4f6", muted: "#9ca3af",
+    accent: "#60a5fa", accent2: "#ff5a00",
+    grid: "#1f140c", label: "#ff8c42", line: "#ff6a00", area: "#cc1100", sheen: "#ff6a00",
+    particles: ["#fff7bf", "#ffffff", "#ffb300"],
+    flame: ["#4a0000", "#cc1100", "#ff6a00", "#ffb300", "#fff7bf"],
+    series: ["#ffd15a", "#60a5fa", "#f472b6", "#a3e635"],
+    heat: ["#1f140c", "#7a1800", "#cc3300", "#ff6a00", "#ffb300"],
+    ember: "#ff4500", spark: "#ffd15a", seat: "#200000",
+    pillLeft: "#1a0a00", pillRight: "#cc3300", pillText: "#ffffff",
+    ledBg: "#000000", led: "#ff6a00", ledUp: "#39ff14", ledDown: "#ff1a1a"
+  },
+  ocean: {
+    scheme: "dark",
+    bg: "#0b1220", bgAlt: "#060b16",
+    card: "#0b1220", cardStroke: "#1f2937", glow: "#0ea5e9",
+    heading: "#e5e7eb", headingAlt: "#94a3b8",
+    text: "#e5e7eb", muted: "#9ca3af",
+    accent: "#60a5fa", accent2: "#e11d48",
+    grid: "#15213a", label: "#38bdf8", line: "#0ea5e9", area: "#0369a1", sheen: "#0ea5e9",
+    particles: ["#bae6fd", "#ffffff", "#7dd3fc"],
+    flame: ["#082f49", "#0369a1", "#0ea5e9", "#38bdf8", "#e0f2fe"],
+    series: ["#7dd3fc", "#fbbf24", "#f472b6", "#a78bfa"],
+    heat: ["#15213a", "#0c4a6e", "#0369a1", "#0ea5e9", "#7dd3fc"],
+    ember: "#0ea5e9", spark: "#7dd3fc", seat: "#020617",
+    pillLeft: "#0b1220", pillRight: "#0369a1", pillText: "#ffffff",
+    ledBg: "#020617", led: "#38bdf8", ledUp: "#4ade80", ledDown: "#f87171"
+  },
+  mono: {
+    scheme: "dark",
+    bg: "#0d0d0d", bgAlt: "#050505",
+    card: "#111111", cardStroke: "#2e2e2e", glow: "#a3a3a3",
+    heading: "#e5e5e5", headingAlt: "#a3a3a3",
+    text: "#f5f5f5", muted: "#8a8a8a",
+    accent: "#ffffff", accent2: "#bdbdbd",
+    grid: "#1f1f1f", label: "#bdbdbd", line: "#e5e5e5", area: "#525252", sheen: "#a3a3a3",
+    particles: ["#ffffff", "#d4d4d4", "#a3a3a3"],
+    flame: ["#171717", "#404040", "#737373", "#d4d4d4", "#ffffff"],
+    series: ["#ffffff", "#d4d4d4", "#737373", "#525252"],
+    heat: ["#1f1f1f", "#404040", "#737373", "#a3a3a3", "#f5f5f5"],
+    ember: "#a3a3a3", spark: "#e5e5e5", seat: "#0a0a0a",
+    pillLeft: "#111111", pillRight: "#404040", pillText: "#ffffff",
+    ledBg: "#000000", led: "#e5e5e5", ledUp: "#4ade80", ledDown: "#f87171"
+  },
+  light: {
+    scheme: "light",
+    bg: "#ffffff", bgAlt: "#f6f8fa",
+    card: "#ffffff", cardStroke: "#d0d7de", glow: "#cf222e",
+    heading: "#24292f", headingAlt: "#57606a",
+    text: "#1f2328", muted: "#57606a",
+    accent: "#0969da", accent2: "#cf222e",
+    grid: "#d8dee4", label: "#cf222e", line: "#cf222e", area: "#ff8182", sheen: "#cf222e",
+    particles: ["#cf222e", "#fd8c73", "#a40e26"],
+    flame: ["#a40e26", "#cf222e", "#fd8c73", "#ffb77c", "#fff1e5"],
+    series: ["#0969da", "#1a7f37", "#8250df", "#bc4c00"],
+    heat: ["#ebedf0", "#ffd8d3", "#ff8182", "#cf222e", "#82071e"],
+    ember: "#fb8500", spark: "#bc4c00", seat: "#ffebe9",
+    pillLeft: "#24292f", pillRight: "#cf222e", pillText: "#ffffff",
+    ledBg: "#ffffff", led: "#cf222e", ledUp: "#1a7f37", ledDown: "#9a6700"
+  }
+};
+
+export function getTheme(name) {
+  const t = THEMES[name];
+  if (!t) throw new Error(`unknown theme "${name}" (available: ${Object.keys(THEMES).join(", ")})`);
+  return { name, ...t };
+}
+
+/**
+ * Resolve theme options for one badge: --theme flag > <badge>.theme > theme > badge default.
+ * `overrides` are token values forced on top of both palettes (e.g. pv.colors).
+ */
+export const themeOptions = (cfg, badge, args, fallback, overrides = {}) => ({
+  theme: args.theme || cfg[badge]?.theme || cfg.theme || fallback,
+  lightTheme: cfg.lightTheme,
+  colorScheme: args["color-scheme"] || cfg.colorScheme,
+  motion: args.motion || cfg.motion,
+  optimize: cfg.optimize?.enabled === false ? undefined
+    : { precision: cfg.optimize?.precision, budget: cfg.optimize?.budgets?.[badge], key: badge },
+  overrides
+});
+
+const palette = (name, overrides) => ({ ...getTheme(name), ...overrides });
+
+/** Full contents of a <style> block: color-scheme plus the generator's rules. */
+export function themeCss(rules, { theme, lightTheme = "light", colorScheme = "fixed", overrides = {} }) {
+  const css = t => rules(t).replace(/^\n+/, "");
+  const dark = palette(theme, overrides);
+  if (colorScheme !== "auto") return `:root{ color-scheme: ${dark.scheme}; }\n${css(dark)}`;
+  const light = palette(lightTheme, overrides);
+  return `:root{ color-scheme: ${dark.scheme} ${light.scheme}; }\n${css(dark)}\n` +
+    `    @media (prefers-color-scheme: light){\n${css(light)}\n    }`;
+}
+
+/**
+ * Render a themed asset without writing it.
+ * @param {string} out                 target file (pair mode adds -dark / -light siblings,
+ *                                     motion "both" a -static sibling of each)
+ * @param {(t) => string} css          theme → CSS rules
+ * @param {(style: string, motion: "animated"|"static") => string} svg  <style> contents → document
+ * @param {object} opts               themeOptions(); `optimize` { precision, budget (KB), key }
+ * @returns {{ file: string, text: string }[]}
+ * @throws {BudgetError} when an optimized file is over `optimize.budget`
+ */
+export function renderThemed(out, { css, svg }, opts) {
+  if (!COLOR_SCHEMES.includes(opts.colorScheme ?? "fixed")) {
+    throw new Error(`unknown color scheme "${opts.colorScheme}" (use ${COLOR_SCHEMES.join(", ")})`);
+  }
+  const motion = opts.motion ?? "animated";
+  if (!MOTIONS.includes(motion)) throw new Error(`unknown motion "${motion}" (use ${MOTIONS.join(", ")})`);
+  const { dir, name, ext } = path.parse(out);
+  const files = opts.colorScheme === "pair"
+    ? [
+      [out, { ...opts, colorScheme: "fixed" }],
+      [path.join(dir, `${name}-dark${ext}`), { ...opts, colorScheme: "fixed" }],
+      [path.join(dir, `${name}-light${ext}`), { ...opts, theme: opts.lightTheme ?? "light", colorScheme: "fixed" }]
+    ]
+    : [[out, opts]];
+  const still = file => path.join(path.dirname(file), `${path.parse(file).name}-static${ext}`);
+  const rendered = files.flatMap(([file, o]) => [
+    ...(motion === "static" ? [] : [{ file, text: svg(themeCss(css, o), "animated") }]),
+    ...(motion === "animated" ? [] : [{ file: motion === "both" ? still(file) : file, text: stripMotion(svg(themeCss(css, o), "static")) }])
+  ]);
+  if (!opts.optimize) return rendered;
+  const { budget, key, ...settings } = opts.optimize;
+  return rendered.map(({ file, text }) => {
+    const small = optimize(text, settings);
+    checkBudget(file, small, budget, key);
+    return { file, text: small };
+  });
+}
+
+/** renderThemed() and write the result; returns the files written. */
+export async function writeThemed(out, doc, opts) {
+  const rendered = renderThemed(out, doc, opts);
+  await fs.mkdir(path.dirname(out), { recursive: true });
+  for (const { file, text } of rendered) await fs.writeFile(file, text, "utf8");
+  return rendered.map(r => r.file);
+}
@@ -0,0 +1,157 @@
+/**
+ * LED ticker data shared by the raster (generate_banner.js) and SVG (generate_svg.mjs)
+ * builders: the stats.json payload, its daily history snapshot and the scrolling message.
+ *
+ * The message is one segment per repo, from boost.config.json ticker.segment:
+ *   "⭐ {stars|trend} | 📦 {size_kb|kb}"
+ * {field} is a stats.json key (FIELDS); pipes apply FORMATS in order, and `trend`
+ * colors the value up/down against the previous day's snapshot in docs/history.
+ * ticker.include / exclude / sort / limit choose which repos appear, in what order.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const STATS = "docs/ticker-bot/stats.json";
+
+// per-repo snapshot; views/clones are GitHub's rolling 14-day counts at fetch time
+export const TRACKED = ["stars", "forks", "watchers", "open_issues", "pulls_count", "views", "visitors", "clones", "uniques", "size_kb"];
+
+/** stats.json is the ticker's "API payload" (written by fetch_stats.py). */
+export async function loadStats(tape) {
+  const stats = await tape.take("stats", { file: STATS }, async () => {
+    let text;
+    try {
+      text = await fs.readFile(path.join(ROOT, STATS), "utf8");
+    } catch {
+      throw new Error("❌ stats.json missing.");
+    }
+    return JSON.parse(text);
+  });
+  if (!Array.isArray(stats) || stats.length === 0) throw new Error("⚠️ stats.json is empty or malformed.");
+  return stats;
+}
+
+/** History row for lib/history.mjs: { repos: { <repo>: { stars, forks, … } } }. */
+export const snapshot = stats => ({
+  repos: Object.fromEntries(stats.map(s => [s.repo, Object.fromEntries(TRACKED.map(k => [k, s[k] ?? 0]))]))
+});
+
+// everything fetch_stats.py writes per repo
+export const FIELDS = ["repo", "description", "stars", "forks", "watchers", "open_issues", "language", "size_kb", "default_branch",
+  "updated_at", "clones", "uniques", "views", "visitors", "pulls_count", "fetched"];
+
+export const SORT_KEYS = ["none", ...TRACKED, "updated_at", "repo"];
+
+export const DEFAULT_SEGMENT = "🔎 {repo} :: ⭐ {stars|trend} | 🍴 {forks|trend} | 👁️ {views|trend} Views ({visitors} unique) | " +
+  "🧠 {clones|trend} Clones ({uniques} unique) | 👀 {watchers} Watchers | 🪲 {open_issues} Issues | 🧵 {pulls_count} PRs | " +
+  "🧬 {language} | 📦 {size_kb|kb} | 🧭 {default_branch} | 📅 {updated_at|date}";
+
+const UNITS = ["KB", "MB", "GB", "TB"];
+
+export const FORMATS = {
+  /** 1642738 → "1,642,738" */
+  num: v => Number(v).toLocaleString("en-US"),
+  /** 1642738 → "1.6M" */
+  compact: v => Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 }).format(Number(v)),
+  /** kilobytes → "1.6 GB" (1024-based, like GitHub's repo size) */
+  kb: v => {
+    let n = Number(v), u = 0;
+    while (n >= 1024 && u < UNITS.length - 1) { n /= 1024; u++; }
+    return `${u ? n.toFixed(1).replace(/\.0$/, "") : n} ${UNITS[u]}`;
+  },
+  /** ISO timestamp → "2025-11-09" */
+  date: v => (v ? String(v).slice(0, 10) : "unknown"),
+  /** "Python" → "PYTHON" */
+  upper: v => String(v).toUpperCase()
+};
+
+/**
+ * Parse a segment template once; throws listing every unknown field or format.
+ * @returns {(stat: object, prev: object|null) => { text: string, tone: "up"|"down"|null }[]}
+ */
+export function compileSegment(template, where = "ticker.segment") {
+  const parts = [];
+  const problems = [];
+  let last = 0;
+  for (const m of template.matchAll(/\{([^{}]*)\}/g)) {
+    if (m.index > last) parts.push({ text: template.slice(last, m.index) });
+    const [field, ...pipes] = m[1].split("|").map(x => x.trim());
+    if (!FIELDS.includes(field)) problems.push(`{${m[1]}}: unknown field "${field}" (known: ${FIELDS.join(", ")})`);
+    for (const p of pipes) {
+      if (p !== "trend" && !FORMATS[p]) problems.push(`{${m[1]}}: unknown format "${p}" (known: ${[...Object.keys(FORMATS), "trend"].join(", ")})`);
+    }
+    const trend = pipes.includes("trend");
+    if (trend && !TRACKED.includes(field)) problems.push(`{${m[1]}}: trend needs a tracked number (${TRACKED.join(", ")})`);
+    parts.push({ field, formats: pipes.filter(p => p !== "trend").map(p => FORMATS[p]), trend });
+    last = m.index + m[0].length;
+  }
+  if (last < template.length) parts.push({ text: template.slice(last) });
+  if (problems.length) throw new Error(`${where}: invalid template\n${problems.map(p => `  - ${p}`).join("\n")}`);
+
+  return (stat, prev) => parts.map(p => {
+    if (p.text != null) return { text: p.text, tone: null };
+    const raw = stat[p.field];
+    const text = raw == null ? "–" : p.formats.reduce((v, f) => f(v), raw);
+    const before = prev?.[p.field];
+    const tone = !p.trend || typeof before !== "number" || raw === before ? null : raw > before ? "up" : "down";
+    return { text: String(text), tone };
+  });
+}
+
+/** Repo's short name, so filters accept "GremlinGPT" and "statikfintechllc/GremlinGPT" alike. */
+const short = name => name.split("/").pop();
+
+/** Apply ticker.include / exclude / sort / limit. */
+export function selectRepos(stats, { include = [], exclude = [], sort = "none", limit = 0 }) {
+  const inc = new Set(include.map(short)), exc = new Set(exclude.map(short));
+  let out = stats.filter(s => (!inc.size || inc.has(s.repo)) && !exc.has(s.repo));
+  if (sort === "repo") out = [...out].sort((a, b) => a.repo.localeCompare(b.repo));
+  else if (sort === "updated_at") out = [...out].sort((a, b) => String(b.updated_at ?? "").localeCompare(String(a.updated_at ?? "")));
+  else if (sort !== "none") out = [...out].sort((a, b) => (b[sort] ?? 0) - (a[sort] ?? 0));
+  return limit ? out.slice(0, limit) : out;
+}
+
+/** Per-repo metrics from the last history snapshot of an earlier day ({} without one). */
+export function previousRepos(rows, now) {
+  const today = now.toISOString().slice(0, 10);
+  return rows.filter(r => r.date < today).at(-1)?.repos ?? {};
+}
+
+/**
+ * The marquee as styled runs (adjacent runs of one tone merged).
+ * @param {object[]} stats  stats.json entries
+ * @param {object} ticker   cfg.ticker
+ * @param {object} [prev]   previousRepos() result
+ * @returns {{ text: string, tone: "up"|"down"|null }[]}
+ */
+export function tickerRuns(stats, ticker, prev = {}) {
+  const segment = compileSegment(ticker.segment ?? DEFAULT_SEGMENT);
+  const runs = [];
+  selectRepos(stats, ticker).forEach((s, i) => {
+    if (i) runs.push({ text: ticker.separator ?? " — ", tone: null });
+    runs.push(...segment(s, prev[s.repo] ?? null));
+  });
+  if (!runs.length) throw new Error("⚠️ ticker.include / exclude left no repos to show.");
+  return runs.reduce((out, r) => {
+    const tail = out.at(-1);
+    if (tail && tail.tone === r.tone) tail.text += r.text;
+    else out.push({ ...r });
+    return out;
+  }, []);
+}
+
+/** Plain text of tickerRuns(). */
+export const runsText = runs => runs.map(r => r.text).join("");
+
+/**
+ * Scroll geometry both outputs agree on: the message enters at the right edge and
+ * leaves past the left one, `scrollSpeed` px per frame at `fps`.
+ * `scrollWidth` is the message width in px as that output draws it.
+ */
+export function scrollTiming(scrollWidth, { screenWidth, scrollSpeed, fps }) {
+  const framesNeeded = Math.ceil((scrollWidth + screenWidth) / scrollSpeed);
+  return { framesNeeded, durationMs: Math.ceil((framesNeeded / fps) * 1000) };
+}
@@ -0,0 +1,139 @@
+/**
+ * Trophy catalog: what each trophy counts, how it ranks, and how it looks.
+ *
+ * A trophy reads one `source`:
+ *   - a dotted GraphQL path on User, e.g. "gists.totalCount" or
+ *     "contributionsCollection.totalCommitContributions" (lifetime window applied)
+ *   - or a computed source over owned non-fork repos: "stars", "ownedRepos", "languages"
+ * and ranks against its own `tiers` (minimum value per rank, SSS highest, C lowest).
+ *
+ * boost.config.json → trophies.catalog adds custom trophies or overrides fields of a
+ * built-in one by id; trophies.show picks which ids render, in order.
+ */
+
+export const TIERS = ["SSS", "SS", "S", "AAA", "AA", "A", "B", "C"];
+
+export const COMPUTED = ["stars", "ownedRepos", "languages"];
+
+// 24×24 stroke glyphs; any other `icon` string (an emoji, say) is drawn as text
+export const ICONS = {
+  commit:     "M2 12h6M16 12h6M12 8a4 4 0 1 1 0 8a4 4 0 1 1 0-8z",
+  people:     "M9 11a4 4 0 1 0 0-8a4 4 0 0 0 0 8zM1 21c0-4 3.6-7 8-7s8 3 8 7M17 4a3.5 3.5 0 0 1 0 7M19 14c2.4.8 4 3.4 4 7",
+  star:       "M12 2l3 6.5 7 .8-5.2 4.8 1.4 7L12 17.6 5.8 21.1l1.4-7L2 9.3l7-.8z",
+  review:     "M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12zM12 9a3 3 0 1 0 0 6a3 3 0 0 0 0-6z",
+  issue:      "M12 2a10 10 0 1 0 0 20a10 10 0 0 0 0-20zM12 7v6M12 16v1",
+  repo:       "M4 4a2 2 0 0 1 2-2h14v16H6a2 2 0 0 0-2 2zM4 20a2 2 0 0 0 2 2h14v-4",
+  pr:         "M6 9v6M6 3a3 3 0 1 0 0 6a3 3 0 0 0 0-6zM6 15a3 3 0 1 0 0 6a3 3 0 0 0 0-6zM18 15V9c0-2-1-3-3-3h-4M13 3l-3 3 3 3M18 15a3 3 0 1 0 0 6a3 3 0 0 0 0-6z",
+  activity:   "M2 12h4l3-8 6 16 3-8h4",
+  gist:       "M8 6l-6 6 6 6M16 6l6 6-6 6",
+  discussion: "M3 4h13v9H8l-5 4zM8 17h8l5 4V8h-3",
+  heart:      "M12 21s-9-5.6-9-12a5 5 0 0 1 9-3 5 5 0 0 1 9 3c0 6.4-9 12-9 12z",
+  languages:  "M12 2a10 10 0 1 0 0 20a10 10 0 0 0 0-20zM2 12h20M12 2c3 3 4 6.5 4 10s-1 7-4 10c-3-3-4-6.5-4-10s1-7 4-10z"
+};
+
+const tiers = (...mins) => Object.fromEntries(TIERS.map((t, i) => [t, mins[i]]));
+
+export const CATALOG = [
+  { id: "commits",     title: "Commits",        icon: "commit",   source: "contributionsCollection.totalCommitContributions",
+    desc: "Commit contributions across all repos.", tiers: tiers(4000, 2000, 1000, 500, 200, 100, 10, 1) },
+  { id: "followers",   title: "Followers",      icon: "people",   source: "followers.totalCount",
+    desc: "People following this account.",        tiers: tiers(1000, 400, 200, 100, 50, 20, 10, 1) },
+  { id: "stars",       title: "Stars Earned",   icon: "star",     source: "stars",
+    desc: "Stargazers on owned repositories.",      tiers: tiers(2000, 700, 200, 100, 50, 30, 10, 1) },
+  { id: "reviews",     title: "Reviews",        icon: "review",   source: "contributionsCollection.totalPullRequestReviewContributions",
+    desc: "Pull request reviews submitted.",        tiers: tiers(500, 250, 100, 50, 25, 10, 5, 1) },
+  { id: "issues",      title: "Issues",         icon: "issue",    source: "contributionsCollection.totalIssueContributions",
+    desc: "Issues created.",                        tiers: tiers(1000, 500, 200, 100, 50, 20, 10, 1) },
+  { id: "repos",       title: "Repositories",   icon: "repo",     source: "ownedRepos",
+    desc: "Owned non-fork repositories.",           tiers: tiers(50, 45, 40, 35, 30, 20, 10, 1) },
+  { id: "prs",         title: "Pull Requests",  icon: "pr",       source: "contributionsCollection.totalPullRequestContributions",
+    desc: "Pull requests opened.",                  tiers: tiers(1000, 500, 200, 100, 50, 20, 10, 1) },
+  { id: "activity",    title: "Total Activity", icon: "activity", source: "contributionsCollection.contributionCalendar.totalContributions",
+    desc: "All recorded contributions.",            tiers: tiers(10000, 5000, 2000, 1000, 500, 200, 50, 1) },
+
+  // available but not shown unless listed in trophies.show
+  { id: "gists",       title: "Gists",          icon: "gist",       source: "gists.totalCount",
+    desc: "Public gists published.",                tiers: tiers(100, 50, 30, 20, 10, 5, 2, 1) },
+  { id: "discussions", title: "Discussions",    icon: "discussion", source: "repositoryDiscussions.totalCount",
+    desc: "Discussions started.",                   tiers: tiers(200, 100, 50, 25, 10, 5, 2, 1) },
+  { id: "sponsors",    title: "Sponsors",       icon: "heart",      source: "sponsors.totalCount",
+    desc: "People and orgs sponsoring this account.", tiers: tiers(100, 50, 25, 10, 5, 3, 2, 1) },
+  { id: "languages",   title: "Languages",      icon: "languages",  source: "languages",
+    desc: "Primary languages across owned repos.",  tiers: tiers(20, 15, 12, 10, 8, 5, 3, 1) }
+];
+
+export const DEFAULT_SHOW = ["commits", "followers", "stars", "reviews", "issues", "repos", "prs", "activity"];
+
+const PATH = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)+$/;
+
+/**
+ * Merge built-ins with trophies.catalog and pick trophies.show.
+ * Throws one error listing every incomplete or inconsistent trophy.
+ */
+export function buildCatalog({ catalog = [], show = [] } = {}, file = "boost.config.json") {
+  const byId = new Map(CATALOG.map(t => [t.id, structuredClone(t)]));
+  const custom = [];
+  for (const entry of catalog) {
+    const base = byId.get(entry.id);
+    if (!base) custom.push(entry.id);
+    byId.set(entry.id, { ...base, ...entry, tiers: { ...base?.tiers, ...entry.tiers } });
+  }
+
+  const ids = show.length ? show : [...DEFAULT_SHOW, ...custom];
+  const problems = [];
+  for (const id of ids) {
+    const t = byId.get(id);
+    if (!t) {
+      problems.push(`trophies.show: unknown trophy "${id}" (known: ${[...byId.keys()].join(", ")})`);
+      continue;
+    }
+    for (const key of ["title", "source"]) if (!t[key]) problems.push(`trophy "${id}" needs a "${key}"`);
+    if (t.source && !COMPUTED.includes(t.source) && !PATH.test(t.source)) {
+      problems.push(`trophy "${id}": source "${t.source}" is neither a dotted User field path nor one of ${COMPUTED.join(", ")}`);
+    }
+    const missing = TIERS.filter(r => typeof t.tiers?.[r] !== "number");
+    if (missing.length) problems.push(`trophy "${id}" is missing tier thresholds for ${missing.join(", ")}`);
+    else if (TIERS.some((r, i) => i && t.tiers[r] > t.tiers[TIERS[i - 1]])) {
+      problems.push(`trophy "${id}": tier thresholds must not increase from SSS down to C`);
+    }
+  }
+  if (problems.length) throw new Error(`${file}: invalid trophy catalog\n${problems.map(p => `  - ${p}`).join("\n")}`);
+  return ids.map(id => byId.get(id));
+}
+
+/** Highest rank whose threshold `value` reaches, or null below C. */
+export const grade = (trophy, value) => TIERS.find(r => value >= trophy.tiers[r]) ?? null;
+
+/**
+ * One User query selecting every GraphQL path in the catalog (null if none).
+ * contributionsCollection takes the lifetime window as $from/$to.
+ */
+export function statsQuery(catalog) {
+  const tree = {};
+  for (const t of catalog) {
+    if (COMPUTED.includes(t.source)) continue;
+    let node = tree;
+    for (const part of t.source.split(".")) node = node[part] ??= {};
+  }
+  if (!Object.keys(tree).length) return null;
+
+  const select = (node, pad) => Object.entries(node).map(([field, sub]) => {
+    const args = field === "contributionsCollection" ? "(from:$from, to:$to)" : "";
+    return Object.keys(sub).length
+      ? `${pad}${field}${args}{\n${select(sub, pad + "  ")}\n${pad}}`
+      : `${pad}${field}`;
+  }).join("\n");
+
+  const windowed = "contributionsCollection" in tree;
+  return `
+  query($login:String!${windowed ? ", $from:DateTime!, $to:DateTime!" : ""}){
+    user(login:$login){
+${select(tree, "      ")}
+    }
+  }
+`;
+}
+
+/** Read a dotted path from a query result; null / missing count as 0. */
+export const readPath = (data, source) =>
+  source.split(".").reduce((v, k) => (v == null ? v : v[k]), data) ?? 0;
@@ -0,0 +1,204 @@
+/**
+ * PNG export — the generated SVGs as PNG, for places that don't render SMIL
+ * (social previews, chat embeds, some markdown viewers)
+ * - Input: badge names as ggpt-boost knows them (streak, trophies, repos, …; default all),
+ *   or SVG files and directories of them
+ * - Frame: resvg draws only a document's initial state, so SMIL is frozen first
+ *   (lib/frames.mjs): --frame <n> of a carousel (root data-frames), else --time <s>
+ *   (png.time); a carousel defaults to its first frame
+ * - Strip: --strip <n> (png.strip) adds <name>-strip.png, n moments across one loop in a row
+ * - Sheet: --sheet adds <name>-sheet.png, every carousel frame numbered in png.columns columns
+ * - Output: <name>.png next to each SVG, or in --out-dir <dir>; --scale overrides png.scale
+ * - Rasterizer: @resvg/resvg-wasm with png.fonts (no system fonts inside WASM; DejaVu
+ *   from dejavu-fonts-ttf by default), and no export at all without a font
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { initWasm, Resvg } from "@resvg/resvg-wasm";
+import { loadConfig } from "../../lib/config.mjs";
+import { freeze, carousel, frameTimes, loopSeconds, tile } from "../../lib/frames.mjs";
+import { TARGETS } from "../../cli/ggpt-boost.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
+const require = createRequire(import.meta.url);
+
+const { values: args, positionals } = parseArgs({
+  options: {
+    frame:     { type: "string" },
+    time:      { type: "string" },
+    strip:     { type: "string" },
+    sheet:     { type: "boolean" },
+    scale:     { type: "string" },
+    "out-dir": { type: "string" },
+    config:    { type: "string" }
+  },
+  allowPositionals: true
+});
+const cfg = await loadConfig(args);
+const opts = cfg.png;
+
+const number = (flag, fallback) => {
+  if (args[flag] === undefined) return fallback;
+  const n = Number(args[flag]);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`--${flag} must be a non-negative number, got "${args[flag]}"`);
+  return n;
+};
+const SCALE = number("scale", opts.scale) || opts.scale;
+const STRIP = Math.round(number("strip", opts.strip));
+
+// ---------------- Inputs ----------------
+// badge names map to their assets; the ticker GIF is already a raster
+async function inputs(names) {
+  const wanted = !names.length || names.includes("all")
+    ? Object.values(TARGETS).map(t => t.asset).filter(a => !a.endsWith(".gif"))
+    : names.map(n => TARGETS[n]?.asset ?? n);
+  const files = [];
+  for (const rel of wanted) {
+    const p = path.resolve(ROOT, rel);
+    const stat = await fs.stat(p).catch(() => null);
+    if (!stat) {
+      if (names.length && !names.includes("all")) throw new Error(`${rel}: no such file or badge`);
+      console.warn(`${rel}: not built yet, skipped`);
+    } else if (stat.isDirectory()) {
+      for (const f of (await fs.readdir(p)).sort()) if (f.endsWith(".svg")) files.push(path.join(p, f));
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+// ---------------- Rendering ----------------
+await initWasm(await fs.readFile(require.resolve("@resvg/resvg-wasm/index_bg.wasm")));
+
+// png.fonts entries: absolute, relative to the repo root, else a file inside an installed package
+async function fontPath(f) {
+  const local = path.resolve(ROOT, f);
+  if (path.isAbsolute(f) || await fs.access(local).then(() => true, () => false)) return local;
+  try {
+    return require.resolve(f);
+  } catch {
+    return local;
+  }
+}
+
+const fontBuffers = [];
+for (const f of opts.fonts) {
+  try {
+    fontBuffers.push(new Uint8Array(await fs.readFile(await fontPath(f))));
+  } catch {
+    console.warn(`png.fonts: ${f} not found, skipped`);
+  }
+}
+// without fonts resvg drops every <text>: numbers and labels would vanish from the PNGs
+if (!fontBuffers.length) {
+  throw new Error("png.fonts: no font could be read (npm ci in docs/png installs the default DejaVu set)");
+}
+const FONT = {
+  fontBuffers,
+  loadSystemFonts: false,
+  defaultFontFamily: "DejaVu Sans",
+  sansSerifFamily: "DejaVu Sans",
+  monospaceFamily: "DejaVu Sans Mono"
+};
+
+function draw(svg, scale) {
+  const resvg = new Resvg(svg, { font: FONT, fitTo: { mode: "zoom", value: scale }, background: opts.background });
+  const image = resvg.render();
+  const out = { png: Buffer.from(image.asPng()), width: image.width, height: image.height };
+  image.free();
+  resvg.free();
+  return out;
+}
+
+const asImage = ({ png, width, height }) => ({ href: `data:image/png;base64,${png.toString("base64")}`, width, height });
+
+// the same document with `pad` more user units on every side
+function padded(svg, pad) {
+  return svg.replace(/<svg\b[^>]*>/, root => {
+    const size = k => Number(root.match(new RegExp(`\\s${k}="([\\d.]+)"`))?.[1]);
+    const w = size("width"), h = size("height");
+    const [vx, vy, vw, vh] = root.match(/\sviewBox="([^"]*)"/)?.[1].trim().split(/[\s,]+/).map(Number) ?? [0, 0, w, h];
+    const px = pad * vw / w, py = pad * vh / h;
+    return root
+      .replace(/\swidth="[^"]*"/, ` width="${w + 2 * pad}"`)
+      .replace(/\sheight="[^"]*"/, ` height="${h + 2 * pad}"`)
+      .replace(/\s*viewBox="[^"]*"|(?=\s*>$)/, ` viewBox="${vx - px} ${vy - py} ${vw + 2 * px} ${vh + 2 * py}"`);
+  });
+}
+
+/**
+ * PNG bytes of `svg` at `scale`, with the pixel size for tiling.
+ * resvg-wasm 2.6 aborts ("unreachable") on some displacement-map filter regions, which
+ * streak flames hit at certain offsets; the same frame drawn on a padded canvas and
+ * cropped back comes out the same, so those frames retry that way.
+ */
+function render(svg, scale) {
+  try {
+    return draw(svg, scale);
+  } catch (err) {
+    if (!(err instanceof WebAssembly.RuntimeError)) throw err;
+    const width = Number(svg.match(/<svg\b[^>]*?\swidth="([\d.]+)"/)?.[1]);
+    const height = Number(svg.match(/<svg\b[^>]*?\sheight="([\d.]+)"/)?.[1]);
+    for (const pad of [16, 50, 120]) {
+      try {
+        const big = asImage(draw(padded(svg, pad), scale));
+        return draw(`<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}">
+  <image x="${-pad * scale}" y="${-pad * scale}" width="${big.width}" height="${big.height}" href="${big.href}"/>
+</svg>`, 1);
+      } catch (retry) {
+        if (!(retry instanceof WebAssembly.RuntimeError)) throw retry;
+      }
+    }
+    throw err;
+  }
+}
+
+// ---------------- Export ----------------
+const files = await inputs(positionals);
+if (!files.length) throw new Error("nothing to export: build some badges first, or name SVG files");
+
+for (const file of files) {
+  const svg = await fs.readFile(file, "utf8");
+  const frames = carousel(svg);
+  const dir = args["out-dir"] ? path.resolve(args["out-dir"]) : path.dirname(file);
+  const base = path.join(dir, path.basename(file, ".svg"));
+  await fs.mkdir(dir, { recursive: true });
+  const write = async (suffix, { png }) => {
+    await fs.writeFile(`${base}${suffix}.png`, png);
+    console.log(`Wrote ${path.relative(process.cwd(), `${base}${suffix}.png`)}`);
+  };
+
+  let t = number("time", frames ? frameTimes(frames)[0] : opts.time);
+  if (args.frame !== undefined) {
+    const i = Number(args.frame);
+    if (!frames) throw new Error(`${file}: --frame needs a carousel (no data-frames); use --time`);
+    if (!Number.isInteger(i) || i < 0 || i >= frames.count) throw new Error(`--frame must be 0..${frames.count - 1}, got "${args.frame}"`);
+    t = frameTimes(frames)[i];
+  }
+  await write("", render(freeze(svg, t), SCALE));
+
+  if (STRIP > 0) {
+    const times = frameTimes({ count: STRIP, period: loopSeconds(svg) || 1 });
+    await write("-strip", render(tile(times.map(s => asImage(render(freeze(svg, s), SCALE)))), 1));
+  }
+
+  if (args.sheet) {
+    if (!frames) {
+      console.warn(`${path.basename(file)}: not a carousel (no data-frames), no contact sheet`);
+      continue;
+    }
+    const times = frameTimes(frames);
+    const images = times.map(s => asImage(render(freeze(svg, s), opts.sheetScale)));
+    const sheet = tile(images, {
+      columns: opts.columns,
+      labels: times.map((s, i) => `#${i + 1} · ${s.toFixed(2)}s`),
+      background: opts.background ?? "#0d1117"
+    });
+    await write("-sheet", render(sheet, 1));
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Repo cards — one glowing card per stats.json repo, or all of them in one grid (GitHub-safe SVG/SMIL)
+ * Data: stats.json (fetch_stats.py) for description, stars, forks and language;
+ *       history traffic.ndjson (graph/fetch_traffic.py) for the views/clones sparklines
+ * Cards: lib/card.mjs, the same frame and glow as the trophies
+ * Layout: repoCards.layout cards | grid, repoCards.columns wide; include / exclude / sort / limit as in ticker
+ * Accessible: title/desc give each repo's stars, forks and traffic; reduced motion or --motion static drops the glow pulse
+ * Output: assets/repos/<repo>.svg per card, or assets/repos/grid.svg (or --out <dir>)
+ * Offline: --fixture <file.json> replays stats.json and the history it read
+ * Themed (default "ocean"): --theme <name>, --color-scheme fixed|auto|pair
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { readHistory } from "../../lib/history.mjs";
+import { loadStats, selectRepos } from "../../lib/ticker.mjs";
+import { LANGUAGE_COLORS } from "../../lib/languages.mjs";
+import { card, cardCss, GLOW_FILTER } from "../../lib/card.mjs";
+import { esc, sparkline } from "../../lib/svg.mjs";
+import { measure, truncate } from "../../lib/metrics.mjs";
+import { accessible, withStill, stripMotion, MOTION_CSS } from "../../lib/a11y.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest, stopCleanlyWhenUnchanged } from "../../lib/manifest.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
+const DAY = 86400000;
+
+const args = builderArgs();
+const OUT = outPath(args, import.meta.url, "../assets/repos");
+const cfg = await loadConfig(args);
+const rc = cfg.repoCards;
+
+// -------------------- Data --------------------
+stopCleanlyWhenUnchanged();
+// stats.json and traffic history are this builder's only inputs, so both go on the tape
+const tape = await openTape(args);
+const stats = await loadStats(tape);
+const dir = args.history ? path.resolve(args.history) : path.resolve(ROOT, cfg.history.dir);
+const traffic = await tape.take("history", { name: "traffic" }, () => readHistory(dir, "traffic"));
+
+const repos = selectRepos(stats, rc);
+if (!repos.length) {
+  console.error("No repos to draw (stats.json is empty for repoCards.include / exclude)");
+  process.exit(1);
+}
+
+const manifest = await openManifest(path.join(OUT, "repos"), { script: import.meta.url, now: tape.now, force: args.force });
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args });
+
+// the last sparkDays days up to today, zero where a repo has no row (traffic keys are owner/repo)
+const days = Array.from({ length: rc.sparkDays }, (_, i) =>
+  new Date(tape.now.getTime() - (rc.sparkDays - 1 - i) * DAY).toISOString().slice(0, 10));
+function series(repo, metric) {
+  const rows = traffic.filter(r => r.key.split("/").pop() === repo);
+  if (!rows.length) return null;
+  const by = new Map(rows.map(r => [r.date, r[metric] ?? 0]));
+  return days.map(d => by.get(d) ?? 0);
+}
+
+// -------------------- Layout --------------------
+const W = 340, H = 160, GAP = 24, PAD = 20;
+const LANG_FONT = { size: 12 }, DESC_FONT = { size: 12 };
+const SPARK_Y = 112, SPARK_H = 22;
+
+const fmt = n => Number(n ?? 0).toLocaleString("en-US");
+
+// language dot and name, right-aligned in the title row; returns the markup and the px it takes
+function language(name) {
+  if (!name) return { markup: "", room: 0 };
+  const w = Math.ceil(measure(name, LANG_FONT));
+  const color = LANGUAGE_COLORS[name];
+  const dot = color ? `fill="${color}"` : `class="noLang"`;
+  return {
+    markup: `
+    <circle cx="${W - 20 - w - 10}" cy="30" r="5" ${dot}/>
+    <text x="${W - 20}" y="34" class="lang" text-anchor="end">${esc(name)}</text>`,
+    room: w + 24
+  };
+}
+
+// views and clones side by side under the description, each labeled with its total
+function sparks(repo) {
+  const views = series(repo, "views"), clones = series(repo, "clones");
+  if (!views) return `
+    <text x="20" y="${SPARK_Y + 16}" class="sparkLabel">No traffic history yet</text>`;
+  const pw = (W - 40 - 16) / 2;
+  return [["views", views], ["clones", clones]].map(([name, values], i) => {
+    const x = 20 + i * (pw + 16);
+    const total = values.reduce((n, v) => n + v, 0);
+    return `
+    <text x="${x}" y="${SPARK_Y + 6}" class="sparkLabel">${name} · ${fmt(total)} in ${rc.sparkDays}d</text>
+    <polyline points="${sparkline(values, { x, y: SPARK_Y + 12, w: pw, h: SPARK_H })}" class="spark ${name}" fill="none"/>`;
+  }).join("");
+}
+
+function repoCard(s, x, y) {
+  const lang = language(s.language);
+  const desc = truncate(s.description || "No description", W - 40, DESC_FONT);
+  return card({
+    x, y, w: W, h: H,
+    title: s.repo,
+    titleRoom: W - 40 - lang.room,
+    value: `${fmt(s.stars)}<tspan class="unit"> stars · </tspan>${fmt(s.forks)}<tspan class="unit"> forks</tspan>`,
+    desc,
+    adorn: lang.markup,
+    extra: sparks(s.repo)
+  });
+}
+
+// -------------------- Theme --------------------
+const css = t => `${cardCss(t)}
+    .unit{ font:600 13px system-ui; fill:${t.muted} }
+    .lang{ font:12px system-ui; fill:${t.muted} }
+    .noLang{ fill:${t.muted} }
+    .sparkLabel{ font:11px system-ui; fill:${t.muted} }
+    .spark{ stroke-width:1.5; stroke-linejoin:round; stroke-linecap:round }
+    .views{ stroke:${t.accent} }
+    .clones{ stroke:${t.accent2} }${MOTION_CSS}`;
+
+// -------------------- Accessibility --------------------
+// "GremlinGPT: 5 stars, 2 forks, Python; 156 views and 71 clones in 14 days"
+function summary(s) {
+  const views = series(s.repo, "views"), clones = series(s.repo, "clones");
+  const sum = values => fmt(values.reduce((n, v) => n + v, 0));
+  return `${s.repo}: ${fmt(s.stars)} stars, ${fmt(s.forks)} forks${s.language ? `, ${s.language}` : ""}` +
+    (views ? `; ${sum(views)} views and ${sum(clones)} clones in ${rc.sparkDays} days` : "");
+}
+
+// -------------------- SVG --------------------
+const doc = (w, h, body, shown) => {
+  const a11y = accessible({
+    title: shown.length === 1 ? `Repository card: ${shown[0].repo}` : `Repository cards: ${shown.map(s => s.repo).join(", ")}`,
+    desc: shown.map(summary).join(". ")
+  });
+  return {
+    css,
+    svg: (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" xmlns="http://www.w3.org/2000/svg" text-rendering="geometricPrecision"${a11y.attrs}>
+  ${a11y.head}
+  <defs>
+    ${GLOW_FILTER}
+  </defs>
+  <style>
+    ${style}
+  </style>${withStill(motion, body, stripMotion(body))}
+</svg>`
+  };
+};
+
+let pages;
+if (rc.layout === "cards") {
+  pages = repos.map(s => [`${s.repo}.svg`, doc(W + 2 * PAD, H + 2 * PAD, repoCard(s, PAD, PAD), [s])]);
+} else {
+  const cols = Math.min(rc.columns, repos.length), rows = Math.ceil(repos.length / cols);
+  const body = repos.map((s, i) => repoCard(s, PAD + (i % cols) * (W + GAP), PAD + Math.floor(i / cols) * (H + GAP))).join("");
+  pages = [["grid.svg", doc(2 * PAD + cols * W + (cols - 1) * GAP, 2 * PAD + rows * H + (rows - 1) * GAP, body, repos)]];
+}
+
+const rendered = pages.flatMap(([name, d]) => renderThemed(path.join(OUT, name), d, themeOptions(cfg, "repoCards", args, "ocean")));
+const files = await manifest.finish(rendered);
+for (const s of repos) console.log(`[✅] ${s.repo}: ${fmt(s.stars)} stars, ${fmt(s.forks)} forks`);
+console.log(`Wrote ${files.length} file(s) to ${OUT}`);
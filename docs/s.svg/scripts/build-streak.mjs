@@ -3,126 +3,99 @@
  * - Jagged, randomized flame tongues (no bubbles)
  * - Flame crown ring + rising edge flames + sparks
  * - Accurate data (same GraphQL as before)
+ * - Offline: --fixture <file.json> replays a recording; add --record to capture one
+ * - Themed (default "fire"): --theme <name>, --color-scheme fixed|auto|pair
+ * - History: total / current / longest snapshotted daily under docs/history (lib/history.mjs)
+ * - Calendar: live runs keep a copy under docs/history/calendar/ and refetch only streak.refetchDays
+ * - Accessible: title/desc summary; reduced motion or --motion static shows the latest frame still
+ * - PNG: data-frames names the totals carousel for docs/png (contact sheet of every frame)
+ * - Rules: streak.rules timezone / weekendsOff / graceDays (lib/calendar.mjs), named under the ring
+ * - Aggregate: --users a,b / --org <name> merge calendars by date; --breakdown adds per-member frames
  */
 
-import fs from "node:fs/promises";
-import path from "node:path";
-
-const OUT = path.resolve(process.cwd(), "assets/streak.svg");
-const GH_TOKEN = process.env.PAT_GITHUB;
-const USER = process.env.GH_USER || "statikfintechllc";
-if (!GH_TOKEN) throw new Error("PAT_GITHUB env missing");
-
-// ---------------- GraphQL ----------------
-const gql = async (query, variables = {}, attempt = 1) => {
-  const r = await fetch("https://api.github.com/graphql", {
-    method: "POST",
-    headers: {
-      Authorization: `bearer ${GH_TOKEN}`,
-      "Content-Type": "application/json",
-      "User-Agent": "ggpt-boost-streak"
-    },
-    body: JSON.stringify({ query, variables })
-  });
-  if (r.status >= 500 && attempt < 5) {
-    await new Promise(res => setTimeout(res, attempt * 400));
-    return gql(query, variables, attempt + 1);
-  }
-  if (!r.ok) throw new Error(`GraphQL ${r.status}: ${await r.text()}`);
-  const j = await r.json();
-  if (j.errors) throw new Error(JSON.stringify(j.errors));
-  return j.data;
-};
-
-const qUser = `query($login:String!){ user(login:$login){ createdAt } }`;
-const qCal = `query($login:String!, $from:DateTime!, $to:DateTime!){
-  user(login:$login){
-    contributionsCollection(from:$from, to:$to){
-      contributionCalendar{ weeks{ contributionDays{ date contributionCount } } }
-    }
-  }
-}`;
+import { createClient, stopCleanlyOnRateLimit } from "../../lib/github.mjs";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { esc } from "../../lib/svg.mjs";
+import { accessible, withStill, MOTION_CSS } from "../../lib/a11y.mjs";
+import { fitText } from "../../lib/metrics.mjs";
+import { historyDir, calendarDir, openHistory } from "../../lib/history.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest } from "../../lib/manifest.mjs";
+import { ACCOUNT_OPTIONS, resolveAccounts, expandAccounts } from "../../lib/accounts.mjs";
+import { syncCalendar, mergeCalendars, currentStreak, streakRuns, rulesCaption } from "../../lib/calendar.mjs";
+
+const args = builderArgs(ACCOUNT_OPTIONS);
+const OUT = outPath(args, import.meta.url, "../assets/streak.svg");
+const cfg = await loadConfig(args);
+const accounts = resolveAccounts(args, cfg, "streak");
 
 // ---------------- Data ----------------
-const who = await gql(qUser, { login: USER });
-const createdAt = new Date(who.user.createdAt);
-const now = new Date();
-const addDays = (d, n) => { const t = new Date(d); t.setUTCDate(t.getUTCDate() + n); return t; };
-
-let cursor = new Date(Date.UTC(
-  createdAt.getUTCFullYear(),
-  createdAt.getUTCMonth(),
-  createdAt.getUTCDate()
-));
-
-const allDays = [];
-while (cursor < now) {
-  const to = addDays(cursor, 365);
-  const winFrom = cursor.toISOString();
-  const winTo = (to < now ? to : now).toISOString();
-  const data = await gql(qCal, { login: USER, from: winFrom, to: winTo });
-  const days = data.user.contributionsCollection.contributionCalendar.weeks
-    .flatMap(w => w.contributionDays)
-    .map(d => ({ date: d.date, count: d.contributionCount }));
-  allDays.push(...days);
-  cursor = to;
+stopCleanlyOnRateLimit();
+const tape = await openTape(args);
+const { gql } = createClient({ userAgent: "ggpt-boost-streak", tape });
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
+const now = tape.now;
+
+const { logins, label: USER, breakdown } = await expandAccounts(gql, accounts);
+const members = [];
+for (const login of logins) {
+  const cal = await syncCalendar(gql, login, now, {
+    dir: calendarDir(args, cfg, tape), refetchDays: cfg.streak.refetchDays, timeZone: cfg.streak.rules.timezone
+  });
+  if (cal.since) console.log(`@${login}: calendar copy refreshed from ${cal.since}`);
+  members.push(cal);
 }
 
-const byDate = new Map();
-for (const d of allDays) byDate.set(d.date, (byDate.get(d.date) || 0) + d.count);
-const days = [...byDate.entries()]
-  .map(([date, count]) => ({ date, count }))
-  .sort((a, b) => new Date(a.date) - new Date(b.date));
+// several accounts: a day counts toward the streak when anyone contributed
+const createdAt = new Date(Math.min(...members.map(m => m.createdAt)));
+const days = mergeCalendars(members.map(m => m.days));
 
 let run = 0;
 const timeline = days.map(d => ({ date: d.date, total: (run += d.count) }));
 
-// ---- current streak (end at most recent non-zero day, not strictly "today") ----
-let cs = 0;
-if (days.length) {
-  // index at last day that is <= now
-  let i = days.length - 1;
-  while (i >= 0 && new Date(days[i].date) > now) i--;
+// ---- streaks under streak.rules: "today" is the configured timezone's, and still pending ----
+const rules = cfg.streak.rules;
+const cs = currentStreak(days, now, rules);
+const top = [...streakRuns(days, rules)].sort((a, b) => b.len - a.len).slice(0, 3);
 
-  // skip trailing zero-contribution days (e.g., no commit yet today)
-  while (i >= 0 && days[i].count === 0) i--;
-
-  // count consecutive >0 days backward
-  while (i >= 0 && days[i].count > 0) { cs++; i--; }
-}
-
-const streaks = [];
-let cur = 0, start = null;
-for (let i = 0; i < days.length; i++) {
-  const d = days[i];
-  if (d.count > 0) {
-    if (cur === 0) start = d.date;
-    cur++;
-  } else if (cur > 0) {
-    streaks.push({ start, end: days[i - 1].date, len: cur });
-    cur = 0; start = null;
-  }
-}
-if (cur > 0) streaks.push({ start, end: days.at(-1).date, len: cur });
-const top = [...streaks].sort((a, b) => b.len - a.len).slice(0, 3);
+const history = await openHistory("streak", { dir: historyDir(args, cfg, tape), now, key: USER });
+const recorded = await history.record({ total: timeline.at(-1)?.total ?? 0, current: cs, longest: top[0]?.len ?? 0 });
+const touched = recorded || members.some(m => m.touched);
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args }, { touched });
 
 // sample to limit frame count
-const MAX_FRAMES = 80;
+const MAX_FRAMES = cfg.streak.maxFrames;
 const sample = (() => {
   if (timeline.length <= MAX_FRAMES) return timeline;
   const step = (timeline.length - 1) / (MAX_FRAMES - 1);
   return Array.from({ length: MAX_FRAMES }, (_, i) => timeline[Math.round(i * step)]);
 })();
 
+// optional per-member frames after the combined timeline
+const frames = [
+  ...sample.map(p => ({ value: p.total, sub: p.date })),
+  ...(breakdown ? members.map(m => ({
+    value: m.days.reduce((n, d) => n + d.count, 0),
+    sub: `@${m.login} · ${currentStreak(m.days, now, rules)}d streak`
+  })) : [])
+];
+
 // ---------------- Layout ----------------
-const W = 760, H = 178;
+// a caption row under the ring when streak.rules differ from the defaults
+const RULES = rulesCaption(rules);
+const W = 760, H = RULES ? 196 : 178;
 const L_X = 150, C_X = 380, R_X = 610;
 const TITLE_Y = 34, NUM_Y = 102, SUB_Y = 126;
+// widest a column's text may get before it is squeezed (columns are 230 apart)
+const COL_W = 210;
+const TITLE_FONT = { font: "sans-bold", size: 18 }, SUB_FONT = { font: "sans", size: 12 };
 
 // ---------------- Carousels ----------------
-const LEFT_FRAMES = sample.length;
+const LEFT_FRAMES = frames.length;
 const LEFT_DUR = +(LEFT_FRAMES * 0.08).toFixed(2);
-const mkLeft = sample.map((p, i) => {
+const mkLeft = frames.map((p, i) => {
   const keyTimes = [], values = [];
   for (let k = 0; k <= LEFT_FRAMES; k++) {
     keyTimes.push((k / LEFT_FRAMES).toFixed(6));
@@ -130,8 +103,8 @@ const mkLeft = sample.map((p, i) => {
   }
   return `
   <g>
-    <text x="${L_X}" y="${NUM_Y}" class="leftLabel" text-anchor="middle">${p.total.toLocaleString()}</text>
-    <text x="${L_X}" y="${SUB_Y}" class="leftSub"   text-anchor="middle">${p.date}</text>
+    <text x="${L_X}" y="${NUM_Y}" class="leftLabel" text-anchor="middle">${p.value.toLocaleString("en-US")}</text>
+    <text x="${L_X}" y="${SUB_Y}" class="leftSub"   text-anchor="middle"${fitText(p.sub, COL_W, SUB_FONT)}>${esc(p.sub)}</text>
     <animate attributeName="opacity" values="${values.join(";")}" keyTimes="${keyTimes.join(";")}" dur="${LEFT_DUR}s" repeatCount="indefinite"/>
   </g>`;
 }).join("");
@@ -243,7 +216,7 @@ function buildEmbers() {
     const dur = r(1.5, 3.5).toFixed(2);
     const delay = r(0, 2).toFixed(2);
     embers += `
-    <circle cx="${x}" cy="${y}" r="${rs}" fill="#ff4500" opacity="0" filter="url(#fGlow)">
+    <circle cx="${x}" cy="${y}" r="${rs}" class="ember" opacity="0" filter="url(#fGlow)">
       <animate attributeName="opacity" values="0;0.6;0" dur="${dur}s" begin="${delay}s" repeatCount="indefinite"/>
       <animate attributeName="r" values="${rs};${(rs * 1.3).toFixed(2)};${rs}" dur="${dur}s" begin="${delay}s" repeatCount="indefinite"/>
     </circle>`;
@@ -299,7 +272,7 @@ function buildEdge(side) {
     const pathLen = r(50, 90).toFixed(1);
     g += `
     <path d="M${sx},${y0} q ${r(-5,5).toFixed(1)},-${(pathLen/2).toFixed(1)} ${r(-6,6).toFixed(1)},-${pathLen}"
-          stroke="#ffd15a" stroke-width="1.0" stroke-linecap="round" opacity="0.0" filter="url(#fGlow)">
+          class="spark" stroke-width="1.0" stroke-linecap="round" opacity="0.0" filter="url(#fGlow)">
       <animate attributeName="opacity" values="0;0.8;0" keyTimes="0;0.4;1" dur="${dur}s" begin="${delay}s" repeatCount="indefinite"/>
     </path>`;
   }
@@ -308,26 +281,66 @@ function buildEdge(side) {
   return g;
 }
 
+// ---------------- Theme ----------------
+const css = t => `
+    .title{ font:700 18px system-ui; fill:url(#hdrGrad); filter:url(#hdrGlow) }
+    .leftLabel,.rightLabel{ font:800 22px system-ui; fill:${t.accent} }
+    .leftSub,.rightSub{ font:12px system-ui; fill:${t.muted} }
+    .rules{ font:11px system-ui; fill:${t.muted} }
+    .centerNum{ font:900 28px system-ui; fill:${t.accent2} }
+    ${t.flame.map((c, i) => `.fl${i}{ stop-color:${c} }`).join(" ")}
+    .hdr0{ stop-color:${t.heading} } .hdr1{ stop-color:${t.headingAlt} }
+    .ember{ fill:${t.ember} } .spark{ stroke:${t.spark} } .seat{ stroke:${t.seat} }${MOTION_CSS}`;
+
+// RNG-driven geometry is built once so every theme variant gets the same flames
+const edgeLeft = buildEdge("left");
+const edgeRight = buildEdge("right");
+const ring = buildRing();
+const embers = buildEmbers();
+
+// ---------------- Still frame ----------------
+// the latest total and the longest streak, on a seat without the wobble
+const seat = filter => `
+  <g transform="translate(${C_X},110)">
+    <path d="M -${RING_R},0
+             a ${RING_R},${RING_R} 0 1,0 ${RING_R*2},0
+             a ${RING_R},${RING_R} 0 1,0 -${RING_R*2},0 Z"
+          fill="none" class="seat" stroke-width="15" opacity="1" filter="${filter}"/>
+  </g>`;
+const last = frames[sample.length - 1], best = top[0];
+const still = `
+  <text x="${L_X}" y="${NUM_Y}" class="leftLabel" text-anchor="middle">${last.value.toLocaleString("en-US")}</text>
+  <text x="${L_X}" y="${SUB_Y}" class="leftSub"   text-anchor="middle"${fitText(last.sub, COL_W, SUB_FONT)}>${esc(last.sub)}</text>${seat("url(#fGlow)")}${best ? `
+  <text x="${R_X}" y="${NUM_Y}" class="rightLabel" text-anchor="middle">${best.len} days</text>
+  <text x="${R_X}" y="${SUB_Y}" class="rightSub"   text-anchor="middle">${best.start} → ${best.end}</text>` : ""}`;
+
+const a11y = accessible({
+  title: `${cfg.streak.titles.current}: ${USER}`,
+  desc: [
+    `${cfg.streak.titles.total} ${(timeline.at(-1)?.total ?? 0).toLocaleString("en-US")} (${timeline[0]?.date ?? "–"} → ${timeline.at(-1)?.date ?? "–"})`,
+    `current streak ${cs} days`,
+    best ? `longest ${best.len} days (${best.start} → ${best.end})` : "no streak yet",
+    ...(RULES ? [`rules: ${RULES}`] : [])
+  ].join("; ")
+});
+
 // ---------------- SVG ----------------
-const svg = `<?xml version="1.0" encoding="UTF-8"?>
+const svg = (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>
 <svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}"
-     xmlns="http://www.w3.org/2000/svg">
+     xmlns="http://www.w3.org/2000/svg"${a11y.attrs}${motion === "static" ? "" : ` data-frames="${LEFT_FRAMES}/${LEFT_DUR}s"`}>
+  ${a11y.head}
   <style>
-    :root{ color-scheme: dark; }
-    .title{ font:700 18px system-ui; fill:url(#hdrGrad); filter:url(#hdrGlow) }
-    .leftLabel,.rightLabel{ font:800 22px system-ui; fill:#60a5fa }
-    .leftSub,.rightSub{ font:12px system-ui; fill:#9ca3af }
-    .centerNum{ font:900 28px system-ui; fill:#ff5a00 }
+    ${style}
   </style>
 
   <defs>
     <!-- Flame gradient -->
     <linearGradient id="gFlame" x1="0" y1="1" x2="0" y2="0">
-      <stop offset="0%"  stop-color="#4a0000"/>
-      <stop offset="20%" stop-color="#cc1100"/>
-      <stop offset="55%" stop-color="#ff6a00"/>
-      <stop offset="78%" stop-color="#ffb300"/>
-      <stop offset="100%" stop-color="#fff7bf"/>
+      <stop offset="0%"  class="fl0"/>
+      <stop offset="20%" class="fl1"/>
+      <stop offset="55%" class="fl2"/>
+      <stop offset="78%" class="fl3"/>
+      <stop offset="100%" class="fl4"/>
     </linearGradient>
 
     <!-- wobble (turbulent displacement) -->
@@ -349,48 +362,38 @@ const svg = `<?xml version="1.0" encoding="UTF-8"?>
     </filter>
 
     <linearGradient id="hdrGrad" x1="0" x2="1">
-      <stop offset="0%"  stop-color="#d1d5db" stop-opacity=".85"/>
-      <stop offset="100%" stop-color="#9ca3af" stop-opacity=".75"/>
+      <stop offset="0%"  class="hdr0" stop-opacity=".85"/>
+      <stop offset="100%" class="hdr1" stop-opacity=".75"/>
     </linearGradient>
     <filter id="hdrGlow" x="-50%" y="-50%" width="200%" height="200%">
       <feGaussianBlur stdDeviation="1.2" result="b"/>
       <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>
     </filter>
-  </defs>
-
+  </defs>${withStill(motion, `
   <!-- Edge flames (no bubbles) -->
-  ${buildEdge("left")}
-  ${buildEdge("right")}
-
-  <text x="${L_X}" y="${TITLE_Y}" class="title" text-anchor="middle">Total Contributions</text>
+  ${edgeLeft}
+  ${edgeRight}
   ${mkLeft}
-
-  <text x="${C_X}" y="${TITLE_Y}" class="title" text-anchor="middle">Current Streak</text>
-
-  <!-- Ring base (dark seat) -->
-  <g transform="translate(${C_X},110)">
-    <path d="M -${RING_R},0
-             a ${RING_R},${RING_R} 0 1,0 ${RING_R*2},0
-             a ${RING_R},${RING_R} 0 1,0 -${RING_R*2},0 Z"
-          fill="none" stroke="#200000" stroke-width="15" opacity="1" filter="url(#fGlow) url(#fWobble)"/>
-  </g>
+  ${seat("url(#fGlow) url(#fWobble)")}
 
   <!-- Flame crown (jagged tongues) -->
   <g transform="translate(${C_X},110)">
     <animateTransform attributeName="transform" type="rotate" from="0 0 0" to="360 0 0" dur="60s" repeatCount="indefinite" additive="sum"/>
-    ${buildRing()}
-    ${buildEmbers()}
+    ${ring}
+    ${embers}
   </g>
+  ${mkRight}`, still)}
+
+  <text x="${L_X}" y="${TITLE_Y}" class="title" text-anchor="middle"${fitText(cfg.streak.titles.total, COL_W, TITLE_FONT)}>${esc(cfg.streak.titles.total)}</text>
+  <text x="${C_X}" y="${TITLE_Y}" class="title" text-anchor="middle"${fitText(cfg.streak.titles.current, COL_W, TITLE_FONT)}>${esc(cfg.streak.titles.current)}</text>
+  <text x="${R_X}" y="${TITLE_Y}" class="title" text-anchor="middle"${fitText(cfg.streak.titles.longest, COL_W, TITLE_FONT)}>${esc(cfg.streak.titles.longest)}</text>
 
   <!-- Center number with heavy glow -->
   <g transform="translate(${C_X},110)">
     <text class="centerNum" text-anchor="middle" dy="10" filter="url(#fGlow)">${cs}</text>
-  </g>
-
-  <text x="${R_X}" y="${TITLE_Y}" class="title" text-anchor="middle">Longest Streaks</text>
-  ${mkRight}
+  </g>${RULES ? `
+  <text x="${C_X}" y="${H - 8}" class="rules" text-anchor="middle"${fitText(RULES, W - 2 * EDGE_W - 40, { size: 11 })}>${esc(RULES)}</text>` : ""}
 </svg>`;
 
-await fs.mkdir(path.dirname(OUT), { recursive: true });
-await fs.writeFile(OUT, svg, "utf8");
-console.log("wrote", OUT);
+const files = await manifest.finish(renderThemed(OUT, { css, svg }, themeOptions(cfg, "streak", args, "fire")), { touched });
+for (const f of files) console.log("wrote", f);
@@ -1,128 +1,180 @@
 /**
  * Animated Trophies (2-card carousel, center dwell, crisp text)
  * Data: lifetime window (createdAt -> now), stars=sum(stargazerCount of owned non-fork repos)
- * Output: assets/trophies.svg
+ * History: totals are snapshotted daily (lib/history.mjs) for "+N this week" deltas and sparklines
+ * Catalog: lib/trophies.mjs (source field, SSS..C tiers, icon per trophy); extend via trophies.catalog/show
+ * Cards: lib/card.mjs, the same frame and glow as the repo cards
+ * Accessible: title/desc list every trophy; reduced motion or --motion static shows the first page still
+ * PNG: data-frames names the pages for docs/png (contact sheet of every page)
+ * Output: assets/trophies.svg (or --out <file>)
+ * Offline: --fixture <file.json> replays a recording; add --record to capture one
+ * Themed (default "ocean"): --theme <name>, --color-scheme fixed|auto|pair
+ * Aggregate: --users a,b / --org <name> sum every account (org repos included); --breakdown adds per-member cards
  */
 
-import fs from "node:fs/promises";
-import path from "node:path";
-
-const OUT = path.resolve(process.cwd(), "assets/trophies.svg");
-const GH_TOKEN = process.env.PAT_GITHUB;
-const USER = process.env.GH_USER || "statikfintechllc";
+import { createClient, stopCleanlyOnRateLimit } from "../../lib/github.mjs";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest } from "../../lib/manifest.mjs";
+import { esc, sparkline } from "../../lib/svg.mjs";
+import { accessible, withStill, stripMotion, MOTION_CSS } from "../../lib/a11y.mjs";
+import { card, cardCss, CARD_W, GLOW_FILTER } from "../../lib/card.mjs";
+import { historyDir, openHistory, deltaLabel } from "../../lib/history.mjs";
+import { ACCOUNT_OPTIONS, resolveAccounts, expandAccounts } from "../../lib/accounts.mjs";
+import { buildCatalog, statsQuery, readPath, grade, COMPUTED, ICONS } from "../../lib/trophies.mjs";
+
+const args = builderArgs(ACCOUNT_OPTIONS);
+const OUT = outPath(args, import.meta.url, "../assets/trophies.svg");
+const cfg = await loadConfig(args);
 
 // tuning (seconds)
-const PAGE_SEC = Number(process.env.TROPHIES_PAGE_SEC || 6);  // seconds each page is visible
-const HOLD_FRAC = 0.75;                                       // fraction of page time holding centered
+const PAGE_SEC = Number(process.env.TROPHIES_PAGE_SEC || cfg.trophies.pageSec); // seconds each page is visible
+const HOLD_FRAC = cfg.trophies.holdFrac;                                         // fraction of page time holding centered
 const EASE = "0.25 0.1 0.25 1; 0.25 0.1 0.25 1; 0.42 0 0.58 1"; // ease-out, hold, ease-in
 
-if (!GH_TOKEN) throw new Error("PAT_GITHUB env missing");
-
 // -------------------- GraphQL helper --------------------
-const gql = async (query, variables = {}, attempt = 1) => {
-  const r = await fetch("https://api.github.com/graphql", {
-    method: "POST",
-    headers: {
-      Authorization: `bearer ${GH_TOKEN}`,
-      "Content-Type": "application/json",
-      "User-Agent": "ggpt-boost-trophies"
-    },
-    body: JSON.stringify({ query, variables })
-  });
-  if (r.status >= 500 && attempt < 5) {
-    await new Promise(res => setTimeout(res, attempt * 400));
-    return gql(query, variables, attempt + 1);
-  }
-  if (!r.ok) throw new Error(`GraphQL ${r.status}: ${await r.text()}`);
-  const j = await r.json();
-  if (j.errors) throw new Error(JSON.stringify(j.errors));
-  return j.data;
-};
+stopCleanlyOnRateLimit();
+const tape = await openTape(args);
+const { gql } = createClient({ userAgent: "ggpt-boost-trophies", tape });
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
+
+const { logins, org, label, breakdown } = await expandAccounts(gql, resolveAccounts(args, cfg, "trophies"));
+const nowISO = tape.now.toISOString();
+
+const catalog = buildCatalog(cfg.trophies, args.config || process.env.BOOST_CONFIG || "boost.config.json");
+const computed = new Set(catalog.map(t => t.source).filter(src => COMPUTED.includes(src)));
+const qStats = statsQuery(catalog);
+
+// Sum stars & count owned non-fork repos accurately (pagination); owner is a user or an org
+async function ownedRepos(kind, login) {
+  const withLanguages = computed.has("languages");
+  let starSum = 0;
+  let repoCount = 0;
+  const languages = new Set();
+  let cursor = null;
+  do {
+    const d = await gql(`
+      query($login:String!,$cursor:String){
+        ${kind}(login:$login){
+          repositories(${kind === "user" ? "affiliations:[OWNER], " : ""}isFork:false, first:100, after:$cursor){
+            totalCount
+            nodes{ stargazerCount ${withLanguages ? "primaryLanguage{ name }" : ""} }
+            pageInfo{ hasNextPage endCursor }
+          }
+        }
+      }`, { login, cursor });
+    const r = d[kind].repositories;
+    repoCount = r.totalCount;
+    for (const n of r.nodes) {
+      starSum += (n.stargazerCount || 0);
+      if (n.primaryLanguage) languages.add(n.primaryLanguage.name);
+    }
+    cursor = r.pageInfo.hasNextPage ? r.pageInfo.endCursor : null;
+  } while (cursor);
+  return { stars: starSum, ownedRepos: repoCount, languages };
+}
 
-// User creation time (lifetime window)
 const qUser = `query($login:String!){ user(login:$login){ createdAt } }`;
-const who = await gql(qUser, { login: USER });
-const fromISO = new Date(who.user.createdAt).toISOString();
-const nowISO = new Date().toISOString();
-
-// Sum stars & count owned non-fork repos accurately (pagination)
-let starSum = 0;
-let repoCount = 0;
-let cursor = null;
-do {
-  const d = await gql(`
-    query($login:String!,$cursor:String){
-      user(login:$login){
-        repositories(affiliations:[OWNER], isFork:false, first:100, after:$cursor){
-          totalCount
-          nodes{ stargazerCount }
-          pageInfo{ hasNextPage endCursor }
-        }
-      }
-    }`, { login: USER, cursor });
-  const r = d.user.repositories;
-  repoCount = r.totalCount;
-  for (const n of r.nodes) starSum += (n.stargazerCount || 0);
-  cursor = r.pageInfo.hasNextPage ? r.pageInfo.endCursor : null;
-} while (cursor);
-
-// Lifetime contribution & follower stats
-const qStats = `
-  query($login:String!, $from:DateTime!, $to:DateTime!){
-    user(login:$login){
-      followers{ totalCount }
-      contributionsCollection(from:$from, to:$to){
-        totalCommitContributions
-        totalIssueContributions
-        totalPullRequestContributions
-        totalPullRequestReviewContributions
-        totalRepositoryContributions
-        contributionCalendar{ totalContributions }
-      }
+
+// value per trophy id; languages stay a Set so accounts can be unioned
+async function memberStats(login) {
+  const values = {};
+  const repos = computed.size ? await ownedRepos("user", login) : {};
+  if (qStats) {
+    // Lifetime contribution window: account creation -> now
+    const vars = { login };
+    if (qStats.includes("$from")) {
+      const who = await gql(qUser, { login });
+      Object.assign(vars, { from: new Date(who.user.createdAt).toISOString(), to: nowISO });
     }
+    const stats = await gql(qStats, vars);
+    for (const t of catalog) if (!computed.has(t.source)) values[t.id] = readPath(stats.user, t.source);
   }
-`;
-const stats = await gql(qStats, { login: USER, from: fromISO, to: nowISO });
-const c = stats.user.contributionsCollection;
+  for (const t of catalog) if (computed.has(t.source)) values[t.id] = repos[t.source];
+  return { login, values };
+}
+
+const members = [];
+for (const login of logins) members.push(await memberStats(login));
+
+// combined badge: numbers summed, languages unioned; an org adds its own repositories
+const orgRepos = org && computed.size ? await ownedRepos("organization", org) : null;
+const combine = (a, b) => (a instanceof Set ? new Set([...a, ...b]) : a + b);
+const count = v => (v instanceof Set ? v.size : Number(v));
+const totals = {};
+for (const t of catalog) {
+  let v = members.map(m => m.values[t.id]).reduce(combine);
+  if (orgRepos && computed.has(t.source)) v = combine(v, orgRepos[t.source]);
+  totals[t.id] = count(v);
+}
+
+// -------------------- History --------------------
+const history = await openHistory("trophies", { dir: historyDir(args, cfg, tape), now: tape.now, key: label });
+const touched = await history.record(totals);
+const { deltaDays, sparkDays } = cfg.history;
+
+// deltas move as the history window slides, so history is an input too
+await manifest.skipIfFresh({ data: tape.digest(), history: history.rows(), cfg, args }, { touched });
 
 // -------------------- Cards --------------------
-const grade = v => v > 5000 ? "S" : v > 1000 ? "A" : "B";
-const fmt = v => Number(v).toLocaleString();
-
-const trophies = [
-  { title:"Commits",        value: c.totalCommitContributions,             desc:"Commit contributions across all repos." },
-  { title:"Followers",      value: stats.user.followers.totalCount,        desc:"People following this account." },
-  { title:"Stars Earned",   value: starSum,                                 desc:"Stargazers on owned repositories." },
-  { title:"Reviews",        value: c.totalPullRequestReviewContributions,  desc:"Pull request reviews submitted." },
-  { title:"Issues",         value: c.totalIssueContributions,              desc:"Issues created." },
-  { title:"Repositories",   value: repoCount,                               desc:"Owned non-fork repositories." },
-  { title:"Pull Requests",  value: c.totalPullRequestContributions,        desc:"Pull requests opened." },
-  { title:"Total Activity", value: c.contributionCalendar.totalContributions, desc:"All recorded contributions." }
-];
+const fmt = v => Number(v).toLocaleString("en-US");
+
+const trophies = catalog.map(t => ({
+  ...t,
+  value: totals[t.id],
+  delta: deltaLabel(history.delta(t.id, deltaDays), deltaDays),
+  spark: history.series(t.id, sparkDays).map(p => p.value)
+}));
+
+// optional per-member cards after the combined ones: first trophy as the headline, next two as detail
+if (breakdown) {
+  const [lead, ...rest] = catalog;
+  for (const m of members) {
+    trophies.push({
+      ...lead,
+      title: `@${m.login}`,
+      value: count(m.values[lead.id]),
+      desc: rest.slice(0, 2).map(t => `${fmt(count(m.values[t.id]))} ${t.title.toLowerCase()}`).join(" · ")
+    });
+  }
+}
 
 // 2 per page
 const pages = [];
 for (let i = 0; i < trophies.length; i += 2) pages.push(trophies.slice(i, i + 2));
 
 // -------------------- SVG build --------------------
-const W = 760, H = 150, CW = 300, CH = 120, G = 40;
+const W = 760, H = 150, CW = CARD_W, G = 40;
 const x0 = (W - (2 * CW + G)) / 2;
 
-const glow = (x, y, w, h) => `
-  <g filter="url(#glow)">
-    <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="18" ry="18" fill="#0ea5e9" opacity="0.14">
-      <animate attributeName="opacity" values="0.10;0.20;0.10" dur="2s" repeatCount="indefinite"/>
-    </rect>
-  </g>`;
+// built-in glyph name, or any short text such as an emoji
+const icon = name => ICONS[name]
+  ? `<path transform="translate(${CW - 44},16)" d="${ICONS[name]}" class="icon" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"/>`
+  : name ? `<text x="${CW - 32}" y="36" class="iconText" text-anchor="middle">${esc(name)}</text>` : "";
 
-const card = (t, x) => `
-  ${glow(x-6, 4, CW+12, CH+12)}
-  <g transform="translate(${x},10)">
-    <rect x="0" y="0" rx="14" ry="14" width="${CW}" height="${CH}" fill="#0b1220" stroke="#1f2937"/>
-    <text x="20" y="34" class="cardTitle">${t.title}</text>
-    <text x="20" y="70" class="cardValue">${fmt(t.value)} <tspan class="grade">[${grade(t.value)}]</tspan></text>
-    <text x="20" y="96" class="cardDesc">${t.desc}</text>
-  </g>`;
+const rank = t => {
+  const g = grade(t, t.value);
+  return g ? ` <tspan class="grade">[${g}]</tspan>` : "";
+};
+
+const trend = t => {
+  const pts = sparkline(t.spark ?? [], { x: CW - 130, y: 18, w: 70, h: 20 });
+  return pts ? `<polyline points="${pts}" class="spark" fill="none" stroke-width="1.5" stroke-linejoin="round"/>` : "";
+};
+
+// the title shares its row with the sparkline (from CW-130) or just the icon (from CW-44)
+const titleRoom = t => ((t.spark ?? []).length > 1 ? CW - 130 : CW - 44) - 28;
+
+const trophyCard = (t, x) => card({
+  x,
+  title: t.title,
+  titleRoom: titleRoom(t),
+  value: `${fmt(t.value)}${rank(t)}${t.delta ? ` <tspan class="delta">${esc(t.delta)}</tspan>` : ""}`,
+  desc: t.desc,
+  adorn: `${icon(t.icon)}${trend(t)}`
+});
 
 // keyTimes for a single page (enter -> hold -> exit)
 const enterK = ((1 - HOLD_FRAC) / 2).toFixed(4);
@@ -138,7 +190,7 @@ pages.forEach((pg, i) => {
   const beginRepeat = (i * PAGE_SEC + totalDuration).toFixed(2);
   slides += `
   <g class="slide" transform="translate(${W},0)" clip-path="url(#frame)">
-    ${card(pg[0], x0)}${pg[1] ? card(pg[1], x0 + CW + G) : ""}
+    ${trophyCard(pg[0], x0)}${pg[1] ? trophyCard(pg[1], x0 + CW + G) : ""}
     <animateTransform attributeName="transform" type="translate"
       values="${W};0;0;${-W}"
       keyTimes="${singleKeyTimes}"
@@ -149,8 +201,29 @@ pages.forEach((pg, i) => {
   </g>`;
 });
 
-const svg = `<?xml version="1.0" encoding="UTF-8"?>\n<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" text-rendering="geometricPrecision" shape-rendering="geometricPrecision">\n  <style>\n    :root{ color-scheme: dark; }\n    .cardTitle{ font:700 16px system-ui; fill:#e5e7eb }\n    .cardValue{ font:800 22px system-ui; fill:#60a5fa }\n    .grade{ font:700 16px system-ui; fill:#e11d48 }\n    .cardDesc{ font:12px system-ui; fill:#9ca3af }\n  </style>\n  <defs>\n    <clipPath id="frame"><rect x="0" y="0" width="${W}" height="${H}" rx="8" ry="8"/></clipPath>\n    <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">\n      <feGaussianBlur stdDeviation="6" result="b"/>\n      <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>\n    </filter>\n  </defs>\n  ${slides}\n</svg>`;
+const css = t => `${cardCss(t)}
+    .grade{ font:700 16px system-ui; fill:${t.accent2} }
+    .icon{ fill:none; stroke:${t.accent} }
+    .iconText{ font:20px system-ui }
+    .delta{ font:600 12px system-ui; fill:${t.muted} }
+    .spark{ stroke:${t.accent} }${MOTION_CSS}`;
+
+// the first page, centered and without the glow pulse
+const still = stripMotion(`
+  <g clip-path="url(#frame)">
+    ${trophyCard(pages[0][0], x0)}${pages[0][1] ? trophyCard(pages[0][1], x0 + CW + G) : ""}
+  </g>`);
+
+const a11y = accessible({
+  title: `GitHub trophies: ${label}`,
+  desc: trophies.map(t => {
+    const g = grade(t, t.value);
+    const notes = [g && `grade ${g}`, t.delta].filter(Boolean);
+    return `${t.title} ${fmt(t.value)}${notes.length ? ` (${notes.join(", ")})` : ""}`;
+  }).join("; ")
+});
+
+const svg = (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>\n<svg width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" text-rendering="geometricPrecision" shape-rendering="geometricPrecision"${a11y.attrs}${motion === "static" ? "" : ` data-frames="${pages.length}/${totalDuration}s"`}>\n  ${a11y.head}\n  <style>\n    ${style}\n  </style>\n  <defs>\n    <clipPath id="frame"><rect x="0" y="0" width="${W}" height="${H}" rx="8" ry="8"/></clipPath>\n    ${GLOW_FILTER}\n  </defs>\n  ${withStill(motion, slides, still)}\n</svg>`;
 
-await fs.mkdir(path.dirname(OUT), { recursive: true });
-await fs.writeFile(OUT, svg, "utf8");
-console.log("wrote", OUT);
+const files = await manifest.finish(renderThemed(OUT, { css, svg }, themeOptions(cfg, "trophies", args, "ocean")), { touched });
+for (const f of files) console.log("wrote", f);
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { resolveAccounts, expandAccounts } from "../lib/accounts.mjs";
+import { mergeCalendars, currentStreak, streakRuns, syncCalendar } from "../lib/calendar.mjs";
+import { validateConfig, ConfigError } from "../lib/config.mjs";
+
+const cfg = validateConfig({ users: ["cfg-a", "cfg-b"], trophies: { breakdown: true } });
+
+test("accounts: flags beat env, env beats config", () => {
+  assert.deepEqual(resolveAccounts({ users: "a, b,a", user: "me" }, cfg, "trophies", {}),
+    { users: ["me", "a", "b"], org: null, breakdown: true });
+  assert.deepEqual(resolveAccounts({ org: "acme", breakdown: false }, cfg, "trophies", { GH_USER: "env" }),
+    { users: [], org: "acme", breakdown: false });
+  assert.deepEqual(resolveAccounts({}, cfg, "streak", { GH_USER: "env" }).users, ["env"]);
+  assert.deepEqual(resolveAccounts({}, cfg, "streak", {}).users, ["cfg-a", "cfg-b"]);
+  assert.deepEqual(resolveAccounts({}, validateConfig({}), "streak", {}).users, ["statikfintechllc"]);
+});
+
+test("accounts: an org expands to its members, single users stay unlabelled", async () => {
+  const gql = async (query, { cursor }) => ({
+    organization: { membersWithRole: cursor
+      ? { nodes: [{ login: "carol" }], pageInfo: { hasNextPage: false, endCursor: null } }
+      : { nodes: [{ login: "alice" }, { login: "bob" }], pageInfo: { hasNextPage: true, endCursor: "c1" } } }
+  });
+  const org = await expandAccounts(gql, { users: ["bob", "dave"], org: "acme", breakdown: true });
+  assert.deepEqual(org.logins, ["bob", "dave", "alice", "carol"]);
+  assert.equal(org.label, "acme + bob + dave");
+  assert.equal(org.breakdown, true);
+
+  const one = await expandAccounts(gql, { users: ["solo"], org: null, breakdown: true });
+  assert.deepEqual(one, { logins: ["solo"], org: null, label: "solo", aggregate: false, breakdown: false });
+});
+
+test("calendar: accounts merge by date and streaks run over the union", () => {
+  const a = [{ date: "2025-01-01", count: 2 }, { date: "2025-01-02", count: 0 }, { date: "2025-01-03", count: 1 }];
+  const b = [{ date: "2025-01-02", count: 4 }, { date: "2025-01-04", count: 0 }];
+  const days = mergeCalendars([a, b]);
+  assert.deepEqual(days.map(d => d.count), [2, 4, 1, 0]);
+  assert.equal(currentStreak(days, new Date("2025-01-04T12:00:00Z")), 3);
+  assert.deepEqual(streakRuns(days), [{ start: "2025-01-01", end: "2025-01-03", len: 3 }]);
+});
+
+test("calendar: a local copy means only the trailing days are fetched again", async () => {
+  const counts = new Map([["2025-01-09", 2]]);
+  const calls = [];
+  const gql = async (query, v) => {
+    calls.push(v.from ?? "createdAt");
+    if (/createdAt/.test(query)) return { user: { createdAt: "2023-01-01T08:00:00Z" } };
+    const contributionDays = [];
+    for (let d = new Date(v.from.slice(0, 10)); d <= new Date(v.to); d.setUTCDate(d.getUTCDate() + 1)) {
+      const date = d.toISOString().slice(0, 10);
+      contributionDays.push({ date, contributionCount: counts.get(date) ?? 1 });
+    }
+    return { user: { contributionsCollection: { contributionCalendar: { weeks: [{ contributionDays }] } } } };
+  };
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-calendar-"));
+  try {
+    const first = await syncCalendar(gql, "octocat", new Date("2025-01-10T12:00:00Z"), { dir, refetchDays: 5 });
+    assert.deepEqual(calls, ["createdAt", "2023-01-01T00:00:00.000Z", "2024-01-01T00:00:00.000Z", "2024-12-31T00:00:00.000Z"]);
+    assert.equal(first.since, null);
+    assert.equal(first.touched, true);
+
+    // the 9th gained a late contribution; two new days since
+    counts.set("2025-01-09", 3);
+    calls.length = 0;
+    const now = new Date("2025-01-12T12:00:00Z");
+    const second = await syncCalendar(gql, "octocat", now, { dir, refetchDays: 5 });
+    assert.deepEqual(calls, ["2025-01-05T00:00:00.000Z"]);
+    assert.equal(second.since, "2025-01-05");
+    assert.equal(second.touched, true);
+    assert.deepEqual(second.days, (await syncCalendar(gql, "octocat", now)).days);
+    assert.equal(second.days.find(d => d.date === "2025-01-09").count, 3);
+    assert.equal(second.createdAt.toISOString(), "2023-01-01T08:00:00.000Z");
+
+    const third = await syncCalendar(gql, "octocat", now, { dir, refetchDays: 5 });
+    assert.equal(third.touched, false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("config: breakdown must be a boolean", () => {
+  assert.throws(() => validateConfig({ streak: { breakdown: "yes" } }),
+    err => err instanceof ConfigError && /"streak.breakdown" must be true or false/.test(err.message));
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { badge, expandBadges, STYLES } from "../lib/badge.mjs";
+import { runBuilder, matchGolden } from "./golden.mjs";
+
+const HISTORY = {
+  streak: [{ date: "2025-11-14", key: "octocat", current: 37 }],
+  traffic: [
+    { date: "2025-11-12", key: "octocat/b", clones: 41 },
+    { date: "2025-11-13", key: "octocat/b", clones: 17 },
+    { date: "2025-11-13", key: "octocat/a", clones: 1204 }
+  ],
+  ticker: [
+    { date: "2025-11-13", key: "octocat", repos: { "x.io": { open_issues: 9 } } },
+    { date: "2025-11-14", key: "octocat", repos: { "x.io": { open_issues: 3 }, y: { open_issues: 0 } } }
+  ]
+};
+
+test("badges: styles size both halves from font metrics", () => {
+  const widths = Object.keys(STYLES).map(style => badge({ label: "stars", value: 219, style }));
+  for (const b of widths) assert.ok(b.width > 40 && Number.isInteger(b.width));
+  assert.deepEqual(widths.map(b => b.height), [28, 20, 18, 28]);
+
+  const longer = badge({ label: "stars", value: 219000 }).width;
+  assert.ok(longer > badge({ label: "stars", value: 219 }).width);
+  assert.ok(badge({ label: "stars", value: 219, icon: "star" }).width > badge({ label: "stars", value: 219 }).width);
+  assert.match(badge({ label: "stars", value: "219 total", style: "for-the-badge" }).svg(""), />219 TOTAL</);
+  assert.throws(() => badge({ label: "x", value: 1, style: "round" }), /unknown badge style "round"/);
+});
+
+test("badges: items read the latest value, lifetime sums and per-repo batches", () => {
+  const out = expandBadges([
+    { name: "streak", label: "streak", from: "streak", metric: "current", suffix: " days" },
+    { name: "clones-{repo}", label: "{repo}", from: "traffic", metric: "clones", key: "*", total: true },
+    { name: "issues-{repo}", label: "issues", from: "ticker", metric: "repos.{repo}.open_issues" },
+    { name: "fixed", label: "license", value: "MIT" },
+    { name: "gone", label: "longest", from: "streak", metric: "longest" }
+  ], HISTORY, { user: "octocat" });
+  assert.deepEqual(out.map(b => [b.name, b.label, b.value]), [
+    ["streak", "streak", "37 days"],
+    ["clones-a", "a", "1,204"],
+    ["clones-b", "b", "58"],
+    ["issues-x.io", "issues", "3"],
+    ["issues-y", "issues", "0"],
+    ["fixed", "license", "MIT"],
+    ["gone", "longest", "n/a"]
+  ]);
+});
+
+test("badges: bad items list every problem", () => {
+  assert.throws(() => expandBadges([
+    { name: "a", label: "a" },
+    { name: "b", label: "b", from: "ticker", metric: "repos.{repo}.stars" },
+    { name: "c", label: "c", value: "1" },
+    { name: "c", label: "c", value: "2" }
+  ], HISTORY, { user: "octocat" }), err => {
+    assert.match(err.message, /badges\.items\[0\] \(a\): needs either "value" or "from" \+ "metric"/);
+    assert.match(err.message, /badges\.items\[1\] \(b\): a per-repo badge needs "\{repo\}" in its name/);
+    assert.match(err.message, /two badges are both named "c"/);
+    return true;
+  });
+});
+
+test("badges: batch from recorded history", async () => {
+  const files = await runBuilder("docs/v.svg/scripts/build-badges.mjs", "badges.json", { outName: "badges" });
+  assert.deepEqual(Object.keys(files), [
+    "badges.manifest.json", "clones-GremlinGPT.svg", "clones-statik-server.svg", "issues-GremlinGPT.svg",
+    "issues-dragon.boot.svg", "issues-statik-server.svg", "stars.svg", "streak.svg"
+  ]);
+  await matchGolden("badge-stars.svg", files["stars.svg"]);
+  await matchGolden("badge-clones.svg", files["clones-statik-server.svg"]);
+});
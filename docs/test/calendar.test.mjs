@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { currentStreak, streakRuns, rulesCaption, localDate, syncCalendar } from "../lib/calendar.mjs";
+import { validateConfig } from "../lib/config.mjs";
+
+const cal = (from, counts) => counts.map((count, i) =>
+  ({ date: new Date(Date.parse(from) + i * 86400000).toISOString().slice(0, 10), count }));
+
+test("calendar: today is the configured timezone's and a missed yesterday breaks the streak", () => {
+  // Mon 10th – Fri 14th; 02:00 UTC on the 14th is still the 13th in Los Angeles
+  const days = cal("2025-11-10", [1, 1, 1, 0, 0]);
+  const now = new Date("2025-11-14T02:00:00Z");
+  assert.equal(localDate(now, "America/Los_Angeles"), "2025-11-13");
+  assert.equal(currentStreak(days, now), 0);
+  assert.equal(currentStreak(days, now, { timezone: "America/Los_Angeles" }), 3);
+});
+
+test("calendar: weekends off and grace days keep a streak going without lengthening it", () => {
+  const weekend = cal("2025-11-07", [1, 0, 0, 1]);     // Fri, Sat, Sun, Mon
+  const monday = new Date("2025-11-10T12:00:00Z");
+  assert.equal(currentStreak(weekend, monday), 1);
+  assert.equal(currentStreak(weekend, monday, { weekendsOff: true }), 2);
+  assert.deepEqual(streakRuns(weekend, { weekendsOff: true }), [{ start: "2025-11-07", end: "2025-11-10", len: 2 }]);
+
+  const gaps = cal("2025-11-03", [1, 0, 1, 0, 0, 1, 0, 0]);
+  assert.deepEqual(streakRuns(gaps, { graceDays: 1 }), [
+    { start: "2025-11-03", end: "2025-11-05", len: 2 },
+    { start: "2025-11-08", end: "2025-11-08", len: 1 }
+  ]);
+  assert.deepEqual(streakRuns(gaps, { graceDays: 2 }), [{ start: "2025-11-03", end: "2025-11-08", len: 3 }]);
+  // the 9th is missed (within grace), the 10th is today and still pending
+  assert.equal(currentStreak(gaps, monday, { graceDays: 1 }), 1);
+  assert.equal(currentStreak(gaps, monday, { graceDays: 2 }), 3);
+  assert.equal(currentStreak(gaps, new Date("2025-11-11T12:00:00Z"), { graceDays: 1 }), 0);
+
+  assert.equal(rulesCaption({}), "");
+  assert.equal(rulesCaption({ timezone: "America/Los_Angeles", weekendsOff: true, graceDays: 2 }),
+    "weekends off · 2 grace days · America/Los_Angeles");
+});
+
+test("calendar: a contribution after UTC midnight counts toward the local today", async () => {
+  // 5pm on Thu 13th in Los Angeles is 01:00 on the 14th in UTC, where GitHub's calendar puts it
+  const utc = cal("2025-11-10", [1, 1, 1, 0, 1]);
+  const commits = [["2025-11-10T18:00:00Z", 1], ["2025-11-11T18:00:00Z", 1], ["2025-11-12T18:00:00Z", 1], ["2025-11-14T01:00:00Z", 1]];
+  const gql = async (query, v) => {
+    if (/createdAt/.test(query)) return { user: { createdAt: "2025-11-10T00:00:00Z" } };
+    if (/contributionCalendar/.test(query)) {
+      const contributionDays = utc.map(d => ({ date: d.date, contributionCount: d.count }));
+      return { user: { contributionsCollection: { contributionCalendar: { weeks: [{ contributionDays }] } } } };
+    }
+    if (/commitContributionsByRepository/.test(query)) {
+      const nodes = commits.filter(([at]) => at >= v.from).map(([occurredAt, commitCount]) => ({ occurredAt, commitCount }));
+      return { user: { contributionsCollection: { commitContributionsByRepository: [{ contributions: { nodes } }] } } };
+    }
+    const field = query.match(/(\w+)\(first:100/)[1];
+    return { user: { contributionsCollection: { [field]: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] } } } };
+  };
+  const now = new Date("2025-11-14T03:00:00Z");            // 7pm on the 13th in Los Angeles
+  const rules = { timezone: "America/Los_Angeles" };
+  assert.equal(currentStreak(utc, now, rules), 3, "GitHub's days: the 13th reads as pending");
+
+  const local = await syncCalendar(gql, "octocat", now, { timeZone: rules.timezone });
+  assert.deepEqual(local.days.map(d => [d.date, d.count]),
+    [["2025-11-10", 1], ["2025-11-11", 1], ["2025-11-12", 1], ["2025-11-13", 1], ["2025-11-14", 0]]);
+  assert.equal(currentStreak(local.days, now, rules), 4);
+  assert.deepEqual((await syncCalendar(gql, "octocat", now)).days, utc, "UTC keeps GitHub's days");
+});
+
+test("config: streak.rules.timezone must be a known zone", () => {
+  assert.equal(validateConfig({ streak: { rules: { timezone: "Asia/Kolkata" } } }).streak.rules.timezone, "Asia/Kolkata");
+  assert.throws(() => validateConfig({ streak: { rules: { timezone: "Pacific/Nowhere" } } }),
+    /"streak.rules.timezone" must be an IANA time zone like "Europe\/Berlin", got "Pacific\/Nowhere"/);
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { build, resolveTargets } from "../cli/ggpt-boost.mjs";
+import { FIXTURES, ROOT } from "./golden.mjs";
+
+test("cli: all expands to every badge, unknown names are rejected", () => {
+  assert.deepEqual(resolveTargets(["all"]), ["streak", "trophies", "flow", "heatmap", "languages", "pv", "badges", "repos", "ticker", "ticker-svg"]);
+  assert.deepEqual(resolveTargets(["pv", "pv"]), ["pv"]);
+  assert.throws(() => resolveTargets(["pv", "nope"]), /unknown badge "nope"/);
+});
+
+test("cli: --out-dir collects assets and the summary reports what changed", async () => {
+  const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-cli-"));
+  try {
+    const first = await build(["pv", "flow"], { outDir, fixtures: FIXTURES });
+    assert.deepEqual(first.map(r => [r.name, r.status]), [["pv", "created"], ["flow", "created"]]);
+    assert.deepEqual((await fs.readdir(outDir)).sort(),
+      ["crimson-flow.manifest.json", "crimson-flow.svg", "pv-traffic.manifest.json", "pv-traffic.svg"]);
+
+    const again = await build(["pv", "flow"], { outDir, fixtures: FIXTURES });
+    assert.deepEqual(again.map(r => r.status), ["unchanged", "unchanged"]);
+  } finally {
+    await fs.rm(outDir, { recursive: true, force: true });
+  }
+});
+
+test("cli: --github-output reports changed=true|false and exits 0 when nothing moved", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-cli-"));
+  const output = path.join(dir, "github-output");
+  const run = () => new Promise(resolve => execFile(process.execPath,
+    [path.join(ROOT, "docs/cli/ggpt-boost.mjs"), "build", "pv", "--out-dir", dir, "--fixtures", FIXTURES, "--github-output"],
+    { env: { ...process.env, GITHUB_OUTPUT: output } }, err => resolve(err?.code ?? 0)));
+  try {
+    assert.equal(await run(), 0);
+    assert.equal(await run(), 0, "unchanged is not a failure here");
+    assert.equal(await fs.readFile(output, "utf8"), "changed=true\nchanged=false\n");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { validateConfig, loadConfig, ConfigError } from "../lib/config.mjs";
+import { ROOT } from "./golden.mjs";
+
+test("config: empty file resolves to the built-in defaults", () => {
+  const cfg = validateConfig({});
+  assert.equal(cfg.user, "statikfintechllc");
+  assert.equal(cfg.streak.maxFrames, 80);
+  assert.equal(cfg.colorScheme, "fixed");
+  assert.equal(cfg.theme, undefined, "no global theme: badges keep their own palette");
+  assert.deepEqual(cfg.pv.colors, {});
+});
+
+test("config: partial sections keep defaults for the rest", () => {
+  const cfg = validateConfig({ streak: { titles: { total: "Commits" } }, pv: { colors: { right: "#123456" } } });
+  assert.equal(cfg.streak.titles.total, "Commits");
+  assert.equal(cfg.streak.titles.current, "Current Streak");
+  assert.equal(cfg.pv.colors.right, "#123456");
+  assert.equal(cfg.pv.label, "PROFILE TRAFFIC");
+});
+
+test("config: every problem is reported with its dotted path", () => {
+  let err;
+  try {
+    validateConfig({
+      usr: "x",
+      colorScheme: "dark",
+      streak: { maxFrame: 10, titles: { total: 5 } },
+      pv: { colors: { right: "red" } },
+      trophies: { pageSec: 0 },
+      ticker: { repos: ["a/b", 3] }
+    });
+  } catch (e) {
+    err = e;
+  }
+  assert.ok(err instanceof ConfigError);
+  assert.deepEqual(err.problems, [
+    'unknown key "usr" (did you mean "user"?)',
+    '"colorScheme" must be one of "fixed", "auto", "pair", got "dark"',
+    'unknown key "streak.maxFrame" (did you mean "maxFrames"?)',
+    '"streak.titles.total" must be a string, got 5',
+    '"pv.colors.right" must be a hex color like "#8B0000", got "red"',
+    '"trophies.pageSec" must be between 1 and 60, got 0',
+    '"ticker.repos[1]" must be a string, got 3'
+  ]);
+});
+
+test("config: the committed boost.config.json is valid", async () => {
+  const cfg = await loadConfig({ config: path.join(ROOT, "boost.config.json") });
+  assert.ok(cfg.ticker.repos.length > 0);
+});
+
+test("config: unreadable or broken files name the file", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-config-"));
+  const file = path.join(dir, "boost.config.json");
+  try {
+    await assert.rejects(loadConfig({ config: file }), /cannot read config .*boost\.config\.json/);
+    await fs.writeFile(file, '{ "user": "x", }', "utf8");
+    await assert.rejects(loadConfig({ config: file }), err =>
+      err instanceof ConfigError && /boost\.config\.json: invalid config/.test(err.message) && /not valid JSON/.test(err.problems[0]));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
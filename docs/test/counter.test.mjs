@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { openCounter, readCounter } from "../lib/counter.mjs";
+import { validateConfig } from "../lib/config.mjs";
+import { createCounterServer } from "../v.svg/scripts/counter-server.mjs";
+import { runBuilder, FIXTURES } from "./golden.mjs";
+
+const DAY1 = new Date("2025-11-14T10:00:00Z"), DAY2 = new Date("2025-11-15T10:00:00Z");
+
+const tmpStore = async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-counter-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return path.join(dir, "counter.json");
+};
+
+test("counter: one view per visitor per day, no addresses on disk", async t => {
+  const file = await tmpStore(t);
+  const c = await openCounter(file);
+  assert.equal((await c.hit("octocat", "203.0.113.7", DAY1)).counted, true);
+  assert.equal((await c.hit("octocat", "203.0.113.7", DAY1)).counted, false);
+  await c.hit("octocat", "198.51.100.2", DAY1);
+  assert.deepEqual(await c.hit("octocat", "203.0.113.7", DAY2), { key: "octocat", count: 3, hits: 4, counted: true });
+  await c.flush();
+
+  const text = await fs.readFile(file, "utf8");
+  assert.doesNotMatch(text, /203\.0\.113\.7|198\.51\.100\.2/);
+  assert.deepEqual(Object.keys(JSON.parse(text).counters.octocat.seen), ["2025-11-15"], "earlier days are dropped");
+  assert.deepEqual(await readCounter(file, "octocat"), { key: "octocat", count: 3, hits: 4 });
+  assert.deepEqual(await readCounter(file, "nobody"), { key: "nobody", count: 0, hits: 0 });
+
+  const again = await openCounter(file, { dedupe: false });
+  await again.hit("octocat", "203.0.113.7", DAY2);
+  assert.equal(again.get("octocat").count, 4, "without dedupe every hit counts");
+});
+
+test("counter: server counts on the SVG, reports on the JSON", async t => {
+  const counter = await openCounter(await tmpStore(t));
+  const cfg = validateConfig({ user: "octocat" });
+  const server = createCounterServer({ cfg, counter, clock: () => DAY1 });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  for (let i = 0; i < 2; i++) {
+    const res = await fetch(`${base}/pv/octocat.svg`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^image\/svg\+xml/);
+    assert.match(res.headers.get("cache-control"), /no-cache/);
+    assert.match(await res.text(), /aria-label="PROFILE TRAFFIC: 1"/);
+  }
+  assert.deepEqual(await (await fetch(`${base}/pv/octocat.json`)).json(), { key: "octocat", count: 1, hits: 2 });
+  assert.match(await (await fetch(`${base}/pv/octocat.svg?style=flat&theme=ocean`)).text(), /height="20"/);
+
+  assert.equal((await fetch(`${base}/pv/stranger.svg`)).status, 404);
+  assert.equal((await fetch(`${base}/pv/octocat.svg?style=round`)).status, 400);
+  assert.equal((await fetch(`${base}/pv/octocat.json`, { method: "POST" })).status, 405);
+  assert.equal(counter.get("stranger").hits, 0, "unknown keys are never stored");
+});
+
+test("counter: build-pv reads the counter instead of scraping Komarev", async () => {
+  const svg = await runBuilder("docs/v.svg/scripts/build-pv.mjs", "pv-counter.json",
+    { args: ["--config", path.join(FIXTURES, "pv-counter.config.json")] });
+  assert.match(svg, /aria-label="PROFILE TRAFFIC: 5123"/);
+});
+
+test("counter: a missing store fails the read, a failed write does not wedge later ones", async t => {
+  const file = await tmpStore(t);
+  await assert.rejects(readCounter(file, "octocat"), /no counter store/);
+
+  // a plain file where the store's directory should be: writes fail until it is gone
+  const blocker = path.join(path.dirname(file), "sub");
+  const c = await openCounter(path.join(blocker, "counter.json"));
+  await fs.writeFile(blocker, "");
+  await assert.rejects(c.hit("octocat", "203.0.113.7", DAY1));
+  await fs.rm(blocker);
+  assert.equal((await c.hit("octocat", "198.51.100.2", DAY1)).count, 2);
+  assert.equal((await readCounter(path.join(blocker, "counter.json"), "octocat")).count, 2);
+});
+
+test("counter: behind a proxy only the hops it appended are trusted", async t => {
+  const counter = await openCounter(await tmpStore(t));
+  const cfg = validateConfig({ user: "octocat", counter: { trustProxy: true } });
+  const server = createCounterServer({ cfg, counter, clock: () => DAY1 });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // one visitor (the proxy appends 198.51.100.9) trying five spoofed left-hand entries
+  for (let i = 1; i <= 5; i++) {
+    await fetch(`${base}/pv/octocat.svg`, { headers: { "X-Forwarded-For": `203.0.113.${i}, 198.51.100.9` } });
+  }
+  assert.deepEqual(counter.get("octocat"), { key: "octocat", count: 1, hits: 5 });
+  await fetch(`${base}/pv/octocat.svg`, { headers: { "X-Forwarded-For": "198.51.100.10" } });
+  assert.equal(counter.get("octocat").count, 2);
+
+  assert.equal((await fetch(`${base}/pv/%E0.svg`)).status, 400);
+});
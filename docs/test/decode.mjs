@@ -0,0 +1,108 @@
+/**
+ * Minimal GIF / PNG readers for the raster tests: enough to check structure and get
+ * frame pixels back out of what lib/gif.mjs and lib/apng.mjs wrote.
+ */
+
+import zlib from "node:zlib";
+
+function unlzw(data, minCodeSize, size) {
+  const clear = 1 << minCodeSize, eoi = clear + 1;
+  const out = new Uint8Array(size);
+  let n = 0, codeSize, dict, prev = null;
+  const reset = () => {
+    codeSize = minCodeSize + 1;
+    dict = Array.from({ length: clear }, (_, i) => [i]);
+    dict.push(null, null);
+  };
+  reset();
+  let acc = 0, bits = 0, pos = 0;
+  for (;;) {
+    while (bits < codeSize) {
+      if (pos >= data.length) throw new Error("gif: LZW data ended without end-of-information");
+      acc |= data[pos++] << bits;
+      bits += 8;
+    }
+    const code = acc & ((1 << codeSize) - 1);
+    acc >>>= codeSize;
+    bits -= codeSize;
+    if (code === clear) { reset(); prev = null; continue; }
+    if (code === eoi) break;
+    let entry = dict[code];
+    if (!entry) {
+      if (code !== dict.length || !prev) throw new Error(`gif: bad LZW code ${code}`);
+      entry = [...prev, prev[0]];
+    }
+    for (const v of entry) out[n++] = v;
+    if (prev && dict.length < 4096) dict.push([...prev, entry[0]]);
+    if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+    prev = entry;
+  }
+  if (n !== size) throw new Error(`gif: frame decoded to ${n} pixels, expected ${size}`);
+  return out;
+}
+
+/** @returns {{ width, height, palette: string[], loop: number|null, frames: { x, y, w, h, delay, disposal, pixels }[] }} */
+export function readGif(buf) {
+  if (buf.toString("latin1", 0, 6) !== "GIF89a") throw new Error("gif: bad signature");
+  const width = buf.readUInt16LE(6), height = buf.readUInt16LE(8), flags = buf[10];
+  let p = 13;
+  const palette = [];
+  if (flags & 0x80) {
+    const n = 2 << (flags & 7);
+    for (let i = 0; i < n; i++, p += 3) palette.push("#" + buf.subarray(p, p + 3).toString("hex"));
+  }
+  const subBlocks = () => {
+    const parts = [];
+    while (buf[p]) { parts.push(buf.subarray(p + 1, p + 1 + buf[p])); p += 1 + buf[p]; }
+    p++;
+    return Buffer.concat(parts);
+  };
+
+  let loop = null, gce = {};
+  const frames = [];
+  for (;;) {
+    const tag = buf[p++];
+    if (tag === 0x3b) break;
+    if (tag === 0x21) {
+      const label = buf[p++];
+      const body = subBlocks();
+      if (label === 0xf9) gce = { disposal: (body[0] >> 2) & 7, delay: body.readUInt16LE(1) };
+      if (label === 0xff && body.toString("latin1", 0, 11) === "NETSCAPE2.0") loop = body.readUInt16LE(12);
+    } else if (tag === 0x2c) {
+      const x = buf.readUInt16LE(p), y = buf.readUInt16LE(p + 2), w = buf.readUInt16LE(p + 4), h = buf.readUInt16LE(p + 6);
+      p += 9;
+      const minCodeSize = buf[p++];
+      frames.push({ x, y, w, h, ...gce, pixels: unlzw(subBlocks(), minCodeSize, w * h) });
+      gce = {};
+    } else {
+      throw new Error(`gif: unexpected block 0x${tag?.toString(16)} at ${p - 1}`);
+    }
+  }
+  return { width, height, palette, loop, frames };
+}
+
+/** PNG chunks with CRCs checked: [{ type, data }]. */
+export function readPngChunks(buf) {
+  if (buf.readUInt32BE(0) !== 0x89504e47) throw new Error("png: bad signature");
+  const chunks = [];
+  for (let p = 8; p < buf.length;) {
+    const len = buf.readUInt32BE(p), type = buf.toString("latin1", p + 4, p + 8);
+    const want = buf.readUInt32BE(p + 8 + len);
+    // an independent CRC where the runtime has one (zlib.crc32, Node ≥ 20.15)
+    if (zlib.crc32 && zlib.crc32(buf.subarray(p + 4, p + 8 + len)) !== want) throw new Error(`png: bad CRC on ${type}`);
+    chunks.push({ type, data: buf.subarray(p + 8, p + 8 + len) });
+    p += 12 + len;
+  }
+  return chunks;
+}
+
+/** Unfiltered indexed rows of one IDAT/fdAT payload (filter 0 only, as lib/apng.mjs writes). */
+export function inflateRows(data, w, h) {
+  const raw = zlib.inflateSync(data);
+  const out = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    if (raw[y * (w + 1)] !== 0) throw new Error(`png: row ${y} uses filter ${raw[y * (w + 1)]}`);
+    out.set(raw.subarray(y * (w + 1) + 1, (y + 1) * (w + 1)), y * w);
+  }
+  return out;
+}
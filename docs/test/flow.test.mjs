@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { resolveBucket, windowDays, bucketize, bucketLabel, alignDays, alignPrevious, movingAverage, windowCaption }
+  from "../lib/flow.mjs";
+import { runBuilder, normalize, matchGolden, FIXTURES } from "./golden.mjs";
+
+// 2025-11-01 (a Saturday) .. 2025-11-14, one contribution per day of the month
+const DAYS = Array.from({ length: 14 }, (_, i) => ({ date: `2025-11-${String(i + 1).padStart(2, "0")}`, count: i + 1 }));
+
+test("flow: auto buckets by window length", () => {
+  assert.deepEqual([7, 30, 90, 365, "all"].map(w => resolveBucket("auto", w)), ["day", "day", "day", "week", "month"]);
+  assert.equal(resolveBucket("month", 90), "month");
+  assert.equal(windowCaption(365, "week"), "Last 365 days, weekly");
+  assert.equal(windowCaption("all", "month"), "All time, monthly");
+  assert.equal(windowCaption(30, "day"), "Last 30 days");
+});
+
+test("flow: windows keep the period before for comparison", () => {
+  const { current, previous } = windowDays(DAYS, 5);
+  assert.deepEqual(current.map(d => d.count), [10, 11, 12, 13, 14]);
+  assert.deepEqual(previous.map(d => d.count), [5, 6, 7, 8, 9]);
+  assert.deepEqual(windowDays(DAYS, 10).previous.map(d => d.count), [1, 2, 3, 4], "short history gives a short comparison");
+  assert.equal(windowDays(DAYS, "all").current.length, 14);
+});
+
+test("flow: weeks start on Monday, months on the 1st", () => {
+  assert.deepEqual(bucketize(DAYS, "week"), [
+    { start: "2025-10-27", count: 1 + 2 },
+    { start: "2025-11-03", count: 3 + 4 + 5 + 6 + 7 + 8 + 9 },
+    { start: "2025-11-10", count: 10 + 11 + 12 + 13 + 14 }
+  ]);
+  assert.deepEqual(bucketize(DAYS, "month"), [{ start: "2025-11-01", count: 105 }]);
+  assert.equal(bucketize(DAYS, "day").length, 14);
+  assert.equal(bucketLabel("2025-11-03", "week"), "11/3");
+  assert.equal(bucketLabel("2025-01-01", "month"), "Jan ’25");
+});
+
+test("flow: overlay series line up with the window's buckets", () => {
+  assert.deepEqual(movingAverage([2, 4, 6, 8], 2), [2, 3, 5, 7]);
+  assert.deepEqual(alignPrevious([{}, {}, {}], [{ count: 7 }, { count: 9 }]), [null, 7, 9]);
+  assert.deepEqual(alignDays(DAYS.slice(0, 3), [{ date: "2025-11-02", count: 4 }]).map(d => d.count), [0, 4, 0]);
+});
+
+test("crimson flow: a year, weekly, with every overlay", async () => {
+  const svg = await runBuilder("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow-year.json",
+    { args: ["--config", path.join(FIXTURES, "flow-overlays.config.json")] });
+  assert.match(svg, /window:365 bucket:week points:53 /);
+  for (const label of ["Contributions", "4-week average", "Previous 365 days", "Commits", "Pull requests"]) {
+    assert.match(svg, new RegExp(`class="lbl">${label}</text>`));
+  }
+  assert.match(svg, /\.avg\{[^}]*\} \.prev\{[^}]*\} \.s0\{[^}]*\} \.s1\{/);
+  assert.doesNotMatch(svg, /\.s2\{/, "styles only for the overlays drawn");
+  await matchGolden("crimson-flow-year.svg", normalize(svg));
+});
+
+test("crimson flow: all-time window buckets by month", async () => {
+  const svg = await runBuilder("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow-all.json", { args: ["--window", "all"] });
+  assert.match(svg, /window:all bucket:month /);
+  assert.match(svg, />All time, monthly</);
+  assert.match(svg, />Mar ’23</, "starts at the account's first month");
+  assert.doesNotMatch(svg, /<!-- Legend -->/, "no legend without overlays");
+  assert.doesNotMatch(svg, /\.(avg|prev|s\d)\{/, "nor their styles");
+});
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { freeze, carousel, frameTimes, loopSeconds, tile } from "../lib/frames.mjs";
+import { runBuilder } from "./golden.mjs";
+
+const doc = (body, root = "") => `<svg xmlns="http://www.w3.org/2000/svg"${root}>${body}\n</svg>\n`;
+
+test("frames: freeze writes each animation's value at t and drops the SMIL", () => {
+  const svg = doc(`
+  <rect x="0" opacity="1">
+    <animate attributeName="x" values="0;10;30" keyTimes="0;0.5;1" dur="2s" repeatCount="indefinite"/>
+    <animate attributeName="opacity" from="1" to="0" dur="4s" fill="freeze"/>
+  </rect>`);
+  assert.equal(freeze(svg, 0.5), doc(`
+  <rect x="5" opacity="0.875">
+  </rect>`));
+  assert.match(freeze(svg, 1.5), /x="20"/);
+  assert.match(freeze(svg, 2.5), /x="5"/);                 // second repeat
+  assert.match(freeze(svg, 9), /opacity="0"/);              // held by fill="freeze"
+});
+
+test("frames: discrete, spline and begin lists", () => {
+  const svg = doc(`
+  <text fill="#fff"><animate attributeName="fill" values="#f00;#0f0;#00f" calcMode="discrete" dur="3s"/></text>
+  <circle r="0"><animate attributeName="r" values="0;10" calcMode="spline" keySplines="0.42 0 1 1" dur="1s" fill="freeze"/></circle>
+  <g opacity="0"><set attributeName="opacity" to="1" begin="2s;5s"/></g>
+  <path d="M0,0"><animate attributeName="d" from="M0,0" to="M8,4" begin="1s" dur="2s"/></path>`);
+  const at = t => freeze(svg, t);
+  assert.match(at(1.5), /<text fill="#0f0">/);
+  assert.match(at(0.5), /<circle r="(\d+(?:\.\d+)?)"/);
+  assert.ok(Number(at(0.5).match(/<circle r="([\d.]+)"/)[1]) < 5, "ease-in is behind linear halfway");
+  assert.match(at(1), /<circle r="10">/);
+  assert.match(at(1), /<g opacity="0">/);
+  assert.match(at(2.5), /<g opacity="1">/);
+  assert.match(at(0.5), /<path d="M0,0">/);                 // before its begin
+  assert.match(at(2), /<path d="M4,2">/);
+  assert.doesNotMatch(at(2), /<animate|<set/);
+});
+
+test("frames: transforms add up and motion follows its path", () => {
+  const svg = doc(`
+  <g transform="translate(5,5)">
+    <animateTransform attributeName="transform" type="scale" values="1;3" dur="2s" additive="sum"/>
+  </g>
+  <g transform="translate(5,5)">
+    <animateTransform attributeName="transform" type="rotate" from="0" to="90" dur="2s"/>
+  </g>
+  <circle r="2">
+    <animateMotion path="M0,0 L10,0 L10,10" dur="4s"/>
+  </circle>
+  <circle r="3">
+    <animateMotion dur="2s"><mpath href="#track"/></animateMotion>
+  </circle>
+  <path id="track" d="M0,0 Q10,0 10,10"/>`);
+  const out = freeze(svg, 1);
+  assert.match(out, /<g transform="translate\(5,5\) scale\(2\)">/);
+  assert.match(out, /<g transform="rotate\(45\)">/);
+  assert.match(out, /<circle r="2" transform="translate\(5,0\)">/);
+  const [x, y] = out.match(/<circle r="3" transform="translate\(([\d.]+),([\d.]+)\)">/).slice(1).map(Number);
+  assert.ok(x > 5 && x < 9 && y > 1 && y < 5, `mpath midpoint on the curve, got ${x},${y}`);
+  assert.doesNotMatch(out, /animate|mpath/);
+});
+
+test("frames: carousel names its frames and their middles", () => {
+  const svg = doc(`\n  <rect><animate attributeName="x" values="0;1" dur="9s"/></rect>`, ` data-frames="4/2s"`);
+  assert.deepEqual(carousel(svg), { count: 4, period: 2 });
+  assert.deepEqual(frameTimes(carousel(svg)), [0.25, 0.75, 1.25, 1.75]);
+  assert.equal(loopSeconds(svg), 2);
+  assert.equal(carousel(doc("")), null);
+  assert.equal(loopSeconds(svg.replace(/ data-frames="[^"]*"/, "")), 9);
+});
+
+test("frames: tile lays frames out in rows with captions", () => {
+  const frame = { href: "data:image/png;base64,AA==", width: 100, height: 40 };
+  const sheet = tile([frame, frame, frame], { columns: 2, labels: ["#1", "#2", "#3"], background: "#0d1117" });
+  assert.match(sheet, /<svg [^>]*width="224" height="140"/);
+  assert.equal(sheet.match(/<image /g).length, 3);
+  assert.match(sheet, /<image x="8" y="74" [^>]*\/>\s*<text [^>]*>#3</);
+  assert.match(tile([frame, frame]), /width="224" height="56"/);
+});
+
+test("frames: the carousel builders name their frames, static files do not", async () => {
+  const streak = await runBuilder("docs/s.svg/scripts/build-streak.mjs", "streak.json");
+  const totals = carousel(streak);
+  assert.equal(totals.period, +(totals.count * 0.08).toFixed(2));     // one running total every 80 ms
+  const trophies = await runBuilder("docs/t.svg/scripts/build-trophies.mjs", "trophies.json");
+  assert.deepEqual(carousel(trophies), { count: 4, period: 24 });
+  const still = await runBuilder("docs/t.svg/scripts/build-trophies.mjs", "trophies.json", { args: ["--motion", "static"] });
+  assert.equal(carousel(still), null);
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import path from "node:path";
+import { runBuilder, normalize, matchGolden, FIXTURES } from "./golden.mjs";
+import { readGif } from "./decode.mjs";
+
+test("streak: seeded flames and carousels replay byte-for-byte", async () => {
+  const a = await runBuilder("docs/s.svg/scripts/build-streak.mjs", "streak.json");
+  const b = await runBuilder("docs/s.svg/scripts/build-streak.mjs", "streak.json");
+  assert.equal(a, b, "two runs from the same fixture differ");
+  await matchGolden("streak.svg", a);
+});
+
+test("streak: non-default rules are named under the ring", async () => {
+  const svg = await runBuilder("docs/s.svg/scripts/build-streak.mjs", "streak.json",
+    { args: ["--config", path.join(FIXTURES, "streak-rules.config.json")] });
+  assert.match(svg, /width="760" height="196"/);
+  assert.match(svg, /class="rules" text-anchor="middle">weekends off · 1 grace day · America\/Los_Angeles</);
+});
+
+test("streak: --motion static keeps the summary and drops all SMIL", async () => {
+  const svg = await runBuilder("docs/s.svg/scripts/build-streak.mjs", "streak.json", { args: ["--motion", "static"] });
+  assert.match(svg, /<title id="title">[^<]+<\/title>\s*<desc id="desc">Total Contributions [\d,]+ .*; current streak \d+ days?; longest \d+ days?/);
+  assert.doesNotMatch(svg, /<animate|<set |class="motion"/);
+});
+
+test("trophies: carousel pages", async () => {
+  const svg = await runBuilder("docs/t.svg/scripts/build-trophies.mjs", "trophies.json");
+  await matchGolden("trophies.svg", svg);
+});
+
+test("crimson flow: BUILD_TAG is normalized", async () => {
+  const svg = await runBuilder("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json",
+    { env: { BUILD_TAG: "volatile-tag" } });
+  assert.match(svg, /<!-- build:volatile-tag /);
+  await matchGolden("crimson-flow.svg", normalize(svg));
+});
+
+test("page views: pill from recorded Komarev page", async () => {
+  const svg = await runBuilder("docs/v.svg/scripts/build-pv.mjs", "pv.json");
+  await matchGolden("pv-traffic.svg", svg);
+});
+
+test("ticker: GIF rendered from recorded stats.json", async () => {
+  const gif = await runBuilder("docs/ticker-bot/generate_banner.js", "ticker.json",
+    { outName: "ticker.gif", encoding: null, args: ["--config", path.join(FIXTURES, "ticker.config.json")] });
+  const g = readGif(gif);
+  const summary = {
+    width: g.width,
+    height: g.height,
+    palette: g.palette,
+    loop: g.loop,
+    frames: g.frames.length,
+    delays: [...new Set(g.frames.map(f => f.delay))],
+    band: { y: g.frames[1].y, h: g.frames[1].h },
+    sha256: crypto.createHash("sha256").update(gif).digest("hex")
+  };
+  await matchGolden("ticker.gif.json", JSON.stringify(summary, null, 2) + "\n");
+});
+
+test("ticker svg: marquee timed like the GIF", async () => {
+  const svg = await runBuilder("docs/ticker-bot/generate_svg.mjs", "ticker.json", { outName: "ticker.svg" });
+  assert.match(svg, /<animateTransform attributeName="transform" type="translate" from="2048 0" to="-\d+ 0"/);
+  await matchGolden("ticker.svg", svg);
+});
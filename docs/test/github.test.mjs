@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { createClient, readRateLimit, RateLimitError } from "../lib/github.mjs";
+import { EXIT_UNCHANGED } from "../lib/manifest.mjs";
+
+const QUERY = "query($login: String!) { user(login: $login) { id } }";
+
+// replaces global fetch with `responses` (one per call, the last repeats; `error` rejects);
+// returns the calls
+function stubFetch(t, responses) {
+  const calls = [];
+  const real = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    const { status = 200, headers = {}, body = { data: { user: { id: "U1" } } }, error } = responses[Math.min(calls.length, responses.length) - 1];
+    if (error) throw error;
+    return new Response(typeof body === "string" ? body : JSON.stringify(body), { status, headers });
+  };
+  t.after(() => { globalThis.fetch = real; });
+  return calls;
+}
+
+const client = opts => createClient({ token: "t0ken", cacheTtl: 0, log: () => {}, ...opts });
+
+test("github: rate-limit headers are read into numbers", () => {
+  const limits = readRateLimit(new Headers({
+    "x-ratelimit-limit": "5000", "x-ratelimit-remaining": "4990", "x-ratelimit-used": "10",
+    "x-ratelimit-reset": "1763120000", "x-ratelimit-resource": "graphql", "retry-after": "3"
+  }));
+  assert.deepEqual(limits, { limit: 5000, remaining: 4990, used: 10, reset: 1763120000, resource: "graphql", retryAfter: 3 });
+  assert.equal(readRateLimit(new Headers()).remaining, null);
+});
+
+test("github: queries carry the token and variables, limits are kept", async t => {
+  const calls = stubFetch(t, [{ headers: { "x-ratelimit-remaining": "4321", "x-ratelimit-limit": "5000" } }]);
+  const gh = client({ userAgent: "ggpt-boost-test" });
+  assert.deepEqual(await gh.gql(QUERY, { login: "octocat" }), { user: { id: "U1" } });
+  assert.equal(calls[0].url, "https://api.github.com/graphql");
+  assert.equal(calls[0].headers.Authorization, "bearer t0ken");
+  assert.equal(calls[0].headers["User-Agent"], "ggpt-boost-test");
+  assert.deepEqual(calls[0].body, { query: QUERY, variables: { login: "octocat" } });
+  assert.equal(gh.rateLimit().remaining, 4321);
+  await assert.rejects(createClient({ token: "" }).gql(QUERY), /token missing/);
+});
+
+test("github: 5xx and Retry-After are retried, GraphQL errors are not", async t => {
+  const calls = stubFetch(t, [
+    { status: 502, body: "bad gateway" },
+    { status: 403, headers: { "retry-after": "0" }, body: "secondary rate limit" },
+    {}
+  ]);
+  assert.deepEqual(await client().gql(QUERY, { login: "octocat" }), { user: { id: "U1" } });
+  assert.equal(calls.length, 3);
+
+  stubFetch(t, [{ status: 500, body: "down" }]);
+  await assert.rejects(client({ maxRetries: 1 }).gql(QUERY), /GraphQL 500: down/);
+  stubFetch(t, [{ body: { errors: [{ type: "NOT_FOUND", message: "no user" }] } }]);
+  await assert.rejects(client().gql(QUERY), /NOT_FOUND/);
+});
+
+test("github: network errors are retried like 5xx", async t => {
+  const reset = Object.assign(new TypeError("fetch failed"), { cause: Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" }) });
+  const calls = stubFetch(t, [{ error: reset }, { error: new TypeError("fetch failed") }, {}]);
+  assert.deepEqual(await client().gql(QUERY, { login: "octocat" }), { user: { id: "U1" } });
+  assert.equal(calls.length, 3);
+
+  stubFetch(t, [{ error: reset }]);
+  await assert.rejects(client({ maxRetries: 2 }).gql(QUERY), err =>
+    /GraphQL request failed: ECONNRESET/.test(err.message) && err.cause === reset);
+});
+
+test("github: waits longer than GH_MAX_WAIT stop with RateLimitError", async t => {
+  stubFetch(t, [{ status: 429, headers: { "retry-after": "120" }, body: "slow down" }]);
+  await assert.rejects(client({ maxWait: 90 }).gql(QUERY), err =>
+    err instanceof RateLimitError && err.retryAfter === 120 && /exceeds GH_MAX_WAIT=90s/.test(err.message));
+
+  // below minRemaining the next query waits for the reset (an hour away) instead of spending the rest
+  const reset = String(Math.floor(Date.now() / 1000) + 3600);
+  const calls = stubFetch(t, [{ headers: { "x-ratelimit-remaining": "10", "x-ratelimit-limit": "5000", "x-ratelimit-reset": reset } }]);
+  const gh = client({ minRemaining: 25, maxWait: 90 });
+  await gh.gql(QUERY, { login: "a" });
+  await assert.rejects(gh.gql(QUERY, { login: "b" }), err =>
+    err instanceof RateLimitError && /rate limit low \(10\/5000 left\)/.test(err.message) && err.resetAt.getTime() === reset * 1000);
+  assert.equal(calls.length, 1, "the second query never reached GitHub");
+});
+
+test("github: the cache answers repeat queries within the TTL, keyed on the day", async t => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-github-"));
+  t.after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+  const calls = stubFetch(t, [{}]);
+  const gh = client({ cacheTtl: 60, cacheDir });
+
+  await gh.gql(QUERY, { login: "octocat", to: "2025-11-14T10:00:00.123Z" });
+  await gh.gql(QUERY, { login: "octocat", to: "2025-11-14T10:05:42.999Z" });
+  assert.equal(calls.length, 1, "same day, same query: one call");
+  await gh.gql(QUERY, { login: "octocat", to: "2025-11-15T00:00:00.000Z" });
+  await gh.gql(QUERY, { login: "hubot", to: "2025-11-14T10:00:00.123Z" });
+  assert.equal(calls.length, 3);
+
+  // an entry older than the TTL is fetched again
+  for (const file of await fs.readdir(cacheDir)) {
+    const entry = JSON.parse(await fs.readFile(path.join(cacheDir, file), "utf8"));
+    await fs.writeFile(path.join(cacheDir, file), JSON.stringify({ ...entry, storedAt: Date.now() - 61_000 }));
+  }
+  await gh.gql(QUERY, { login: "octocat", to: "2025-11-14T10:00:00.123Z" });
+  assert.equal(calls.length, 4);
+});
+
+test("github: a RateLimitError out of a builder exits as unchanged", async () => {
+  const lib = new URL("../lib/github.mjs", import.meta.url).href;
+  const script = `import { stopCleanlyOnRateLimit, RateLimitError } from ${JSON.stringify(lib)};
+stopCleanlyOnRateLimit();
+throw new RateLimitError("budget gone", { resetAt: new Date("2025-11-14T11:00:00Z") });`;
+  const code = await new Promise(resolve =>
+    execFile(process.execPath, ["--input-type=module", "-e", script], err => resolve(err?.code ?? 0)));
+  assert.equal(code, EXIT_UNCHANGED);
+});
@@ -0,0 +1,83 @@
+/**
+ * Golden-file helpers: run a builder against a recorded fixture and compare its
+ * output with the committed file under docs/test/golden/.
+ * UPDATE_SNAPSHOTS=1 (npm run test:update) rewrites the goldens instead.
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+export const FIXTURES = path.join(ROOT, "docs/test/fixtures");
+export const GOLDEN = path.join(ROOT, "docs/test/golden");
+export const UPDATE = process.env.UPDATE_SNAPSHOTS === "1";
+
+const run = promisify(execFile);
+
+// no credentials, a fixed locale/zone and the schema-default config:
+// a builder that reaches for the network fails loudly, and repo rebrands don't move goldens
+const ENV = {
+  PATH: process.env.PATH,
+  BOOST_CONFIG: path.join(FIXTURES, "boost.config.json"),
+  TZ: "UTC",
+  LANG: "C.UTF-8"
+};
+
+/**
+ * Run `script` (repo-relative) with --fixture/--out, return the written file's text
+ * (or its bytes with encoding: null). A builder that writes a directory returns
+ * { <file name>: text } for everything in it.
+ */
+export async function runBuilder(script, fixture, { outName = "out.svg", args = [], env = {}, encoding = "utf8" } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-golden-"));
+  const out = path.join(dir, outName);
+  try {
+    await run(process.execPath, [
+      path.join(ROOT, script),
+      "--fixture", path.join(FIXTURES, fixture),
+      "--out", out,
+      ...args
+    ], { cwd: dir, env: { ...ENV, ...env }, maxBuffer: 16 << 20 });
+    if (!(await fs.stat(out)).isDirectory()) return await fs.readFile(out, encoding);
+    const names = (await fs.readdir(out)).sort();
+    return Object.fromEntries(await Promise.all(names.map(async n => [n, await fs.readFile(path.join(out, n), encoding)])));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// volatile bits that legitimately differ between runs
+export const normalize = text => text
+  .replace(/\r\n/g, "\n")
+  .replace(/<!-- build:\S+/g, "<!-- build:<BUILD_TAG>");
+
+/** Compare `actual` with golden/<name>; first line of difference in the failure message. */
+export async function matchGolden(name, actual) {
+  const file = path.join(GOLDEN, name);
+  if (UPDATE) {
+    await fs.mkdir(GOLDEN, { recursive: true });
+    await fs.writeFile(file, actual, "utf8");
+    return;
+  }
+  let expected;
+  try {
+    expected = await fs.readFile(file, "utf8");
+  } catch {
+    assert.fail(`missing golden ${path.relative(ROOT, file)} (run: npm run test:update)`);
+  }
+  if (actual === expected) return;
+
+  const a = actual.split("\n"), e = expected.split("\n");
+  let i = 0;
+  while (i < a.length && a[i] === e[i]) i++;
+  assert.fail(
+    `${name} differs from golden at line ${i + 1} (run: npm run test:update if intended)\n` +
+    `  expected: ${(e[i] ?? "<eof>").trim().slice(0, 200)}\n` +
+    `  actual:   ${(a[i] ?? "<eof>").trim().slice(0, 200)}`
+  );
+}
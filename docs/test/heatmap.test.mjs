@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { quantiles, level, heatmapPages, weekGrid, monthLabels, runOutline } from "../lib/heatmap.mjs";
+import { runBuilder, matchGolden, FIXTURES } from "./golden.mjs";
+
+test("heatmap: levels split the non-zero days at their quantiles", () => {
+  const bounds = quantiles([0, 0, 1, 2, 3, 4, 5, 6, 7, 40]);
+  assert.deepEqual(bounds, [2, 4, 6]);
+  assert.deepEqual([0, 1, 2, 3, 5, 7, 40].map(c => level(c, bounds)), [0, 1, 1, 2, 3, 4, 4]);
+  assert.deepEqual(quantiles([0, 0]), [], "an empty page has no bounds");
+  assert.equal(level(3, []), 1);
+});
+
+test("heatmap: weeks are columns starting on Sunday", () => {
+  // 2025-11-01 is a Saturday: it ends week 0, Sunday the 2nd starts week 1
+  const grid = weekGrid([{ date: "2025-11-02", count: 4 }], "2025-11-01", "2025-11-09");
+  assert.equal(grid.weeks, 3);
+  assert.deepEqual(grid.cells.slice(0, 2), [
+    { date: "2025-11-01", count: 0, week: 0, weekday: 6 },
+    { date: "2025-11-02", count: 4, week: 1, weekday: 0 }
+  ]);
+  assert.deepEqual(grid.cells.at(-1), { date: "2025-11-09", count: 0, week: 2, weekday: 0 });
+});
+
+test("heatmap: month labels skip a sliver of a first month", () => {
+  const labels = monthLabels(weekGrid([], "2024-11-22", "2025-02-10"));
+  assert.deepEqual(labels.map(l => l.text), ["Dec", "Jan", "Feb"]);
+  assert.deepEqual(monthLabels(weekGrid([], "2024-11-01", "2024-12-31")).map(l => l.text), ["Nov", "Dec"]);
+});
+
+test("heatmap: pages are the last 12 months, then each year newest first", () => {
+  const days = [{ date: "2023-03-14" }];
+  assert.deepEqual(heatmapPages(days, "2025-11-14"), [{ label: "Last 12 months", from: "2024-11-15", to: "2025-11-14" }]);
+  assert.deepEqual(heatmapPages(days, "2025-11-14", { years: true }).map(p => [p.label, p.from, p.to]), [
+    ["Last 12 months", "2024-11-15", "2025-11-14"],
+    ["2025", "2025-01-01", "2025-11-14"],
+    ["2024", "2024-01-01", "2024-12-31"],
+    ["2023", "2023-01-01", "2023-12-31"]
+  ]);
+});
+
+test("heatmap: a streak across weeks is outlined as one shape", () => {
+  const cells = weekGrid([], "2025-11-05", "2025-11-18").cells; // Wednesday .. Tuesday two weeks on
+  assert.deepEqual(runOutline(cells), [[[0, 3], [1, 3], [1, 0], [3, 0], [3, 3], [2, 3], [2, 7], [0, 7]]]);
+  assert.deepEqual(runOutline(cells.slice(0, 3)), [[[0, 3], [1, 3], [1, 6], [0, 6]]], "one column is a box");
+  assert.equal(runOutline(cells.slice(3, 5)).length, 2, "Saturday to Sunday only touches diagonally");
+  assert.deepEqual(runOutline([]), []);
+});
+
+test("heatmap: yearly carousel with the longest streak outlined", async () => {
+  const svg = await runBuilder("docs/h.svg/scripts/build-heatmap.mjs", "streak.json",
+    { args: ["--config", path.join(FIXTURES, "heatmap.config.json")] });
+  assert.equal(svg.match(/<g class="slide"/g).length, 5, "last 12 months + 2025, 2024, 2023, and the first one still");
+  assert.match(svg, /class="sub" text-anchor="end">2023 · [\d,]+ contributions</);
+  assert.match(svg, /Longest streak \d+ days<\/tspan> · \d{4}-\d\d-\d\d → \d{4}-\d\d-\d\d/);
+  await matchGolden("heatmap.svg", svg);
+});
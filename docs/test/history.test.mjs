@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { openHistory, deltaLabel, historyDir, calendarDir } from "../lib/history.mjs";
+import { sparkline } from "../lib/svg.mjs";
+import { runBuilder } from "./golden.mjs";
+
+const tmp = () => fs.mkdtemp(path.join(os.tmpdir(), "ggpt-history-"));
+const lines = async file => (await fs.readFile(file, "utf8")).trim().split("\n").map(l => JSON.parse(l));
+
+test("history: one line per day and key, later runs that day replace it", async () => {
+  const dir = await tmp();
+  try {
+    const at = iso => ({ dir, now: new Date(iso), key: "octocat" });
+    await (await openHistory("t", at("2025-11-01T10:00:00Z"))).record({ stars: 100 });
+    await (await openHistory("t", { ...at("2025-11-01T11:00:00Z"), key: "other" })).record({ stars: 1 });
+    await (await openHistory("t", at("2025-11-08T09:00:00Z"))).record({ stars: 105 });
+    const h = await openHistory("t", at("2025-11-08T18:00:00Z"));
+    await h.record({ stars: 112 });
+
+    assert.deepEqual((await lines(h.file)).map(r => [r.date, r.key, r.stars]),
+      [["2025-11-01", "octocat", 100], ["2025-11-01", "other", 1], ["2025-11-08", "octocat", 112]]);
+    assert.equal(h.delta("stars", 7), 12);
+    assert.equal(h.delta("stars", 30), null, "no snapshot that old");
+    assert.deepEqual(h.series("stars", 30).map(p => p.value), [100, 112]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("history: no dir keeps snapshots in memory only", async () => {
+  const h = await openHistory("t", { dir: null, now: new Date("2025-11-08T00:00:00Z"), key: "x" });
+  await h.record({ repos: { a: { stars: 3 } } });
+  assert.equal(h.file, null);
+  assert.deepEqual(h.series("repos.a.stars", 7), [{ date: "2025-11-08", value: 3 }]);
+});
+
+test("history: replays write history only with --history, calendar copies never", () => {
+  const cfg = { history: { enabled: true, dir: "docs/history" } };
+  const live = { mode: "live" }, replay = { mode: "replay" };
+  assert.match(historyDir({}, cfg, live), /docs[\\/]history$/);
+  assert.equal(historyDir({}, cfg, replay), null);
+  assert.equal(historyDir({ history: "tmp/h" }, cfg, replay), path.resolve("tmp/h"));
+  assert.equal(calendarDir({ history: "tmp/h" }, cfg, replay), null);
+  assert.equal(calendarDir({ history: "tmp/h" }, cfg, live), path.resolve("tmp/h"));
+  assert.equal(calendarDir({}, { history: { ...cfg.history, enabled: false } }, live), null);
+});
+
+test("history: labels and sparklines", () => {
+  assert.equal(deltaLabel(1234, 7), "+1,234 this week");
+  assert.equal(deltaLabel(-3, 30), "−3 in 30d");
+  assert.equal(deltaLabel(0, 7), "");
+  assert.equal(deltaLabel(null, 7), "");
+  assert.equal(sparkline([1, 3, 2], { x: 10, y: 0, w: 20, h: 10 }), "10.0,10.0 20.0,0.0 30.0,5.0");
+  assert.equal(sparkline([5], { w: 20, h: 10 }), "");
+});
+
+test("trophies: --history renders week deltas and sparklines and appends today", async () => {
+  const dir = await tmp();
+  try {
+    const file = path.join(dir, "trophies.ndjson");
+    await fs.writeFile(file, JSON.stringify({ date: "2025-11-06", key: "statikfintechllc", stars: 812, followers: 412 }) + "\n");
+    const svg = await runBuilder("docs/t.svg/scripts/build-trophies.mjs", "trophies.json", { args: ["--history", dir] });
+    assert.match(svg, /824 <tspan class="grade">\[SS\]<\/tspan> <tspan class="delta">\+12 this week<\/tspan>/);
+    assert.doesNotMatch(svg, /412 <tspan class="grade">\[SS\]<\/tspan> <tspan/, "unchanged metrics get no delta");
+    assert.match(svg, /<polyline points="[^"]+" class="spark"/);
+    assert.deepEqual((await lines(file)).map(r => r.date), ["2025-11-06", "2025-11-14"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
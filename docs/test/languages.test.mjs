@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { aggregateLanguages, dropRepos, formatBytes, formatShare } from "../lib/languages.mjs";
+import { runBuilder, matchGolden, FIXTURES } from "./golden.mjs";
+
+const repo = (name, ...langs) => ({ repo: name, fullName: `statikfintechllc/${name}`, languages: langs.map(([n, size, color = null]) => ({ name: n, size, color })) });
+const REPOS = [
+  repo("app", ["TypeScript", 600, "#3178c6"], ["SCSS", 100, "#c6538c"], ["HTML", 50, "#e34c26"]),
+  repo("site", ["CSS", 150, "#663399"], ["JavaScript", 80, "#f1e05a"], ["Roff", 20]),
+  repo("empty")
+];
+
+test("languages: bytes summed per language, largest first", () => {
+  const langs = aggregateLanguages(REPOS);
+  assert.deepEqual(langs.map(l => [l.name, l.bytes]), [
+    ["TypeScript", 600], ["CSS", 150], ["SCSS", 100], ["JavaScript", 80], ["HTML", 50], ["Roff", 20]
+  ]);
+  assert.equal(langs.reduce((n, l) => n + l.share, 0).toFixed(6), "1.000000");
+  assert.equal(langs.at(-1).color, null, "languages without a GitHub color keep null");
+});
+
+test("languages: exclude and merge rules, case-insensitive", () => {
+  const langs = aggregateLanguages(REPOS, { exclude: ["html", "roff"], merge: [{ from: ["scss"], into: "CSS" }] });
+  assert.deepEqual(langs.map(l => [l.name, l.bytes]), [["TypeScript", 600], ["CSS", 250], ["JavaScript", 80]]);
+  assert.equal(langs[1].color, "#663399", "a merge target keeps its own color");
+  const styles = aggregateLanguages(REPOS, { merge: [{ from: ["SCSS", "CSS"], into: "Styles" }] });
+  assert.deepEqual(styles.find(l => l.name === "Styles"), { name: "Styles", color: "#663399", bytes: 250, share: 250 / 1000 });
+});
+
+test("languages: past the limit the tail becomes Other", () => {
+  const langs = aggregateLanguages(REPOS, { limit: 3 });
+  assert.deepEqual(langs.map(l => [l.name, l.bytes, l.color]), [
+    ["TypeScript", 600, "#3178c6"], ["CSS", 150, "#663399"], ["Other", 250, null]
+  ]);
+  assert.equal(aggregateLanguages(REPOS, { limit: 6 }).length, 6, "exactly at the limit: no Other");
+});
+
+test("languages: repo filters and labels", () => {
+  assert.deepEqual(dropRepos(REPOS, ["statikfintechllc/site", "empty"]).map(r => r.repo), ["app"]);
+  // summed accounts (--users / --org): an owner narrows the exclusion to that account
+  const both = [...REPOS, { ...repo("site"), fullName: "acme/site" }];
+  assert.deepEqual(dropRepos(both, ["acme/site"]).map(r => r.fullName), ["statikfintechllc/app", "statikfintechllc/site", "statikfintechllc/empty"]);
+  assert.deepEqual(dropRepos(both, ["Site"]).map(r => r.fullName), ["statikfintechllc/app", "statikfintechllc/empty"]);
+  assert.deepEqual([812, 14230, 3100000].map(formatBytes), ["812 B", "14.2 kB", "3.1 MB"]);
+  assert.deepEqual([0.031, 0.47].map(formatShare), ["3.1%", "47%"]);
+});
+
+test("languages: donut card from recorded repositories", async () => {
+  const svg = await runBuilder("docs/l.svg/scripts/build-languages.mjs", "languages.json");
+  assert.equal(svg.match(/attributeName="stroke-dasharray"/g).length, 8, "7 languages + Other");
+  assert.match(svg, /class="name">Other<\/text>/);
+  await matchGolden("languages.svg", svg);
+});
+
+test("languages: stacked bar with exclude/merge rules", async () => {
+  const svg = await runBuilder("docs/l.svg/scripts/build-languages.mjs", "languages.json",
+    { args: ["--config", path.join(FIXTURES, "languages-bar.config.json")] });
+  assert.equal(svg.match(/attributeName="width"/g).length, 6);
+  assert.match(svg, /class="name">Styles<\/text>/);
+  assert.doesNotMatch(svg, />(HTML|SCSS|CSS)</);
+  assert.match(svg, /across 127 repos</, "repo-1 is left out");
+});
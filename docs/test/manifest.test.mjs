@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { pathToFileURL } from "node:url";
+import { contentHash, openManifest, Unchanged, EXIT_UNCHANGED } from "../lib/manifest.mjs";
+import { ROOT, FIXTURES } from "./golden.mjs";
+
+const build = (script, fixture, out, ...args) => spawnSync(process.execPath, [
+  path.join(ROOT, script), "--fixture", path.join(FIXTURES, fixture), "--out", out, ...args
+], { env: { PATH: process.env.PATH, BOOST_CONFIG: path.join(FIXTURES, "boost.config.json"), TZ: "UTC" }, encoding: "utf8" });
+
+test("manifest: build tags don't count as content", () => {
+  assert.equal(contentHash(["<!-- build:2025-11-14T16:00:00Z user:x -->"]), contentHash(["<!-- build:other user:x -->"]));
+  assert.notEqual(contentHash(["<!-- build:a user:x -->"]), contentHash(["<!-- build:a user:y -->"]));
+});
+
+test("manifest: a rebuild from the same data exits EXIT_UNCHANGED without touching files", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-manifest-"));
+  try {
+    const out = path.join(dir, "crimson-flow.svg");
+    const first = build("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json", out);
+    assert.equal(first.status, 0, first.stderr);
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, "crimson-flow.manifest.json"), "utf8"));
+    assert.deepEqual(manifest.files, ["crimson-flow.svg"]);
+    assert.equal(manifest.builtAt, "2025-11-14T16:00:00.000Z");
+    const { mtimeMs } = await fs.stat(out);
+
+    const again = build("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json", out);
+    assert.equal(again.status, EXIT_UNCHANGED);
+    assert.match(again.stdout, /inputs unchanged/);
+    assert.equal((await fs.stat(out)).mtimeMs, mtimeMs);
+
+    // different options re-render to the same bytes: only the manifest takes the new inputs,
+    // so the next run with them stops early
+    const other = build("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json", out, "--color-scheme", "fixed");
+    assert.equal(other.status, 0, other.stderr);
+    assert.match(other.stdout, /output unchanged; manifest updated/);
+    assert.equal((await fs.stat(out)).mtimeMs, mtimeMs);
+    const otherAgain = build("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json", out, "--color-scheme", "fixed");
+    assert.equal(otherAgain.status, EXIT_UNCHANGED);
+    assert.match(otherAgain.stdout, /inputs unchanged/);
+
+    const forced = build("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json", out, "--force");
+    assert.equal(forced.status, 0);
+
+    await fs.rm(out);
+    assert.equal(build("docs/c.svg/scripts/generate-crimson-flow.mjs", "crimson-flow.json", out).status, 0,
+      "a missing asset is always rebuilt");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("manifest: new inputs with the same output are recorded once, then skipped", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-manifest-"));
+  const out = path.join(dir, "card.svg");
+  const script = pathToFileURL(path.join(ROOT, "docs/c.svg/scripts/generate-crimson-flow.mjs")).href;
+  const run = async (inputs, { touched } = {}) => {
+    const manifest = await openManifest(out, { script, now: new Date("2025-11-14T16:00:00Z") });
+    await manifest.skipIfFresh(inputs, { touched });
+    return manifest.finish([{ file: out, text: "<svg/>" }], { touched });
+  };
+  const sidecar = async () => JSON.parse(await fs.readFile(path.join(dir, "card.manifest.json"), "utf8"));
+  try {
+    assert.deepEqual(await run({ data: 1 }), [out]);
+    const first = await sidecar();
+
+    assert.deepEqual(await run({ data: 2 }), [], "the asset is left alone");
+    const second = await sidecar();
+    assert.notEqual(second.inputHash, first.inputHash);
+    assert.deepEqual({ ...second, inputHash: first.inputHash }, first, "only inputHash moves");
+
+    await assert.rejects(run({ data: 2 }), err => err instanceof Unchanged && /inputs unchanged/.test(err.message) && !err.touched);
+    await assert.rejects(run({ data: 2 }, { touched: true }), err => err instanceof Unchanged && err.touched);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadFont, measure, fitText, truncate, readTables } from "../lib/metrics.mjs";
+
+test("metrics: bundled fonts keep DejaVu's advances", () => {
+  const sans = loadFont("sans"), bold = loadFont("sans-bold"), mono = loadFont("mono");
+  assert.equal(sans.unitsPerEm, 2048);
+  assert.equal(sans.advance(0x41) * 2048, 1401);
+  assert.equal(bold.advance(0x41) * 2048, 1585);
+  for (const ch of "Ail0 ") assert.equal(mono.advance(ch.codePointAt(0)) * 2048, 1233, `mono "${ch}"`);
+  assert.equal(sans.advance(0x4e2d), null, "no CJK in DejaVu Sans");
+  assert.throws(() => loadFont("serif"), /unknown font "serif"/);
+});
+
+test("metrics: measure sums advances and letter-spacing", () => {
+  assert.equal(measure("AA", { size: 2048 }), 2802);
+  assert.equal(measure("AB", { size: 10, letterSpacing: 2 }), measure("AB", { size: 10 }) + 4);
+  assert.equal(measure(""), 0);
+});
+
+test("metrics: emoji take one color-emoji advance however they are spelled", () => {
+  const em = measure("⭐", { size: 2048 });
+  assert.equal(em, 2550);
+  for (const e of ["⭐️", "👁️", "👨‍👩‍👧", "🇺🇸", "👍🏽", "😀"]) assert.equal(measure(e, { size: 2048 }), em, e);
+  // monospace text with emoji is wider than its character count suggests
+  assert.equal(measure("⭐ 5", { font: "mono", size: 2048 }), 2550 + 2 * 1233);
+});
+
+test("metrics: fitText squeezes only what overflows", () => {
+  assert.equal(fitText("hi", 200), "");
+  assert.equal(fitText("hello world", 20), ' textLength="20" lengthAdjust="spacingAndGlyphs"');
+});
+
+test("metrics: truncate ends long prose at a word with an ellipsis", () => {
+  const text = "An autonomous trading assistant with memory, agents and a local model";
+  assert.equal(truncate("short", 200, { size: 12 }), "short");
+  const cut = truncate(text, 200, { size: 12 });
+  assert.equal(cut, "An autonomous trading…");
+  assert.ok(measure(cut, { size: 12 }) <= 200, cut);
+  assert.equal(truncate("Supercalifragilistic", 60, { size: 12 }).endsWith("…"), true, "one long word is cut mid-word");
+});
+
+test("metrics: readTables rejects non-fonts", () => {
+  assert.throws(() => readTables(Buffer.from("<svg></svg>")), /not a TrueType\/OpenType\/WOFF font/);
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { optimize, checkBudget, BudgetError } from "../lib/optimize.mjs";
+import { runBuilder, FIXTURES } from "./golden.mjs";
+
+const doc = body => `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg">${body}\n</svg>\n`;
+
+test("optimize: attribute numbers are rounded, colors, ids, text and CSS are not", () => {
+  const svg = doc(`
+  <style>.a{ stroke-width:1.23456 }</style>
+  <path id="p1.2345" d="M-4.119213272817433,0 L 1e-7,2.5" fill="#1e3a5f" stroke="url(#g1.2345)" opacity="0.90"/>
+  <text x="10.126" aria-label="41.8765 MB">41.8765 MB</text>
+  <animate attributeName="x" values="0.123456;1" keyTimes="0;0.0125000" dur="3.111s"/>`);
+  assert.equal(optimize(svg), doc(`
+  <style>.a{ stroke-width:1.23456 }</style>
+  <path id="p1.2345" d="M-4.12,0 L 0,2.5" fill="#1e3a5f" stroke="url(#g1.2345)" opacity="0.90"/>
+  <text x="10.13" aria-label="41.8765 MB">41.8765 MB</text>
+  <animate attributeName="x" values="0.12;1" keyTimes="0;0.0125" dur="3.11s"/>`));
+  assert.match(optimize(svg, { precision: 0 }), /d="M-4,0 L 0,3"/);
+});
+
+test("optimize: runs of equal values drop their inner keyframes unless splined", () => {
+  const svg = doc(`
+  <animate attributeName="opacity" values="0;0;0;1;1;1" keyTimes="0;0.2;0.4;0.6;0.8;1" dur="6s"/>
+  <animateTransform attributeName="transform" type="translate" values="0;0;0;9" keyTimes="0;0.2;0.4;1" calcMode="spline" keySplines="0 0 1 1;0 0 1 1;0 0 1 1"/>`);
+  const out = optimize(svg);
+  assert.match(out, /values="0;0;1;1" keyTimes="0;0.4;0.6;1"/);
+  assert.match(out, /values="0;0;0;9" keyTimes="0;0.2;0.4;1" calcMode="spline"/);
+});
+
+test("optimize: identical filters collapse into the first one", () => {
+  const blur = id => `\n    <filter id="${id}" x="-50%"><feGaussianBlur stdDeviation="6"/></filter>`;
+  const out = optimize(doc(`\n  <defs>${blur("glow")}${blur("glow2")}\n  </defs>
+  <rect filter="url(#glow2)"/><circle style="filter:url(#glow2)"/>`));
+  assert.equal(out.match(/<filter /g).length, 1);
+  assert.doesNotMatch(out, /glow2/);
+  assert.equal(out.match(/url\(#glow\)/g).length, 2);
+});
+
+test("optimize: repeated subtrees become <use> of one <symbol>", () => {
+  const card = `<g transform="translate(20,20)"><rect width="340" height="160" rx="14" class="card"/><text x="20" y="34" class="cardTitle">GremlinGPT</text><text x="20" y="70" class="cardValue">5 stars</text><text x="20" y="96" class="cardDesc">An autonomous trading agent</text></g>`;
+  const out = optimize(doc(`
+  <g class="motion">${card}</g>
+  <g class="still">${card}</g>
+  <clipPath id="c">${card.replace("GremlinGPT", "x")}</clipPath>`));
+  assert.equal(out.match(/<use href="#u0"\/>/g).length, 2);
+  assert.equal(out.split(card).length, 2, "the card is written once, inside the symbol");
+  assert.match(out, /<defs>\n    <symbol id="u0" overflow="visible"><g transform/);
+  assert.match(out, /<\/defs>\n<\/svg>\n$/);
+});
+
+test("optimize: budgets are KB per file", () => {
+  assert.equal(checkBudget("a.svg", "x".repeat(1024), 1, "pv"), 1024);
+  assert.equal(checkBudget("a.svg", "x".repeat(4096), 0), 4096, "0 is no limit");
+  assert.throws(() => checkBudget("a.svg", "x".repeat(1025), 1, "pv"),
+    e => e instanceof BudgetError && /^a\.svg: 1\.0 KB after optimizing, over its 1 KB budget \(optimize\.budgets\.pv\)$/.test(e.message));
+});
+
+test("optimize: a builder over its budget fails and names the setting", async () => {
+  await assert.rejects(
+    runBuilder("docs/s.svg/scripts/build-streak.mjs", "streak.json",
+      { args: ["--config", path.join(FIXTURES, "budget.config.json")] }),
+    /BudgetError: .*out\.svg: [\d.]+ KB after optimizing, over its 64 KB budget \(optimize\.budgets\.streak\)/);
+});
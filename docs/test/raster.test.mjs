@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { createGif, gifDelay, lzw } from "../lib/gif.mjs";
+import { createApng } from "../lib/apng.mjs";
+import { CELL, ROWS, layout, measureCells, renderStrip } from "../lib/ledfont.mjs";
+import { readGif, readPngChunks, inflateRows } from "./decode.mjs";
+import { runBuilder, FIXTURES } from "./golden.mjs";
+
+// a deterministic "busy" frame: long runs and noise, so the dictionary fills and resets
+const noise = (n, colors, seed = 1) => {
+  const px = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    px[i] = i % 97 < 40 ? 0 : (seed >>> 16) % colors;
+  }
+  return px;
+};
+
+test("gif: LZW round-trips through dictionary resets", () => {
+  for (const colors of [2, 4, 16, 256]) {
+    const px = noise(200 * 150, colors, colors);
+    const gif = createGif({ width: 200, height: 150, palette: Array.from({ length: colors }, (_, i) => `#${i.toString(16).padStart(2, "0").repeat(3)}`) });
+    gif.addFrame(px, { delay: 4 });
+    const back = readGif(gif.end());
+    assert.equal(back.frames.length, 1);
+    assert.deepEqual(back.frames[0].pixels, px, `${colors} colors`);
+  }
+  // the shared table is stamped per call, so a second stream doesn't see the first's codes
+  assert.deepEqual(lzw(new Uint8Array([1, 1, 1, 1]), 2).take(), lzw(new Uint8Array([1, 1, 1, 1]), 2).take());
+});
+
+test("gif: header, loop and sub-rectangle frames", () => {
+  const gif = createGif({ width: 8, height: 4, palette: ["#000", "#ff0000"] });
+  gif.addFrame(new Uint8Array(32), { delay: 2 });
+  gif.addFrame(new Uint8Array(16).fill(1), { y: 1, h: 2, delay: 2 });
+  const g = readGif(gif.end());
+  assert.equal(g.width, 8);
+  assert.equal(g.height, 4);
+  assert.deepEqual(g.palette, ["#000000", "#ff0000"]);
+  assert.equal(g.loop, 0);
+  assert.deepEqual(g.frames.map(f => [f.y, f.h, f.delay, f.disposal]), [[0, 4, 2, 1], [1, 2, 2, 1]]);
+  assert.throws(() => gif.addFrame(new Uint8Array(3)), /expected 8×4/);
+  assert.equal(gifDelay(60), 2);
+  assert.equal(gifDelay(25), 4);
+});
+
+test("apng: chunk order, frame count and exact 1/fps delays", () => {
+  const apng = createApng({ width: 4, height: 3, palette: ["#000000", "#00ff00"], frames: 2, fps: 60 });
+  const first = new Uint8Array(12).fill(1);
+  apng.addFrame(first);
+  apng.addFrame(new Uint8Array([0, 1, 0, 1]), { y: 1, h: 1 });
+  const chunks = readPngChunks(apng.end());
+  assert.deepEqual(chunks.map(c => c.type), ["IHDR", "acTL", "PLTE", "fcTL", "IDAT", "fcTL", "fdAT", "IEND"]);
+  assert.equal(chunks[1].data.readUInt32BE(0), 2);
+  const fctl = chunks[5].data;
+  assert.deepEqual([fctl.readUInt32BE(0), fctl.readUInt32BE(12), fctl.readUInt32BE(16)], [1, 0, 1]);
+  assert.deepEqual([fctl.readUInt16BE(20), fctl.readUInt16BE(22)], [1, 60]);
+  assert.deepEqual(inflateRows(chunks[4].data, 4, 3), first);
+  assert.equal(chunks[6].data.readUInt32BE(0), 2);
+
+  const short = createApng({ width: 1, height: 1, palette: ["#000"], frames: 2 });
+  short.addFrame(new Uint8Array(1));
+  assert.throws(() => short.end(), /promised 2 frames, got 1/);
+});
+
+test("ledfont: emoji take two cells, selectors none, unknown glyphs a box", () => {
+  assert.equal(measureCells("AB"), 2);
+  assert.equal(measureCells("⭐ 5"), 4);
+  assert.equal(measureCells("👁️"), 2);
+  assert.equal(layout("€")[0].cells, 1);
+  assert.equal(layout("🚀")[0].cells, 2);
+
+  const strip = renderStrip("I", { pitch: 1 });
+  assert.deepEqual([strip.width, strip.height], [CELL, ROWS]);
+  const rows = Array.from({ length: ROWS }, (_, y) => [...strip.pixels.subarray(y * CELL, y * CELL + CELL)].join(""));
+  assert.deepEqual(rows, ["011100", "001000", "001000", "001000", "001000", "001000", "011100"]);
+  // fractional pitch: cells land on rounded edges and never drift
+  assert.equal(renderStrip("x".repeat(100), { pitch: 22 / 6 }).width, 2200);
+});
+
+test("ticker: exactly framesNeeded frames, scrolled in from the right and fully out to the left", async () => {
+  const buf = await runBuilder("docs/ticker-bot/generate_banner.js", "ticker.json",
+    { outName: "ticker.gif", encoding: null, args: ["--config", path.join(FIXTURES, "ticker.config.json")] });
+  const g = readGif(buf);
+  const band = g.frames[1];
+  const width = g.width, speed = 48;
+  const lit = f => { const xs = []; f.pixels.forEach((v, i) => v && xs.push(i % f.w)); return xs; };
+
+  assert.equal(g.height, 120);
+  assert.ok(lit(g.frames[0]).length === 0, "frame 0 shows no text yet");
+  assert.ok(Math.max(...lit(g.frames[1])) >= width - speed, "frame 1 brings text in at the right edge");
+  const last = lit(g.frames.at(-1));
+  assert.ok(last.length && Math.max(...last) < speed, "the last frame holds only the message's tail");
+  assert.ok(Math.max(...lit(g.frames.at(-2))) >= speed, "one frame earlier there was still more to show");
+  assert.ok(g.frames.slice(1).every(f => f.y === band.y && f.h === band.h && f.delay === 4));
+});
@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { runBuilder, matchGolden, FIXTURES } from "./golden.mjs";
+
+const BUILDER = "docs/r.svg/scripts/build-repo-cards.mjs";
+
+test("repo cards: grid of the top repos by stars", async () => {
+  const files = await runBuilder(BUILDER, "repo-cards.json", { outName: "repos" });
+  assert.deepEqual(Object.keys(files), ["grid.svg", "repos.manifest.json"]);
+  const svg = files["grid.svg"];
+  // the reduced-motion frame reuses each card through <use> (lib/optimize.mjs)
+  assert.equal(svg.match(/class="card"/g).length, 6);
+  assert.equal(svg.match(/<use href="#u\d+"\/>/g).length, 12);
+  assert.match(svg, /width="744" height="568"/);
+  await matchGolden("repo-cards.svg", svg);
+});
+
+test("repo cards: one file per repo, sparklines only where traffic history has rows", async () => {
+  const files = await runBuilder(BUILDER, "repo-cards.json",
+    { outName: "repos", args: ["--config", path.join(FIXTURES, "repo-cards.config.json")] });
+  assert.deepEqual(Object.keys(files), ["GremlinGPT.svg", "dragon-boot.svg", "repos.manifest.json", "statik-server.svg"]);
+
+  const gpt = files["GremlinGPT.svg"];
+  assert.match(gpt, /class="cardDesc">An autonomous trading agent that learns from…</);
+  assert.match(gpt, /views · 156 in 14d/);
+  assert.equal(gpt.match(/<polyline /g).length, 2);
+  assert.match(files["dragon-boot.svg"], /No description.*\n.*No traffic history yet/);
+  assert.match(files["statik-server.svg"], /fill="#3178c6"\/>\s*<text [^>]*class="lang"[^>]*>TypeScript</);
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { THEMES, getTheme, themeCss, renderThemed, writeThemed } from "../lib/themes.mjs";
+import { accessible, withStill, stripMotion } from "../lib/a11y.mjs";
+
+const rules = t => `.bg{ fill:${t.bg} }`;
+const svg = style => `<svg><style>${style}</style></svg>`;
+
+test("themes: every theme defines the same tokens", () => {
+  const tokens = Object.keys(THEMES.crimson).sort();
+  for (const [name, t] of Object.entries(THEMES)) assert.deepEqual(Object.keys(t).sort(), tokens, name);
+});
+
+test("themes: unknown theme names are rejected with the available list", () => {
+  assert.throws(() => getTheme("neon"), /unknown theme "neon" \(available: crimson, /);
+});
+
+test("themes: auto puts the light palette behind prefers-color-scheme", () => {
+  const css = themeCss(rules, { theme: "crimson", lightTheme: "light", colorScheme: "auto" });
+  assert.match(css, /color-scheme: dark light;/);
+  assert.match(css, new RegExp(`\\.bg\\{ fill:${THEMES.crimson.bg} \\}\\n    @media \\(prefers-color-scheme: light\\)\\{\\n\\.bg\\{ fill:${THEMES.light.bg} \\}`));
+  assert.doesNotMatch(themeCss(rules, { theme: "crimson" }), /@media/);
+});
+
+test("themes: pair writes the default, -dark and -light files", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "themes-"));
+  const files = await writeThemed(path.join(dir, "badge.svg"), { css: rules, svg },
+    { theme: "ocean", lightTheme: "light", colorScheme: "pair", overrides: { bg: "#123456" } });
+  assert.deepEqual(files.map(f => path.basename(f)), ["badge.svg", "badge-dark.svg", "badge-light.svg"]);
+  assert.equal(await fs.readFile(files[0], "utf8"), await fs.readFile(files[1], "utf8"));
+  assert.match(await fs.readFile(files[2], "utf8"), /color-scheme: light;.*fill:#123456/s);
+  await fs.rm(dir, { recursive: true });
+});
+
+test("a11y: title and desc are escaped and referenced from the root", () => {
+  const { attrs, head } = accessible({ title: "Stars & forks", desc: "<3 repos" });
+  assert.equal(attrs, ` role="img" aria-labelledby="title desc"`);
+  assert.equal(head, `<title id="title">Stars &amp; forks</title>\n  <desc id="desc">&lt;3 repos</desc>`);
+});
+
+test("a11y: stripMotion drops every SMIL element and keeps the shapes", () => {
+  const markup = `<g><rect x="1"><animate attributeName="x" values="1;2" dur="1s"/></rect>
+    <circle r="2"><animateMotion dur="3s"><mpath href="#p"/></animateMotion></circle>
+    <g><set attributeName="opacity" to="0" begin="1s"/><animateTransform attributeName="transform" type="rotate"/></g></g>`;
+  assert.equal(stripMotion(markup), `<g><rect x="1"></rect>\n    <circle r="2"></circle>\n    <g></g></g>`);
+});
+
+test("a11y: withStill pairs the frames, or keeps only the still one", () => {
+  assert.match(withStill("animated", "<A/>", "<S/>"), /<g class="motion"><A\/>\s*<\/g>\s*<g class="still"><S\/>/);
+  assert.equal(withStill("static", "<A/>", "<S/>"), "<S/>");
+});
+
+test("themes: motion both adds a SMIL-free -static sibling per file", () => {
+  const doc = (style, motion) => `<svg><style>${style}</style>${withStill(motion, `<rect><animate dur="1s"/></rect>`, "<rect/>")}</svg>`;
+  const files = renderThemed("/out/card.svg", { css: rules, svg: doc },
+    { theme: "ocean", lightTheme: "light", colorScheme: "pair", motion: "both" });
+  assert.deepEqual(files.map(f => path.basename(f.file)),
+    ["card.svg", "card-static.svg", "card-dark.svg", "card-dark-static.svg", "card-light.svg", "card-light-static.svg"]);
+  assert.match(files[0].text, /<animate /);
+  for (const f of files.filter((_, i) => i % 2)) {
+    assert.doesNotMatch(f.text, /<animate|class="motion"/, f.file);
+  }
+  assert.throws(() => renderThemed("/out/card.svg", { css: rules, svg: doc }, { theme: "ocean", motion: "paused" }),
+    /unknown motion "paused" \(use animated, static, both\)/);
+});
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { FORMATS, compileSegment, selectRepos, tickerRuns, runsText, previousRepos } from "../lib/ticker.mjs";
+import { runBuilder, FIXTURES } from "./golden.mjs";
+
+const STATS = [
+  { repo: "alpha", stars: 5, views: 90, forks: 1, size_kb: 1642738, updated_at: "2025-11-01T00:00:00Z", language: "Python" },
+  { repo: "beta",  stars: 9, views: 10, forks: 0, size_kb: 512,     updated_at: "2025-11-09T00:00:00Z", language: null },
+  { repo: "gamma", stars: 1, views: 40, forks: 2, size_kb: 80238,   updated_at: "2025-10-01T00:00:00Z", language: "Go" }
+];
+
+test("ticker: formats", () => {
+  assert.deepEqual([0, 512, 80238, 1642738].map(FORMATS.kb), ["0 KB", "512 KB", "78.4 MB", "1.6 GB"]);
+  assert.equal(FORMATS.num(1642738), "1,642,738");
+  assert.equal(FORMATS.compact(1642738), "1.6M");
+  assert.equal(FORMATS.date("2025-11-09T21:28:37Z"), "2025-11-09");
+  assert.equal(FORMATS.date(""), "unknown");
+});
+
+test("ticker: segment templates pick, label and format fields", () => {
+  const seg = compileSegment("{repo|upper}: {size_kb|kb} in {language}");
+  assert.equal(runsText(seg(STATS[0], null)), "ALPHA: 1.6 GB in Python");
+  assert.equal(runsText(seg(STATS[1], null)), "BETA: 512 KB in –", "missing values render as a dash");
+  assert.throws(() => compileSegment("{stars|kb|bogus} {nope} {language|trend}"), err => {
+    assert.match(err.message, /unknown format "bogus"/);
+    assert.match(err.message, /unknown field "nope"/);
+    assert.match(err.message, /trend needs a tracked number/);
+    return true;
+  });
+});
+
+test("ticker: trend colors values that moved since the previous day", () => {
+  const rows = [
+    { date: "2025-11-13", key: "u", repos: { alpha: { stars: 3, views: 90 } } },
+    { date: "2025-11-14", key: "u", repos: { alpha: { stars: 4, views: 95 } } }
+  ];
+  const prev = previousRepos(rows, new Date("2025-11-14T16:00:00Z"));
+  assert.deepEqual(prev, { alpha: { stars: 3, views: 90 } }, "today's own snapshot is not the baseline");
+
+  const runs = tickerRuns([STATS[0], { ...STATS[2], views: 30 }],
+    { segment: "{repo} ⭐ {stars|trend} 👁 {views|trend}", separator: " | " },
+    { ...prev, gamma: { stars: 1, views: 40 } });
+  assert.deepEqual(runs, [
+    { text: "alpha ⭐ ", tone: null },
+    { text: "5", tone: "up" },
+    { text: " 👁 90 | gamma ⭐ 1 👁 ", tone: null },
+    { text: "30", tone: "down" }
+  ]);
+});
+
+test("ticker: include / exclude / sort / limit", () => {
+  const names = opts => selectRepos(STATS, opts).map(s => s.repo);
+  assert.deepEqual(names({}), ["alpha", "beta", "gamma"]);
+  assert.deepEqual(names({ sort: "stars" }), ["beta", "alpha", "gamma"]);
+  assert.deepEqual(names({ sort: "views", limit: 2 }), ["alpha", "gamma"]);
+  assert.deepEqual(names({ sort: "updated_at" }), ["beta", "alpha", "gamma"]);
+  assert.deepEqual(names({ include: ["someone/gamma", "alpha"] }), ["alpha", "gamma"]);
+  assert.deepEqual(names({ exclude: ["beta"], sort: "repo" }), ["alpha", "gamma"]);
+  assert.throws(() => tickerRuns(STATS, { include: ["nope"] }), /left no repos/);
+});
+
+test("ticker svg: --history colors rising metrics", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ggpt-ticker-"));
+  try {
+    await fs.writeFile(path.join(dir, "ticker.ndjson"), JSON.stringify({
+      date: "2025-11-13", key: "statikfintechllc", repos: { GremlinGPT: { stars: 4, forks: 2, views: 70, clones: 35 } }
+    }) + "\n");
+    const svg = await runBuilder("docs/ticker-bot/generate_svg.mjs", "ticker.json", {
+      outName: "ticker.svg",
+      args: ["--history", dir, "--config", path.join(FIXTURES, "ticker.config.json")]
+    });
+    assert.match(svg, /GremlinGPT :: ⭐ <tspan class="up">5<\/tspan> \| 🍴 2 \| 👁️ <tspan class="down">60<\/tspan> Views/);
+    assert.match(svg, /\.up\{ fill:#39ff14 \}/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildCatalog, statsQuery, readPath, grade, DEFAULT_SHOW } from "../lib/trophies.mjs";
+
+test("trophies: each trophy ranks against its own tiers", () => {
+  const [commits, followers] = buildCatalog();
+  assert.equal(grade(commits, 412), "AA");
+  assert.equal(grade(followers, 412), "SS");
+  assert.equal(grade(followers, 0), null);
+  assert.equal(grade(followers, 1000), "SSS");
+});
+
+test("trophies: config overrides built-ins by id and appends custom trophies", () => {
+  const catalog = buildCatalog({
+    catalog: [
+      { id: "followers", tiers: { SSS: 50000 } },
+      { id: "wikis", title: "Wikis", source: "repositories.totalCount", icon: "📚",
+        tiers: { SSS: 9, SS: 8, S: 7, AAA: 6, AA: 5, A: 4, B: 3, C: 1 } }
+    ]
+  });
+  assert.deepEqual(catalog.map(t => t.id), [...DEFAULT_SHOW, "wikis"]);
+  assert.equal(catalog[1].tiers.SSS, 50000);
+  assert.equal(catalog[1].tiers.SS, 400, "unlisted tiers keep the built-in threshold");
+  assert.deepEqual(buildCatalog({ show: ["gists", "stars"] }).map(t => t.id), ["gists", "stars"]);
+});
+
+test("trophies: incomplete catalogs list every problem", () => {
+  assert.throws(() => buildCatalog({
+    catalog: [{ id: "x", source: "not a path" }, { id: "commits", tiers: { C: 99999 } }],
+    show: ["x", "commits", "nope"]
+  }, "cfg.json"), err => {
+    assert.match(err.message, /^cfg\.json: invalid trophy catalog/);
+    assert.match(err.message, /trophy "x" needs a "title"/);
+    assert.match(err.message, /source "not a path" is neither/);
+    assert.match(err.message, /trophy "commits": tier thresholds must not increase/);
+    assert.match(err.message, /unknown trophy "nope"/);
+    return true;
+  });
+});
+
+test("trophies: one query selects every field path, windowed only when needed", () => {
+  const q = statsQuery(buildCatalog({ show: ["followers", "gists", "commits", "activity", "stars"] }));
+  const flat = q.replace(/\s+/g, " ").trim();
+  assert.equal(flat, "query($login:String!, $from:DateTime!, $to:DateTime!){ user(login:$login){ " +
+    "followers{ totalCount } gists{ totalCount } contributionsCollection(from:$from, to:$to){ " +
+    "totalCommitContributions contributionCalendar{ totalContributions } } } }");
+  assert.doesNotMatch(statsQuery(buildCatalog({ show: ["gists"] })), /\$from/);
+  assert.equal(statsQuery(buildCatalog({ show: ["stars", "languages"] })), null);
+  assert.equal(readPath({ sponsors: null }, "sponsors.totalCount"), 0);
+});
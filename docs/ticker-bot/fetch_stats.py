@@ -6,6 +6,8 @@ from datetime import datetime
 TOKEN = os.getenv("PULL_STATIK_PAT")
 HEADERS = {"Authorization": f"token {TOKEN}"}
 
+CONFIG = os.getenv("BOOST_CONFIG", "boost.config.json")
+
 REPOS = [
     "statikfintechllc/Ascend-Institute",
     "statikfintechllc/GremlinGPT",
@@ -18,6 +20,11 @@ REPOS = [
     "statikfintechllc/AscendNet"
 ]
 
+# ticker.repos in boost.config.json overrides the list above (validated by docs/lib/config.mjs)
+if os.path.exists(CONFIG):
+    with open(CONFIG) as f:
+        REPOS = json.load(f).get("ticker", {}).get("repos") or REPOS
+
 stats = []
 
 for repo in REPOS:
@@ -32,6 +39,7 @@ for repo in REPOS:
 
         stats.append({
             "repo": name,
+            "description": meta.get("description") or "",
             "stars": meta.get("stargazers_count", 0),
             "forks": meta.get("forks_count", 0),
             "watchers": meta.get("subscribers_count", 0),
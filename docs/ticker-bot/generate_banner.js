@@ -1,117 +1,88 @@
 // docs/ticker-bot/generate_banner.js
 
-import puppeteer from "puppeteer";
-import fs from "fs";
 import path from "path";
-import { execSync } from "child_process";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const rootDir = path.resolve(__dirname, "../../");
-
-const statsPath = path.join(rootDir, "docs/ticker-bot/stats.json");
-const outputGif = path.join(rootDir, "docs/ticker-bot/ticker.gif");
-const frameDir = path.join(rootDir, "docs/ticker-bot/frames");
-
-if (!fs.existsSync(statsPath)) throw new Error("❌ stats.json missing.");
-const stats = JSON.parse(fs.readFileSync(statsPath, "utf8"));
-if (!Array.isArray(stats) || stats.length === 0) throw new Error("⚠️ stats.json is empty or malformed.");
-
-const scrollText = stats.map(s =>
-  `🔎 ${s.repo} :: ⭐ ${s.stars} | 🍴 ${s.forks} | 👁️ ${s.views} Views | 🧠 ${s.uniques} Clones | 👀 ${s.watchers} Watchers | 🪲 ${s.open_issues} Issues | 🧵 ${s.pulls_count} PRs | 🧬 ${s.language} | 📦 ${s.size_kb} KB | 🧭 ${s.default_branch} | 📅 ${s.updated_at?.slice(0,10) || "unknown"}`
-).join(" — ");
-
-const pxPerChar = 22;
-const scrollWidth = scrollText.length * pxPerChar;
-const screenWidth = 2048;
-const scrollSpeed = 8;
-const fps =60;
-const framesNeeded = Math.ceil((scrollWidth + screenWidth) / scrollSpeed);
-const durationMs = Math.ceil((framesNeeded / fps) * 1000);
-
-const html = `
-<html>
-  <head>
-    <style>
-      body {
-        margin: 0;
-        background: black;
-        overflow: hidden;
-      }
-      #ticker {
-        color: red;
-        font-family: monospace;
-        font-size: 36px;
-        padding: 20px;
-        white-space: nowrap;
-        position: absolute;
-        will-change: transform;
-        animation: scroll-left ${durationMs}ms linear forwards;
-      }
-      @keyframes scroll-left {
-        0% { transform: translateX(100%); }
-        100% { transform: translateX(-${scrollWidth}px); }
-      }
-    </style>
-  </head>
-  <body>
-    <div id="ticker">${scrollText}</div>
-  </body>
-</html>
-`;
-
-(async () => {
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: true,
-      args: ["--no-sandbox", "--disable-setuid-sandbox", "--use-gl=egl"]
-    });
-
-    const page = await browser.newPage();
-    await page.setViewport({ width: screenWidth, height: 120 });
-    await page.setContent(html);
-    await new Promise(r => setTimeout(r, 200)); // Let DOM paint
-
-    const client = await page.target().createCDPSession();
-    await client.send("Page.startScreencast", {
-      format: "jpeg",
-      quality: 85,
-      everyNthFrame: 1
-    });
-
-    const frames = [];
-    client.on("Page.screencastFrame", async ({ data, sessionId }) => {
-      try {
-        frames.push(Buffer.from(data, "base64"));
-        await client.send("Page.screencastFrameAck", { sessionId });
-      } catch (err) {
-        console.warn("⚠️ Frame ack failed:", err.message);
-      }
-    });
-
-    console.log(`ℹ️ Duration: ${durationMs}ms | Frames: ${framesNeeded}`);
-    await page.evaluate(ms => new Promise(r => setTimeout(r, ms)), durationMs + 1000);
-    await client.send("Page.stopScreencast");
-
-    if (!frames.length) throw new Error("❌ No frames captured — screencast failed.");
-
-    fs.mkdirSync(frameDir, { recursive: true });
-    frames.forEach((img, i) => {
-      const framePath = path.join(frameDir, `frame_${String(i).padStart(3, "0")}.jpg`);
-      fs.writeFileSync(framePath, img);
-    });
-
-    const ffmpegCmd = `ffmpeg -y -framerate ${fps} -i ${frameDir}/frame_%03d.jpg -vf "scale=${screenWidth}:120:flags=lanczos" -loop 0 ${outputGif}`;
-    execSync(ffmpegCmd, { stdio: "inherit" });
-
-    fs.rmSync(frameDir, { recursive: true, force: true });
-    console.log(`[✅] ticker.gif rendered with ${frames.length} frames.`);
-  } catch (err) {
-    console.error("💥 ERROR:", err.message);
-    process.exit(1);
-  } finally {
-    if (browser) await browser.close().catch(() => {});
+import { builderArgs, outPath } from "../lib/args.mjs";
+import { openTape } from "../lib/fixture.mjs";
+import { loadConfig } from "../lib/config.mjs";
+import { getTheme, themeOptions } from "../lib/themes.mjs";
+import { historyDir, openHistory } from "../lib/history.mjs";
+import { openManifest, stopCleanlyWhenUnchanged } from "../lib/manifest.mjs";
+import { CELL, renderStrip } from "../lib/ledfont.mjs";
+import { createGif, gifDelay } from "../lib/gif.mjs";
+import { createApng } from "../lib/apng.mjs";
+import { loadStats, snapshot, previousRepos, tickerRuns, scrollTiming } from "../lib/ticker.mjs";
+
+// APNG animates in every current browser (and GitHub's README view) under a .png name
+const FORMATS = { gif: "ticker.gif", apng: "ticker.png" };
+const HEIGHT = 120;
+
+// --format gif|apng; else an --out ending in .gif/.png decides; else boost.config.json ticker.format
+const args = builderArgs({ format: { type: "string" } });
+stopCleanlyWhenUnchanged();
+const tape = await openTape(args);
+const cfg = await loadConfig(args);
+const byExt = { ".gif": "gif", ".png": "apng", ".apng": "apng" }[path.extname(args.out ?? "").toLowerCase()];
+const format = args.format ?? byExt ?? cfg.ticker.format;
+if (!FORMATS[format]) throw new Error(`--format must be one of ${Object.keys(FORMATS).join(", ")}, got "${format}"`);
+
+const output = outPath(args, import.meta.url, FORMATS[format]);
+
+const stats = await loadStats(tape);
+const history = await openHistory("ticker", { dir: historyDir(args, cfg, tape), now: tape.now, key: cfg.user });
+const touched = await history.record(snapshot(stats));
+// trend placeholders compare with the last snapshot from an earlier day
+const runs = tickerRuns(stats, cfg.ticker, previousRepos(history.rows(), tape.now));
+
+const { pxPerChar, screenWidth, scrollSpeed, fps } = cfg.ticker;
+
+// one palette per image: prefers-color-scheme / paired output only apply to SVG badges
+const themeOpts = themeOptions(cfg, "ticker", args, "crimson");
+if (themeOpts.colorScheme && themeOpts.colorScheme !== "fixed") {
+  console.log(`ℹ️ ${path.basename(output)} is raster; color scheme "${themeOpts.colorScheme}" ignored, using theme "${themeOpts.theme}"`);
+}
+const theme = getTheme(themeOpts.theme);
+const palette = [theme.ledBg, theme.led, theme.ledUp, theme.ledDown];
+const INK = { up: 2, down: 3 };
+
+// the whole message is rasterized once; frame i is a window onto it, scrolled in from the right
+const strip = renderStrip(runs.map(r => ({ text: r.text, ink: INK[r.tone] ?? 1 })), { pitch: pxPerChar / CELL });
+const scrollWidth = strip.width;
+const { framesNeeded, durationMs } = scrollTiming(scrollWidth, cfg.ticker);
+
+// the message and how it is drawn are everything the animation depends on
+// (stats.json's fetch timestamps are not)
+const manifest = await openManifest(output, { script: import.meta.url, now: tape.now, force: args.force });
+await manifest.skipIfFresh({ runs, pxPerChar, screenWidth, scrollSpeed, fps, format, palette }, { touched });
+
+// only the text band moves; frame 0 paints the background, later frames redraw the band
+const bandY = Math.round((HEIGHT - strip.height) / 2);
+const band = new Uint8Array(screenWidth * strip.height);
+function drawBand(i) {
+  const left = Math.round(screenWidth - i * scrollSpeed);
+  const from = Math.max(0, -left), to = Math.min(strip.width, screenWidth - left);
+  band.fill(0);
+  if (from >= to) return band;
+  for (let y = 0; y < strip.height; y++) {
+    band.set(strip.pixels.subarray(y * strip.width + from, y * strip.width + to), y * screenWidth + left + from);
   }
-})();
+  return band;
+}
+
+const delay = gifDelay(fps);
+if (format === "gif" && 100 / delay !== fps) {
+  console.log(`ℹ️ GIF delays are in 1/100 s: ${fps} fps plays at ${+(100 / delay).toFixed(2)} fps (--format apng keeps it exact)`);
+}
+const encoder = format === "apng"
+  ? createApng({ width: screenWidth, height: HEIGHT, palette, frames: framesNeeded, fps })
+  : createGif({ width: screenWidth, height: HEIGHT, palette });
+
+const full = new Uint8Array(screenWidth * HEIGHT);
+full.set(drawBand(0), bandY * screenWidth);
+encoder.addFrame(full, { delay });
+for (let i = 1; i < framesNeeded; i++) {
+  encoder.addFrame(drawBand(i), { y: bandY, h: strip.height, delay });
+}
+
+const bytes = encoder.end();
+await manifest.finish([{ file: output, text: bytes }], { touched });
+console.log(`[✅] ${path.basename(output)} rendered: ${framesNeeded} frames, ${durationMs}ms, ${(bytes.length / 1024).toFixed(0)} KB.`);
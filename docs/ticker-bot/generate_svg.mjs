@@ -0,0 +1,86 @@
+// docs/ticker-bot/generate_svg.mjs
+// LED ticker as an animated SVG: the same stats.json message as ticker.gif, scrolled
+// with SMIL animateTransform, so it stays crisp at any size and weighs a few KB.
+// Output: ticker.svg next to this script (or --out <file>); ticker.gif remains the
+// raster fallback for viewers without SMIL (generate_banner.js).
+// Timing matches the GIF: scrollSpeed px per frame at fps, entering from the right edge.
+// The <desc> carries the whole message; reduced motion or --motion static shows it parked
+// at the left edge instead of scrolling.
+
+import path from "node:path";
+import { builderArgs, outPath } from "../lib/args.mjs";
+import { openTape } from "../lib/fixture.mjs";
+import { loadConfig } from "../lib/config.mjs";
+import { esc } from "../lib/svg.mjs";
+import { accessible, withStill, MOTION_CSS } from "../lib/a11y.mjs";
+import { themeOptions, renderThemed } from "../lib/themes.mjs";
+import { historyDir, openHistory } from "../lib/history.mjs";
+import { openManifest, stopCleanlyWhenUnchanged } from "../lib/manifest.mjs";
+import { measure } from "../lib/metrics.mjs";
+import { loadStats, snapshot, previousRepos, tickerRuns, runsText, scrollTiming } from "../lib/ticker.mjs";
+
+const args = builderArgs();
+stopCleanlyWhenUnchanged();
+const tape = await openTape(args);
+const cfg = await loadConfig(args);
+const OUT = outPath(args, import.meta.url, "ticker.svg");
+const H = 120;
+const FONT_SIZE = 36;
+
+const stats = await loadStats(tape);
+const history = await openHistory("ticker", { dir: historyDir(args, cfg, tape), now: tape.now, key: cfg.user });
+const touched = await history.record(snapshot(stats));
+// trend placeholders compare with the last snapshot from an earlier day
+const runs = tickerRuns(stats, cfg.ticker, previousRepos(history.rows(), tape.now));
+const scrollText = runsText(runs);
+
+const { screenWidth: W } = cfg.ticker;
+const themeOpts = themeOptions(cfg, "ticker", args, "crimson");
+
+// measured in DejaVu Sans Mono + color emoji; textLength holds that width whatever
+// monospace font the viewer ends up with, so the scroll never cuts off or overshoots
+const scrollWidth = Math.ceil(measure(scrollText, { font: "mono", size: FONT_SIZE }));
+const { durationMs } = scrollTiming(scrollWidth, cfg.ticker);
+
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
+await manifest.skipIfFresh({ runs, ticker: cfg.ticker, themeOpts }, { touched });
+
+const css = t => `
+    .bg{ fill:${t.ledBg} } .led{ fill:${t.led} } .up{ fill:${t.ledUp} } .down{ fill:${t.ledDown} }${MOTION_CSS}`;
+
+const body = runs.map(r => (r.tone ? `<tspan class="${r.tone}">${esc(r.text)}</tspan>` : esc(r.text))).join("");
+
+const led = `<text class="led" x="0" y="${H / 2 + FONT_SIZE * 0.35}" font-size="${FONT_SIZE}" xml:space="preserve"
+            font-family="ui-monospace,SFMono-Regular,Menlo,Consolas,'Liberation Mono',monospace"
+            textLength="${scrollWidth}" lengthAdjust="spacingAndGlyphs">${body}</text>`;
+
+const a11y = accessible({ title: "Repository stats ticker", desc: scrollText.trim() });
+
+const svg = (style, motion) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}"
+    ${a11y.attrs}>
+  ${a11y.head}
+  <style>
+    ${style}
+  </style>
+  <defs>
+    <filter id="glow" x="-1%" y="-50%" width="102%" height="200%">
+      <feGaussianBlur stdDeviation="1.5" result="b"/>
+      <feMerge><feMergeNode in="b"/><feMergeNode in="SourceGraphic"/></feMerge>
+    </filter>
+  </defs>
+  <rect class="bg" width="${W}" height="${H}"/>
+  <g filter="url(#glow)">${withStill(motion, `
+    <!-- without SMIL the message simply starts at the left edge -->
+    <g>
+      ${led}
+      <animateTransform attributeName="transform" type="translate" from="${W} 0" to="${-scrollWidth} 0"
+                        dur="${durationMs}ms" repeatCount="indefinite"/>
+    </g>`, `
+    ${led}`)}
+  </g>
+</svg>
+`;
+
+const files = await manifest.finish(renderThemed(OUT, { css, svg }, themeOpts), { touched });
+for (const f of files) console.log(`[✅] ${path.basename(f)} written: ${stats.length} repos, ${(durationMs / 1000).toFixed(1)}s loop.`);
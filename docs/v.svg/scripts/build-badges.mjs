@@ -0,0 +1,51 @@
+// docs/v.svg/scripts/build-badges.mjs
+// Batch of shields-style badges (label | value) from boost.config.json badges.items:
+// fixed text, or any number the other builders snapshot into docs/history
+// (stars, streak, lifetime clones per repo, open issues per repo, …).
+// Output: assets/badges/<name>.svg (or --out <dir>); styles and icons in lib/badge.mjs
+// --fixture <file.json> replays the history files read by a recorded run
+// Colors: theme pill tokens (default "crimson"), badges.colors and items[].colors override them
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { readHistory } from "../../lib/history.mjs";
+import { badge, expandBadges, pillColors } from "../../lib/badge.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest, stopCleanlyWhenUnchanged } from "../../lib/manifest.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
+
+const args = builderArgs();
+stopCleanlyWhenUnchanged();
+const tape = await openTape(args);
+const cfg = await loadConfig(args);
+const OUT = outPath(args, import.meta.url, "../assets/badges");
+const USER = args.user || process.env.USER_LOGIN || cfg.user;
+
+// history is this builder's only input, so it goes on the tape like an API payload
+const dir = args.history ? path.resolve(args.history) : path.resolve(ROOT, cfg.history.dir);
+const sources = [...new Set(cfg.badges.items.map(i => i.from).filter(Boolean))];
+const history = {};
+for (const name of sources) history[name] = await tape.take("history", { name }, () => readHistory(dir, name));
+
+const badges = expandBadges(cfg.badges.items, history, { user: USER });
+if (!badges.length) {
+  console.error("No badges to build (badges.items is empty or every per-repo history is)");
+  process.exit(1);
+}
+
+const manifest = await openManifest(path.join(OUT, "badges"), { script: import.meta.url, now: tape.now, force: args.force });
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args, user: USER });
+
+const rendered = badges.flatMap(b => {
+  const colors = { ...pillColors(cfg.badges.colors), ...pillColors(b.colors) };
+  const doc = badge({ label: b.label, value: b.value, style: b.style ?? cfg.badges.style, icon: b.icon });
+  return renderThemed(path.join(OUT, `${b.name}.svg`), doc, themeOptions(cfg, "badges", args, "crimson", colors));
+});
+
+const files = await manifest.finish(rendered);
+for (const b of badges) console.log(`[✅] ${b.name}.svg: ${b.label} | ${b.value}`);
+console.log(`Wrote ${files.length} file(s) to ${OUT}`);
@@ -1,91 +1,70 @@
 // docs/v.svg/scripts/build-pv.mjs
-// Build a black (left) + dark-red (right) pill with live Komarev count.
-// Left text: "PROFILE TRAFFIC". Right: the numeric count.
-// Output: assets/pv-traffic.svg
+// Build a black (left) + dark-red (right) pill with the live page-view count
+// (komarev.com, or our own counter with pv.source "counter": scripts/counter-server.mjs).
+// Left text: "PROFILE TRAFFIC". Right: the numeric count. Shape: pv.style (lib/badge.mjs)
+// Output: assets/pv-traffic.svg (or --out <file>); --fixture <file.json> replays a recorded count
+// History: the count is snapshotted daily (lib/history.mjs)
+// Colors: theme pill tokens (default "crimson"), pv.colors in boost.config.json overrides them
 
-import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { builderArgs, outPath } from "../../lib/args.mjs";
+import { openTape } from "../../lib/fixture.mjs";
+import { loadConfig } from "../../lib/config.mjs";
+import { badge, pillColors } from "../../lib/badge.mjs";
+import { historyDir, openHistory } from "../../lib/history.mjs";
+import { themeOptions, renderThemed } from "../../lib/themes.mjs";
+import { openManifest, stopCleanlyWhenUnchanged } from "../../lib/manifest.mjs";
+import { readCounter } from "../../lib/counter.mjs";
 
-const USER = process.env.USER_LOGIN || "statikfintechllc";
-const H = 28;
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
 
-// Colors
-const BLACK = "#000000";
-const RED   = "#8B0000";
-const WHITE = "#ffffff";
+const args = builderArgs();
+stopCleanlyWhenUnchanged();
+const tape = await openTape(args);
+const cfg = await loadConfig(args);
+const OUT  = outPath(args, import.meta.url, "../assets/pv-traffic.svg");
+const USER = args.user || process.env.USER_LOGIN || cfg.user;
 
-// ---- 1) Fetch live count from Komarev -------------------------------------
-const url  = `https://komarev.com/ghpvc/?username=${encodeURIComponent(USER)}&style=for-the-badge&t=${Date.now()}`;
-const raw  = await fetch(url).then(r => r.text());
-const nums = [...raw.matchAll(/>(\d+)</g)].map(m => m[1]);
-if (!nums.length) {
-  console.error("Could not parse Komarev count");
-  process.exit(1);
-}
-const count = nums.at(-1);
-
-// ---- 2) Quick width estimator (no canvas in Actions) ----------------------
-// Slightly wider per-char for the left label, wider for digits on the right.
-const px = (s, perChar, pad) => Math.max(40, pad * 2 + s.length * perChar);
-
-const LEFT_TEXT   = "PROFILE TRAFFIC";
-const LEFT_PAD    = 16;
-const LEFT_CHAR_W = 9.1;   // tweak if you want a bit tighter/wider
-const LEFT_W      = px(LEFT_TEXT, LEFT_CHAR_W, LEFT_PAD);
-
-const RIGHT_PAD    = 12;
-const RIGHT_CHAR_W = 12.0;
-const RIGHT_W      = px(String(count), RIGHT_CHAR_W, RIGHT_PAD);
+// Colors: pv.colors (boost.config.json) pinned over the theme's pill tokens
+const COLORS = pillColors(cfg.pv.colors);
 
-const TOTAL_W = LEFT_W + RIGHT_W;
-
-// ---- 3) Helpers to draw left- and right- rounded rectangles ---------------
-const roundedLeftPath = (x, y, w, h, r) => `
-  M${x+r},${y}
-  L${x+w},${y}
-  L${x+w},${y+h}
-  L${x+r},${y+h}
-  Q${x},${y+h} ${x},${y+h-r}
-  L${x},${y+r}
-  Q${x},${y} ${x+r},${y}
-  Z
-`.trim();
+// ---- 1) Fetch the live count ------------------------------------------------
+// pv.source "counter": our own counter's JSON (pv.counterUrl) or, without a URL, its store file;
+// "komarev": the last number in komarev.com's badge markup
+async function counterCount() {
+  const res = await tape.take("counter", { user: USER }, async () => {
+    if (!cfg.pv.counterUrl) return readCounter(path.resolve(ROOT, cfg.counter.store), USER);
+    const url = new URL(`pv/${encodeURIComponent(USER)}.json`, cfg.pv.counterUrl.replace(/\/?$/, "/"));
+    const r = await fetch(url);
+    if (!r.ok) throw new Error(`counter ${url}: HTTP ${r.status}`);
+    return r.json();
+  });
+  if (!Number.isInteger(res?.count) || res.count < 0) throw new Error(`counter returned no count for ${USER}: ${JSON.stringify(res)}`);
+  return String(res.count);
+}
 
-const roundedRightPath = (x, y, w, h, r) => `
-  M${x},${y}
-  L${x+w-r},${y}
-  Q${x+w},${y} ${x+w},${y+r}
-  L${x+w},${y+h-r}
-  Q${x+w},${y+h} ${x+w-r},${y+h}
-  L${x},${y+h}
-  Z
-`.trim();
+async function komarevCount() {
+  const url  = `https://komarev.com/ghpvc/?username=${encodeURIComponent(USER)}&style=for-the-badge&t=${Date.now()}`;
+  const raw  = await tape.take("komarev", { user: USER }, () => fetch(url).then(r => r.text()));
+  const nums = [...raw.matchAll(/>(\d+)</g)].map(m => m[1]);
+  if (!nums.length) {
+    console.error("Could not parse Komarev count");
+    process.exit(1);
+  }
+  return nums.at(-1);
+}
 
-// ---- 4) Compose the SVG ----------------------------------------------------
-const R = 14; // corner radius
-const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${TOTAL_W}" height="${H}"
-     viewBox="0 0 ${TOTAL_W} ${H}" role="img" aria-label="Profile traffic: ${count}">
-  <!-- Left (black) with rounded left corners -->
-  <path d="${roundedLeftPath(0, 0, LEFT_W, H, R)}" fill="${BLACK}"/>
-  <!-- Right (dark red) with rounded right corners -->
-  <path d="${roundedRightPath(LEFT_W, 0, RIGHT_W, H, R)}" fill="${RED}"/>
+const count = cfg.pv.source === "counter" ? await counterCount() : await komarevCount();
 
-  <!-- Left label -->
-  <text x="${LEFT_W/2}" y="${H/2 + 5}" text-anchor="middle"
-        font-family="ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial"
-        font-size="14" font-weight="600" fill="${WHITE}" letter-spacing="1.5">
-    ${LEFT_TEXT}
-  </text>
+const history = await openHistory("pv", { dir: historyDir(args, cfg, tape), now: tape.now, key: USER });
+const touched = await history.record({ views: Number(count) });
+const manifest = await openManifest(OUT, { script: import.meta.url, now: tape.now, force: args.force });
+await manifest.skipIfFresh({ data: tape.digest(), cfg, args }, { touched });
 
-  <!-- Right number -->
-  <text x="${LEFT_W + RIGHT_W/2}" y="${H/2 + 5}" text-anchor="middle"
-        font-family="ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Arial"
-        font-size="14" font-weight="700" fill="${WHITE}">
-    ${count}
-  </text>
-</svg>`;
+// ---- 2) Lay out the pill (lib/badge.mjs) ----------------------------------
+const pill = badge({ label: cfg.pv.label, value: count, style: cfg.pv.style, icon: cfg.pv.icon });
 
-// ---- 5) Write it -----------------------------------------------------------
-await fs.mkdir("assets", { recursive: true });
-await fs.writeFile("assets/pv-traffic.svg", svg, "utf8");
-console.log("Wrote assets/pv-traffic.svg with count:", count);
+// ---- 3) Write it -----------------------------------------------------------
+const files = await manifest.finish(renderThemed(OUT, pill, themeOptions(cfg, "pv", args, "crimson", COLORS)), { touched });
+for (const f of files) console.log(`Wrote ${f} with count:`, count);
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// docs/v.svg/scripts/counter-server.mjs
+// Self-hosted page-view counter: the first-party replacement for komarev.com.
+//   GET /pv/<login>.svg    count a view and return the pill (?style=flat&theme=ocean optional)
+//   GET /pv/<login>.json   { key, count, hits } without counting
+//   GET /healthz           "ok"
+// Store: counter.store in boost.config.json (a JSON file, see lib/counter.mjs); with
+// counter.dedupe a visitor counts once per UTC day, identified by a salted IP hash.
+// Only counter.keys (default: user) are counted, so strangers can't fill the store.
+//   node docs/v.svg/scripts/counter-server.mjs [--port 8787] [--store file] [--config file]
+// Put it behind a proxy that appends to X-Forwarded-For and enable counter.trustProxy
+// (counter.proxyHops: how many proxies you run in front), then point README images at
+// /pv/<login>.svg and pv.counterUrl at the server for build-pv.
+
+import http from "node:http";
+import path from "node:path";
+import { realpathSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { loadConfig } from "../../lib/config.mjs";
+import { openCounter } from "../../lib/counter.mjs";
+import { badge, pillColors, STYLES } from "../../lib/badge.mjs";
+import { THEMES, themeOptions, themeCss } from "../../lib/themes.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
+
+const send = (res, status, type, body) => {
+  res.writeHead(status, {
+    "Content-Type": type,
+    // GitHub's image proxy honours this, so README views keep reaching the counter
+    "Cache-Control": "no-cache, no-store, must-revalidate, max-age=0"
+  });
+  res.end(body);
+};
+const json = (res, status, body) => send(res, status, "application/json; charset=utf-8", JSON.stringify(body) + "\n");
+
+// Each trusted proxy appends the address it saw, so the visitor is `hops` entries from the
+// right; anything further left came from the client and could be anything.
+function clientIp(req, { trustProxy, proxyHops }) {
+  const chain = trustProxy ? (req.headers["x-forwarded-for"] ?? "").split(",").map(s => s.trim()).filter(Boolean) : [];
+  return chain.length >= proxyHops ? chain[chain.length - proxyHops] : req.socket.remoteAddress;
+}
+
+const decode = s => {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The counter as an http.Server (not listening yet).
+ * @param {object} opts
+ * @param {object} opts.cfg      loadConfig() result (pv look, counter options)
+ * @param {object} opts.counter  openCounter() store
+ * @param {() => Date} [opts.clock]
+ */
+export function createCounterServer({ cfg, counter, clock = () => new Date() }) {
+  const keys = new Set(cfg.counter.keys.length ? cfg.counter.keys : [cfg.user]);
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method !== "GET") return json(res, 405, { error: "use GET" });
+      const url = new URL(req.url, "http://counter");
+      if (url.pathname === "/healthz") return send(res, 200, "text/plain; charset=utf-8", "ok\n");
+
+      const m = url.pathname.match(/^\/pv\/([^/]+)\.(svg|json)$/);
+      if (!m) return json(res, 404, { error: "not found" });
+      const key = decode(m[1]);
+      if (key === null) return json(res, 400, { error: "malformed key" });
+      if (!keys.has(key)) return json(res, 404, { error: `not counting "${key}"` });
+      if (m[2] === "json") return json(res, 200, counter.get(key));
+
+      const style = url.searchParams.get("style") ?? cfg.pv.style;
+      const theme = url.searchParams.get("theme") ?? undefined;
+      if (!STYLES[style]) return json(res, 400, { error: `unknown style "${style}"` });
+      if (theme && !THEMES[theme]) return json(res, 400, { error: `unknown theme "${theme}"` });
+
+      const { count } = await counter.hit(key, clientIp(req, cfg.counter), clock());
+      const pill = badge({ label: cfg.pv.label, value: count, style, icon: cfg.pv.icon });
+      const opts = themeOptions(cfg, "pv", { theme }, "crimson", pillColors(cfg.pv.colors));
+      send(res, 200, "image/svg+xml; charset=utf-8", pill.svg(themeCss(pill.css, opts)));
+    } catch (err) {
+      console.error(err);
+      json(res, 500, { error: "counter failed" });
+    }
+  });
+}
+
+// run when executed directly, not when imported by the tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: { port: { type: "string" }, store: { type: "string" }, config: { type: "string" } }
+  });
+  const cfg = await loadConfig(values);
+  const store = values.store ? path.resolve(values.store) : path.resolve(ROOT, cfg.counter.store);
+  const counter = await openCounter(store, { dedupe: cfg.counter.dedupe, salt: process.env.COUNTER_SALT });
+  const server = createCounterServer({ cfg, counter });
+  server.listen(Number(values.port ?? process.env.PORT ?? cfg.counter.port), () => {
+    console.log(`counter on :${server.address().port}, store ${path.relative(process.cwd(), store) || store}`);
+  });
+  const stop = () => server.close(() => counter.flush().then(() => process.exit(0), err => {
+    console.error(err);
+    process.exit(1);
+  }));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}